@@ -1,28 +1,202 @@
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 const bodyParser = require('body-parser');
 require('dotenv').config();
+const { logger, runWithCorrelationId, getCorrelationId } = require('./lib/logger');
+const { createStorage } = require('./lib/storage');
+const { createSessionStore } = require('./lib/sessionStore');
+const { createLedger, FINAL_STATES } = require('./lib/ledger');
+const { createAddressBook, MAX_METERS } = require('./lib/addressBook');
+const { submitTransaction, getQuote, toLedgerState } = require('./lib/gateway');
+const {
+    DEFAULT_CURRENCY,
+    getSupportedCurrencies,
+    normalizeCurrency,
+    getCurrencyLabel,
+    formatAmount,
+    getAmountLimits,
+    isAmountAllowed
+} = require('./lib/currency');
+const { parseAmount } = require('./lib/amount');
+const { lookupMeter } = require('./lib/zesa');
+const { downloadMedia } = require('./lib/media');
+const { readQrCode } = require('./lib/qrCode');
+const { REFERENCE_FIELDS, getReferenceFields, parseReference } = require('./lib/references');
+const { normalizeZimbabweanNumber, detectNetwork, getNetworkName } = require('./lib/phone');
+const { createAdminRouter, requireAdminToken, getStatsKey } = require('./lib/admin');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { createCircuitBreaker, CircuitOpenError } = require('./lib/circuitBreaker');
+const { verifySignature, createMessageDeduper, isStaleMessage } = require('./lib/webhookSecurity');
+const { createFlowEngine } = require('./lib/flowEngine');
+const { createOutbox } = require('./lib/outbox');
+const { createNotifier } = require('./lib/notifications');
+const { createScheduler, MAX_SCHEDULES } = require('./lib/scheduler');
+const { createMetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, hasMessage, translate } = require('./lib/i18n');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(bodyParser.json());
+// Every request gets a correlation ID that follows it through the logs and
+// onto outgoing gateway calls (X-Correlation-ID)
+app.use((req, res, next) => {
+    const incoming = req.get('X-Correlation-ID');
+    const correlationId = /^[\w-]{8,64}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+
+    res.set('X-Correlation-ID', correlationId);
+    runWithCorrelationId(correlationId, next);
+});
+
+axios.interceptors.request.use(config => {
+    const correlationId = getCorrelationId();
+    if (correlationId) {
+        config.headers['X-Correlation-ID'] = correlationId;
+    }
+    return config;
+});
+
+// ==================== METRICS ====================
+
+// Prometheus metrics at GET /metrics (admin token required): the
+// conversation funnel, payment outcomes and how slow each upstream is
+const metrics = createMetricsRegistry();
+
+const messagesReceived = metrics.counter({
+    name: 'cchub_messages_received_total',
+    help: 'Inbound WhatsApp messages by type.',
+    labels: ['type']
+});
+
+const flowTransitions = metrics.counter({
+    name: 'cchub_flow_transitions_total',
+    help: 'Conversation steps by flow, from "start" to "completed" or "cancelled".',
+    labels: ['flow', 'from', 'to']
+});
+
+const paymentOutcomes = metrics.counter({
+    name: 'cchub_payments_total',
+    help: 'Transactions reaching each state by service type (pending counts every attempt).',
+    labels: ['service_type', 'state']
+});
+
+const upstreamLatency = metrics.histogram({
+    name: 'cchub_upstream_request_duration_seconds',
+    help: 'Outgoing HTTP calls by upstream and response status.',
+    labels: ['upstream', 'status']
+});
+
+metrics.gauge({
+    name: 'cchub_active_sessions',
+    help: 'Conversations in progress.',
+    collect: () => paymentSessions.list().length
+});
+
+// Which API an outgoing call went to, going by the configured base URLs
+function getUpstreamName(url = '') {
+    const upstreams = {
+        wordpress: process.env.WORDPRESS_API_URL,
+        payment: process.env.PAYMENT_GATEWAY_URL,
+        zesa: process.env.ZESA_API_URL,
+        airtime: process.env.AIRTIME_API_URL,
+        graph: WHATSAPP_API_URL
+    };
+
+    const match = Object.entries(upstreams).find(([, baseUrl]) =>
+        baseUrl && (url === baseUrl || url.startsWith(baseUrl.replace(/\/$/, '') + '/'))
+    );
+    return match ? match[0] : 'other';
+}
+
+function observeUpstream(config, status) {
+    if (!config || config.startedAt === undefined) return;
+
+    upstreamLatency.observe(
+        { upstream: getUpstreamName(config.url), status },
+        (performance.now() - config.startedAt) / 1000
+    );
+}
+
+axios.interceptors.request.use(config => {
+    config.startedAt = performance.now();
+    return config;
+});
+
+axios.interceptors.response.use(
+    response => {
+        observeUpstream(response.config, response.status);
+        return response;
+    },
+    error => {
+        const status = error.response?.status || (error.code === 'ECONNABORTED' ? 'timeout' : 'error');
+        observeUpstream(error.config, status);
+        return Promise.reject(error);
+    }
+);
+
+// Middleware (keep the raw body so webhook signatures can be checked)
+app.use(bodyParser.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Store payment sessions with cleanup
-const paymentSessions = {};
+// Store payment sessions (STORAGE_DRIVER=memory|file) with cleanup
+const SESSION_TTL_MINUTES = parseInt(process.env.SESSION_TTL_MINUTES) || 15;
+const paymentSessions = createSessionStore({
+    driver: createStorage('sessions'),
+    ttlMs: SESSION_TTL_MINUTES * 60 * 1000
+});
 
-// Clean up old sessions every 10 minutes
+// Sweep expired sessions every 10 minutes (or every TTL if shorter).
+// Background timers are unref'd so they never keep the process alive on
+// their own (e.g. when the tests load the app).
 setInterval(() => {
-    const now = Date.now();
-    for (const [phone, session] of Object.entries(paymentSessions)) {
-        if (now - session.timestamp > 15 * 60 * 1000) { // 15 minutes
-            delete paymentSessions[phone];
-            console.log(`🧹 Cleaned up expired session for ${phone}`);
-        }
+    for (const phone of paymentSessions.expire()) {
+        logger.info('🧹 Cleaned up expired session', { phone });
     }
-}, 10 * 60 * 1000);
+}, Math.min(10, SESSION_TTL_MINUTES) * 60 * 1000).unref();
+
+// Every payment attempt is recorded in the transaction ledger
+const ledger = createLedger({
+    driver: createStorage('transactions'),
+    onStateChange: transaction => paymentOutcomes.inc({ service_type: getStatsKey(transaction), state: transaction.state })
+});
+
+// Saved meters and recently paid billers per user
+const addressBook = createAddressBook({ driver: createStorage('address-book') });
+
+// Remember processed WhatsApp message IDs so retries never run twice
+const MESSAGE_DEDUP_TTL_MS = (parseInt(process.env.MESSAGE_DEDUP_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const processedMessages = createMessageDeduper({
+    driver: createStorage('processed-messages'),
+    ttlMs: MESSAGE_DEDUP_TTL_MS
+});
+
+setInterval(() => processedMessages.expire(), 60 * 60 * 1000).unref();
+
+// Per-user settings such as the reply language
+const userPreferences = createStorage('preferences');
+
+// Outbound WhatsApp messages, kept until the Graph API accepts them
+const outbox = createOutbox({
+    queue: createStorage('outbox'),
+    deadLetters: createStorage('outbox-dead-letters'),
+    deliver: postWhatsAppMessage,
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8,
+    baseDelayMs: parseInt(process.env.OUTBOX_RETRY_BASE_MS) || 2000,
+    ratePerSecond: parseInt(process.env.WHATSAPP_MESSAGES_PER_SECOND) || 80
+});
+
+// Proactive notices: plain text inside the 24-hour customer service window,
+// an approved template (WHATSAPP_TEMPLATES) outside it
+const notifier = createNotifier({
+    preferences: userPreferences,
+    outbox,
+    translate: t,
+    getLanguage
+});
 
 // ==================== HELPER FUNCTIONS ====================
 
@@ -38,26 +212,96 @@ function extractPayCodes(message) {
     return matches || [];
 }
 
-// Send WhatsApp message
-async function sendMessage(to, text) {
-    try {
-        await axios.post(
-            `https://graph.facebook.com/v17.0/${process.env.PHONE_NUMBER_ID}/messages`,
-            {
-                messaging_product: "whatsapp",
-                to,
-                type: "text",
-                text: { body: text }
+// WhatsApp Cloud API base URL (point it at a stand-in server for tests)
+const WHATSAPP_API_URL = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v17.0';
+
+// Post any message type to the WhatsApp Cloud API (throws on failure)
+async function postWhatsAppMessage(to, message) {
+    await axios.post(
+        `${WHATSAPP_API_URL}/${process.env.PHONE_NUMBER_ID}/messages`,
+        {
+            messaging_product: "whatsapp",
+            to,
+            ...message
+        },
+        {
+            headers: {
+                'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+                'Content-Type': 'application/json'
             },
-            {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
+            timeout: 10000
+        }
+    );
+}
+
+function textMessage(text) {
+    return {
+        type: "text",
+        text: { body: text }
+    };
+}
+
+// Send WhatsApp message (through the outbox, so failed sends are retried)
+async function sendMessage(to, text) {
+    await outbox.send(to, textMessage(text));
+}
+
+// Send up to 3 reply buttons ({ id, title }), falling back to plain text
+// if WhatsApp rejects them
+async function sendButtons(to, text, buttons, fallbackText = text) {
+    await outbox.send(to, {
+        type: "interactive",
+        interactive: {
+            type: "button",
+            body: { text },
+            action: {
+                buttons: buttons.map(({ id, title }) => ({
+                    type: "reply",
+                    reply: { id, title }
+                }))
             }
-        );
-    } catch (error) {
-        console.error('❌ Error sending message:', error.message);
+        }
+    }, { fallback: textMessage(fallbackText) });
+}
+
+// Send a list message (sections of { id, title, description } rows),
+// falling back to plain text if WhatsApp rejects it
+async function sendList(to, text, buttonText, sections, fallbackText = text) {
+    await outbox.send(to, {
+        type: "interactive",
+        interactive: {
+            type: "list",
+            body: { text },
+            action: {
+                button: buttonText,
+                sections
+            }
+        }
+    }, { fallback: textMessage(fallbackText) });
+}
+
+// Send a flow prompt: { text }, { text, buttons } or { text, list: { button, sections } }
+async function sendPrompt(to, { text, buttons, list, fallback }) {
+    if (buttons) {
+        await sendButtons(to, text, buttons, fallback);
+    } else if (list) {
+        await sendList(to, text, list.button, list.sections, fallback);
+    } else {
+        await sendMessage(to, text);
+    }
+}
+
+// Text the bot should act on: typed text, or the ID of a tapped button/list row
+function getMessageText(message) {
+    switch (message.type) {
+        case 'text':
+            return message.text?.body;
+        case 'interactive':
+            return message.interactive?.button_reply?.id || message.interactive?.list_reply?.id;
+        case 'button':
+            return message.button?.payload || message.button?.text;
+        default:
+            return null;
     }
 }
 
@@ -70,98 +314,134 @@ function getServiceEmoji(serviceType) {
     }[serviceType] || '💳';
 }
 
-function getServiceDisplayName(serviceType) {
-    return {
-        schools: 'School Fees',
-        city_council: 'City Council',
-        insurance: 'Insurance',
-        retail: 'Retail'
-    }[serviceType] || serviceType;
+function getServiceDisplayName(phone, serviceType) {
+    const key = `service.${serviceType}`;
+    return hasMessage(key) ? t(phone, key) : serviceType;
+}
+
+function getLanguage(phone) {
+    return userPreferences.get(phone)?.language || DEFAULT_LANGUAGE;
+}
+
+function setLanguage(phone, language) {
+    userPreferences.set(phone, { ...userPreferences.get(phone), language });
+}
+
+// Message from the catalogue (locales/) in the user's language
+function t(phone, key, params) {
+    return translate(getLanguage(phone), key, params);
+}
+
+// ==================== ABUSE PROTECTION ====================
+
+// Messages per phone per minute before a short cool-off
+const messageLimiter = createRateLimiter({
+    limit: parseInt(process.env.MESSAGE_RATE_LIMIT) || 30,
+    windowMs: 60 * 1000,
+    lockoutMs: 2 * 60 * 1000
+});
+
+// Invalid PayCodes per phone per 15 minutes before a lockout. The code
+// space is only a million values, so guessing must stay expensive.
+const payCodeLimiter = createRateLimiter({
+    limit: parseInt(process.env.PAYCODE_ATTEMPT_LIMIT) || 5,
+    windowMs: 15 * 60 * 1000,
+    lockoutMs: (parseInt(process.env.PAYCODE_LOCKOUT_MINUTES) || 30) * 60 * 1000
+});
+
+setInterval(() => {
+    messageLimiter.prune();
+    payCodeLimiter.prune();
+}, 10 * 60 * 1000).unref();
+
+// Stop calling WordPress while it keeps failing (network errors and 5xx)
+const wordpressBreaker = createCircuitBreaker({
+    name: 'wordpress',
+    failureThreshold: 5,
+    resetTimeoutMs: 60 * 1000,
+    isFailure: error => !error.response || error.response.status >= 500
+});
+
+// How long a PayCode lookup may take before we give up on WordPress
+const WORDPRESS_TIMEOUT_MS = parseInt(process.env.WORDPRESS_TIMEOUT_MS) || 10000;
+
+function formatWait(phone, ms) {
+    const minutes = Math.ceil(ms / 60000);
+    return minutes > 1 ? t(phone, 'time.minutes', { count: minutes }) : t(phone, 'time.minute');
 }
 
 // ==================== PAYCODE HANDLING ====================
 
-async function handlePayCode(from, message) {
-    console.log(`🔍 PayCode scan from ${from}: "${message}"`);
+// repeat ({ amount, currency, references }) comes from a scheduled payment:
+// with the same currency it skips the steps that are already answered
+async function handlePayCode(from, message, repeat = {}) {
+    logger.info('🔍 PayCode scan', { from, message });
 
     const payCodes = extractPayCodes(message);
 
     if (payCodes.length === 0) {
-        await sendMessage(
-            from,
-            `❌ No valid PayCode found.\n\n` +
-            `Please send a valid PayCode starting with CCH followed by 6 digits.\n\n` +
-            `Example: *CCH123456*`
-        );
+        await sendMessage(from, t(from, 'paycode.none'));
         return;
     }
 
     if (payCodes.length > 1) {
-        await sendMessage(
-            from,
-            `⚠️ I found *more than one PayCode* in your message:\n` +
-            `${payCodes.join(', ')}\n\n` +
-            `Please send *only one PayCode* to continue.\n\n` +
-            `Example:\nCCH123456`
-        );
+        await sendMessage(from, t(from, 'paycode.multiple', { payCodes: payCodes.join(', ') }));
         return;
     }
 
     // Exactly ONE paycode
     const payCode = payCodes[0];
 
+    const lock = payCodeLimiter.check(from);
+    if (lock.locked) {
+        logger.warn('🔒 PayCode attempt while locked out', { from, payCode });
+        await sendMessage(from, t(from, 'paycode.locked', { wait: formatWait(from, lock.retryAfterMs) }));
+        return;
+    }
+
     try {
-        console.log(`🔐 Verifying PayCode: ${payCode}`);
-        console.log(`🌐 API URL: ${process.env.WORDPRESS_API_URL}/wp-json/cchub/v1/get-biller-code/${payCode}`);
-        console.log(`🔑 Token present: ${!!process.env.CCHUB_BOT_TOKEN}`);
-        
-        // Test the API endpoint directly first
+        logger.info('🔐 Verifying PayCode', { payCode, hasToken: !!process.env.CCHUB_BOT_TOKEN });
+
         const apiUrl = `${process.env.WORDPRESS_API_URL}/wp-json/cchub/v1/get-biller-code/${payCode}`;
-        console.log(`📡 Testing API endpoint: ${apiUrl}`);
 
-        const response = await axios.get(
+        const response = await wordpressBreaker.exec(() => axios.get(
             apiUrl,
             {
                 headers: { 
                     'X-CCHUB-TOKEN': process.env.CCHUB_BOT_TOKEN,
                     'User-Agent': 'CCHub-WhatsApp-Bot/1.0'
                 },
-                timeout: 10000,
-                // Add axios interceptors for debugging
-                transformResponse: [(data) => {
-                    console.log('📥 Raw API Response:', data);
-                    return data;
-                }]
+                timeout: WORDPRESS_TIMEOUT_MS
             }
-        );
+        ));
 
-        console.log('📊 API Response Status:', response.status);
-        console.log('📦 API Response Headers:', JSON.stringify(response.headers));
-        console.log('📄 API Response Data:', JSON.stringify(response.data, null, 2));
+        logger.debug('📄 PayCode API response', { payCode, status: response.status, data: response.data });
 
         const data = response.data;
 
         if (!data) {
-            console.error('❌ API returned empty response');
-            await sendMessage(
-                from,
-                `⚠️ The server returned an empty response.\n\n` +
-                `Please try again or contact support.`
-            );
+            logger.error('❌ PayCode API returned empty response', { payCode });
+            await sendMessage(from, t(from, 'paycode.emptyResponse'));
             return;
         }
 
         if (data.status !== 'success') {
-            console.error('❌ API returned non-success status:', data.status);
-            console.error('❌ Error message:', data.message || 'No error message');
+            logger.warn('❌ PayCode API returned non-success status', {
+                payCode,
+                status: data.status,
+                apiMessage: data.message || null
+            });
             
-            await sendMessage(
-                from,
-                `❌ This PayCode is not valid.\n\n` +
-                `Status: ${data.status}\n` +
-                `Message: ${data.message || 'Code may be expired or already used'}\n\n` +
-                `Please generate a new PayCode from the website.`
-            );
+            await sendMessage(from, t(from, 'paycode.invalid', {
+                status: data.status,
+                message: data.message || t(from, 'paycode.invalid.defaultMessage')
+            }));
+
+            const attempt = payCodeLimiter.hit(from);
+            if (attempt.justLocked) {
+                logger.warn('🔒 PayCode lockout started', { from });
+                await sendMessage(from, t(from, 'paycode.lockedNow', { wait: formatWait(from, attempt.retryAfterMs) }));
+            }
             return;
         }
 
@@ -170,402 +450,1534 @@ async function handlePayCode(from, message) {
         const missingFields = requiredFields.filter(field => !data[field]);
         
         if (missingFields.length > 0) {
-            console.error('❌ Missing required fields:', missingFields);
-            await sendMessage(
-                from,
-                `⚠️ Incomplete PayCode data.\n\n` +
-                `Missing: ${missingFields.join(', ')}\n\n` +
-                `Please contact support.`
-            );
+            logger.error('❌ PayCode data missing required fields', { payCode, missingFields });
+            await sendMessage(from, t(from, 'paycode.incomplete', { fields: missingFields.join(', ') }));
             return;
         }
 
-        paymentSessions[from] = {
+        // The biller decides the currency; older PayCodes don't say
+        const currency = data.currency ? normalizeCurrency(data.currency) : DEFAULT_CURRENCY;
+
+        if (!currency) {
+            logger.error('❌ Unsupported PayCode currency', { payCode, currency: data.currency });
+            await sendMessage(from, t(from, 'paycode.unsupportedCurrency', { currency: data.currency }));
+            return;
+        }
+
+        logger.info('✅ PayCode verified', {
+            from,
             payCode,
             serviceType: data.service_type,
             providerName: data.provider_name,
             billerCode: data.biller_code,
-            stage: 'amount_entry',
-            transactionType: 'paycode_payment',
-            timestamp: Date.now()
-        };
+            currency
+        });
 
-        console.log(`✅ PayCode verified successfully for ${from}:`, {
+        const session = {
+            payCode,
             serviceType: data.service_type,
             providerName: data.provider_name,
-            billerCode: data.biller_code
-        });
-
-        await sendMessage(
-            from,
-            `${getServiceEmoji(data.service_type)} *Payment detected ✅*\n\n` +
-            `Service: ${getServiceDisplayName(data.service_type)}\n` +
-            `Provider: ${data.provider_name}\n` +
-            `Biller Code: ${data.biller_code}\n\n` +
-            `Please enter the amount to pay (ZWL).\n\n` +
-            `*Example:* 15000`
-        );
+            billerCode: data.biller_code,
+            currency,
+            references: repeat.references,
+            amount: repeat.currency === currency ? repeat.amount : undefined
+        };
+        await flows.start(from, 'paycode_payment', session, session.amount ? nextReferenceState(session) : 'amount_entry');
 
     } catch (error) {
-        console.error('❌ PayCode verification error:');
-        console.error('📛 Error name:', error.name);
-        console.error('📝 Error message:', error.message);
-        console.error('🔗 Error URL:', error.config?.url);
-        console.error('🔑 Request headers:', error.config?.headers);
-        
-        if (error.response) {
-            console.error('📡 Response Status:', error.response.status);
-            console.error('📋 Response Headers:', error.response.headers);
-            console.error('📄 Response Data:', error.response.data);
-        } else if (error.request) {
-            console.error('🌐 No response received. Request was made but no response.');
-            console.error('Request details:', error.request);
+        if (error instanceof CircuitOpenError) {
+            logger.warn('⛔ PayCode verification skipped: WordPress circuit open', { payCode });
+            await sendMessage(from, t(from, 'paycode.unavailable'));
+            return;
         }
+
+        logger.error('❌ PayCode verification error', {
+            payCode,
+            error,
+            responseData: error.response?.data,
+            noResponse: !error.response && !!error.request
+        });
         
-        let errorMessage = `⚠️ Unable to verify PayCode right now.\n\n`;
+        let reason;
         
         if (error.code === 'ECONNREFUSED') {
-            errorMessage += `Cannot connect to the server. Please check if the WordPress site is running.`;
-        } else if (error.code === 'ETIMEDOUT') {
-            errorMessage += `Connection timeout. The server is taking too long to respond.`;
+            reason = 'refused';
+        } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+            // axios reports its own timeout as ECONNABORTED
+            reason = 'timeout';
         } else if (error.response) {
             if (error.response.status === 401) {
-                errorMessage += `Authentication failed. Invalid token.`;
+                reason = 'auth';
             } else if (error.response.status === 404) {
-                errorMessage += `PayCode endpoint not found. Please check the API URL.`;
+                reason = 'notFound';
             } else if (error.response.status === 500) {
-                errorMessage += `Server error. Please try again later.`;
+                reason = 'server';
             } else {
-                errorMessage += `Server returned status: ${error.response.status}`;
+                reason = 'status';
             }
         } else {
-            errorMessage += `Please try again in a moment.`;
+            reason = 'other';
         }
         
-        await sendMessage(from, errorMessage);
+        await sendMessage(from, t(from, 'paycode.verifyError', {
+            reason: t(from, `paycode.verifyError.${reason}`, { status: error.response?.status })
+        }));
     }
 }
 
+// A photo of a PayCode: take it from the caption, or from the QR code in
+// the picture, then carry on as if the user had typed it
+async function handleImageMessage(from, image) {
+    // Photos count against the message limit like any other message, and
+    // nothing is downloaded for a user who is over it
+    if (!(await allowMessage(from))) return;
+
+    const caption = image.caption || '';
+    if (extractPayCodes(caption).length > 0) {
+        await processMessage(from, caption, { counted: true });
+        return;
+    }
+
+    let qrText;
+    try {
+        const { buffer } = await downloadMedia(image.id, {
+            apiUrl: WHATSAPP_API_URL,
+            accessToken: process.env.WHATSAPP_ACCESS_TOKEN
+        });
+        qrText = readQrCode(buffer);
+    } catch (error) {
+        logger.error('❌ Image download failed', { from, mediaId: image.id, error });
+        await sendMessage(from, t(from, 'paycode.imageFailed'));
+        return;
+    }
+
+    logger.info('📷 Image scanned for a QR code', { from, mediaId: image.id, found: !!qrText });
+
+    if (qrText && extractPayCodes(qrText).length > 0) {
+        await processMessage(from, qrText, { counted: true });
+        return;
+    }
+
+    await sendMessage(from, t(from, 'paycode.imageUnreadable'));
+}
+
 // ==================== PAYMENT PROCESSING ====================
 
+// What makes two payments "the same" for each transaction type
+const PAYMENT_TARGETS = {
+    paycode_payment: 'payCode',
+    zesa_purchase: 'meterNumber',
+    airtime_purchase: 'recipient'
+};
+
+// How long an unresolved payment is reused when the user confirms it again
+const PAYMENT_RETRY_WINDOW_MS = (parseInt(process.env.PAYMENT_RETRY_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// After a timeout the user usually just tries again. If the same payment is
+// still pending or unknown we submit that transaction again instead of a new
+// one, so the gateway sees the same Idempotency-Key and can't charge twice.
+function createPaymentTransaction(details) {
+    const target = PAYMENT_TARGETS[details.transactionType];
+    const since = Date.now() - PAYMENT_RETRY_WINDOW_MS;
+
+    const [unresolved] = ledger.find(transaction =>
+        transaction.phone === details.phone &&
+        transaction.transactionType === details.transactionType &&
+        ['pending', 'unknown'].includes(transaction.state) &&
+        transaction[target] === details[target] &&
+        transaction.amount === details.amount &&
+        transaction.currency === details.currency &&
+        Date.parse(transaction.createdAt) >= since
+    );
+
+    if (unresolved) {
+        logger.info('♻️ Retrying unresolved transaction', { transactionId: unresolved.id, phone: details.phone });
+        return unresolved;
+    }
+
+    return ledger.create(details);
+}
+
 async function processPayment(from, amount) {
-    const session = paymentSessions[from];
+    const session = paymentSessions.get(from);
     
-    if (!session) {
+    if (!session || session.expired) {
         await sendWelcomeMessage(from);
         return;
     }
 
+    const transaction = createPaymentTransaction({
+        transactionType: 'paycode_payment',
+        phone: from,
+        amount,
+        currency: session.currency,
+        payCode: session.payCode,
+        billerCode: session.billerCode,
+        serviceType: session.serviceType,
+        providerName: session.providerName,
+        references: session.references || {}
+    });
+
+    // Send payment request to your payment gateway
+    const submitted = await submitTransaction({
+        ledger,
+        transaction,
+        ...getGatewayConfig('paycode_payment'),
+        path: '/process-payment',
+        payload: {
+            phone: from,
+            amount: amount,
+            currency: session.currency,
+            payCode: session.payCode,
+            billerCode: session.billerCode,
+            serviceType: session.serviceType,
+            providerName: session.providerName,
+            references: session.references || {}
+        },
+    });
+
+    await sendPaymentOutcome(from, submitted, { unavailable: 'payment.error', failed: 'payment.failed' }, async result => {
+        addressBook.recordBiller(from, session);
+
+        await sendMessage(from, t(from, 'payment.success', {
+            amount: formatAmount(amount, session.currency),
+            service: getServiceDisplayName(from, session.serviceType),
+            references: referenceRows(session).map(([label, value]) => `${t(from, label)}: ${value}\n`).join(''),
+            reference: result.gatewayReference,
+            id: result.id,
+            date: new Date().toLocaleString()
+        }));
+    });
+    
+    // Clear session after payment attempt
+    paymentSessions.delete(from);
+}
+
+function getGatewayConfig(transactionType) {
+    switch (transactionType) {
+        case 'paycode_payment':
+            return {
+                baseUrl: process.env.PAYMENT_GATEWAY_URL,
+                headers: { 'Authorization': `Bearer ${process.env.PAYMENT_API_KEY}` }
+            };
+        case 'zesa_purchase':
+            return { baseUrl: process.env.ZESA_API_URL, headers: {} };
+        case 'airtime_purchase':
+            return { baseUrl: process.env.AIRTIME_API_URL, headers: {} };
+        default:
+            return null;
+    }
+}
+
+// ==================== ZESA & AIRTIME PROCESSING ====================
+
+async function processZesaPayment(from, amount, meterNumber, currency) {
+    // Call ZESA API
+    await sendMessage(from, t(from, 'zesa.processing', {
+        meter: meterNumber,
+        amount: formatAmount(amount, currency)
+    }));
+
+    const transaction = createPaymentTransaction({
+        transactionType: 'zesa_purchase',
+        phone: from,
+        amount,
+        currency,
+        meterNumber
+    });
+
+    const submitted = await submitTransaction({
+        ledger,
+        transaction,
+        ...getGatewayConfig('zesa_purchase'),
+        path: '/purchase',
+        payload: {
+            meter: meterNumber,
+            amount: amount,
+            currency,
+            phone: from
+        }
+    });
+
+    await sendPaymentOutcome(from, submitted, { unavailable: 'zesa.unavailable', failed: 'zesa.failed' }, async result => {
+        const { tokens } = submitted.data;
+
+        // Keep the tokens so the receipt can be looked up later
+        ledger.update(result.id, { tokens });
+
+        const isSaved = addressBook.getMeters(from).some(meter => meter.meterNumber === meterNumber);
+
+        await sendMessage(
+            from,
+            t(from, 'zesa.success', {
+                meter: meterNumber,
+                amount: formatAmount(amount, currency),
+                tokens,
+                reference: result.gatewayReference
+            }) +
+            (isSaved ? '' : `\n\n` + t(from, 'zesa.saveTip', { meter: meterNumber }))
+        );
+    });
+    
+    paymentSessions.delete(from);
+}
+
+// Data bundles the airtime provider sells on this network (empty if none)
+async function fetchBundles(network) {
     try {
-        // Send payment request to your payment gateway
-        const paymentResponse = await axios.post(
-            `${process.env.PAYMENT_GATEWAY_URL}/process-payment`,
-            {
-                phone: from,
-                amount: amount,
-                payCode: session.payCode,
-                billerCode: session.billerCode,
-                serviceType: session.serviceType,
-                providerName: session.providerName
+        const response = await axios.get(`${process.env.AIRTIME_API_URL}/bundles`, {
+            params: { network },
+            timeout: 10000
+        });
+
+        // WhatsApp lists hold at most 10 rows
+        return (response.data?.bundles || [])
+            .filter(bundle => bundle.id && bundle.name && bundle.price > 0)
+            .slice(0, 10)
+            .map(bundle => ({
+                id: String(bundle.id),
+                name: bundle.name,
+                price: Number(bundle.price),
+                currency: normalizeCurrency(bundle.currency) || DEFAULT_CURRENCY
+            }));
+    } catch (error) {
+        logger.warn('⚠️ Bundles unavailable', { network, error });
+        return [];
+    }
+}
+
+async function processAirtimePayment(from, amount, currency, { recipient, network, bundleId, bundleName }) {
+    const product = bundleName ? t(from, 'airtime.bundleLine', { bundle: bundleName }) : '';
+
+    await sendMessage(from, t(from, 'airtime.processing', {
+        recipient,
+        network: getNetworkName(network),
+        product,
+        amount: formatAmount(amount, currency)
+    }));
+
+    const transaction = createPaymentTransaction({
+        transactionType: 'airtime_purchase',
+        phone: from,
+        amount,
+        currency,
+        recipient,
+        network,
+        bundleId: bundleId || null,
+        bundleName: bundleName || null
+    });
+
+    const submitted = await submitTransaction({
+        ledger,
+        transaction,
+        ...getGatewayConfig('airtime_purchase'),
+        path: '/purchase',
+        payload: {
+            phone: from,
+            recipient,
+            network,
+            bundleId: bundleId || undefined,
+            amount: amount,
+            currency
+        }
+    });
+
+    await sendPaymentOutcome(from, submitted, { unavailable: 'airtime.unavailable', failed: 'airtime.failed' }, async result => {
+        await sendMessage(from, t(from, 'airtime.success', {
+            recipient,
+            product,
+            amount: formatAmount(amount, currency),
+            reference: result.gatewayReference,
+            arrival: t(from, bundleName ? 'airtime.arrival.bundle' : 'airtime.arrival.airtime')
+        }));
+    });
+    
+    paymentSessions.delete(from);
+}
+
+// Tell the user how a submitted payment went. sendReceipt(transaction)
+// sends the service's own success message; messages names its
+// "unavailable" (gateway unreachable) and "failed" (declined) texts.
+async function sendPaymentOutcome(from, { transaction: result, error }, messages, sendReceipt) {
+    // The gateway's callback beat its own response, and the user has
+    // already been told the outcome
+    if (result.callbackAt) return;
+
+    if (result.state === 'succeeded') {
+        await sendReceipt(result);
+    } else if (result.state === 'failed' && error && !error.response) {
+        await sendMessage(from, t(from, messages.unavailable));
+    } else if (result.state === 'failed') {
+        await sendMessage(from, t(from, messages.failed, {
+            reason: result.failureReason || t(from, 'payment.failed.defaultReason')
+        }));
+    } else {
+        await sendUnconfirmedPaymentMessage(from, result);
+    }
+}
+
+// Gateway accepted the request but hasn't finished, or we couldn't find out
+async function sendUnconfirmedPaymentMessage(from, transaction) {
+    if (transaction.state === 'pending') {
+        await sendMessage(from, t(from, 'payment.pending', { id: transaction.id }));
+        return;
+    }
+
+    await sendMessage(from, t(from, 'payment.unknown', { id: transaction.id }));
+}
+
+// ==================== CONVERSATION FLOWS ====================
+
+const CONFIRM_TIMEOUT_MS = (parseInt(process.env.CONFIRM_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+
+const flows = createFlowEngine({
+    sessions: paymentSessions,
+    send: sendPrompt,
+    messages: {
+        cancelled: from => t(from, 'flow.cancelled'),
+        firstStep: from => t(from, 'flow.firstStep'),
+        processing: from => t(from, 'flow.processing')
+    },
+    onTransition: (flow, from, to) => flowTransitions.inc({ flow, from, to })
+});
+
+// Which currency to pay in; skipped when only one currency is offered
+function currencyState(next) {
+    return {
+        skip() {
+            const currencies = getSupportedCurrencies();
+            return currencies.length === 1 ? { data: { currency: currencies[0] } } : null;
+        },
+        prompt({ from }) {
+            const currencies = getSupportedCurrencies();
+            const question = t(from, 'currency.prompt');
+            return {
+                text: question,
+                buttons: currencies.slice(0, 3).map(currency => ({ id: currency, title: getCurrencyLabel(currency) })),
+                fallback: question + `\n\n` +
+                    currencies.map((currency, index) => `${index + 1}. ${getCurrencyLabel(currency)}`).join('\n') + `\n\n` +
+                    t(from, 'currency.prompt.fallback')
+            };
+        },
+        validate({ from, clean }) {
+            const currencies = getSupportedCurrencies();
+            const byNumber = /^\d+$/.test(clean) ? currencies[parseInt(clean) - 1] : null;
+            const currency = byNumber || normalizeCurrency(clean);
+
+            if (!currencies.includes(currency)) {
+                return { error: t(from, 'currency.invalid', { currencies: currencies.map(getCurrencyLabel).join(', ') }) };
+            }
+            return { data: { currency }, notice: t(from, 'currency.chosen', { currency: getCurrencyLabel(currency) }) };
+        },
+        next
+    };
+}
+
+function amountState(transactionType, prompt) {
+    return {
+        prompt,
+        validate({ from, clean, data }) {
+            const { min, max, example } = getAmountLimits(data.currency, transactionType);
+
+            // Say exactly what was wrong with input we couldn't read
+            const { amount, error, entered } = parseAmount(clean, { currency: data.currency });
+            if (error) {
+                return {
+                    error: t(from, `amount.${error}`, {
+                        example,
+                        currency: getCurrencyLabel(data.currency),
+                        entered: entered && getCurrencyLabel(entered)
+                    })
+                };
+            }
+
+            if (!isAmountAllowed(amount, data.currency, transactionType)) {
+                return {
+                    error: t(from, 'amount.invalid', {
+                        min: formatAmount(min, data.currency),
+                        max: formatAmount(max, data.currency),
+                        example
+                    })
+                };
+            }
+            return { data: { amount } };
+        },
+        next: 'confirm'
+    };
+}
+
+function purchaseAmountPrompt({ from, data }) {
+    return {
+        text: t(from, 'amount.prompt', {
+            currency: getCurrencyLabel(data.currency),
+            example: getAmountLimits(data.currency, data.transactionType).example
+        })
+    };
+}
+
+// Show a summary (with fees if the gateway quotes them) and wait for
+// YES/NO/EDIT before the flow's action charges anything. summary returns
+// [labelKey, value] rows.
+function confirmState({ summary, editState, editButton = () => 'button.editAmount' }) {
+    return {
+        async prompt({ from, data }) {
+            const { baseUrl, headers } = getGatewayConfig(data.transactionType);
+            const quote = await getQuote({
+                baseUrl,
+                headers,
+                payload: {
+                    transactionType: data.transactionType,
+                    amount: data.amount,
+                    currency: data.currency,
+                    phone: from,
+                    billerCode: data.billerCode,
+                    meter: data.meterNumber,
+                    recipient: data.recipient,
+                    network: data.network,
+                    bundleId: data.bundleId
+                }
+            });
+
+            const rows = [...summary({ from, data }), ['label.amount', formatAmount(data.amount, data.currency)]];
+            let text = rows.map(([label, value]) => `${t(from, label)}: ${value}\n`).join('');
+            if (quote) {
+                text +=
+                    `${t(from, 'label.fee')}: ${formatAmount(quote.fee, data.currency)}\n` +
+                    `*${t(from, 'label.total')}: ${formatAmount(quote.total, data.currency)}*\n`;
+            }
+
+            const title = t(from, 'confirm.title');
+            return {
+                text: `${title}\n\n` + text.trim(),
+                buttons: [
+                    { id: 'yes', title: t(from, 'button.pay') },
+                    { id: 'no', title: t(from, 'button.cancel') },
+                    { id: 'edit', title: t(from, editButton(data)) }
+                ],
+                fallback: `${title}\n\n` + text + `\n` + t(from, 'confirm.reply')
+            };
+        },
+        validate({ from, clean, data, enteredAt }) {
+            if (Date.now() - enteredAt > CONFIRM_TIMEOUT_MS) {
+                return { next: editState(data), notice: t(from, 'confirm.timedOut') };
+            }
+            if (clean === 'yes' || clean === 'y') {
+                return { complete: true };
+            }
+            if (clean === 'no' || clean === 'n') {
+                return { cancel: true };
+            }
+            if (clean === 'edit') {
+                return { next: editState(data) };
+            }
+            return { error: t(from, 'confirm.reply') };
+        }
+    };
+}
+
+// Summary/receipt rows for the account references a PayCode payment
+// collected (session or ledger transaction)
+function referenceRows({ serviceType, references = {} }) {
+    return getReferenceFields(serviceType)
+        .filter(field => references[field])
+        .map(field => [`label.${field}`, references[field]]);
+}
+
+// Next reference to ask for: the one after `field`, or the first one still
+// missing when coming from the amount (so EDIT doesn't ask for them again)
+function nextReferenceState(data, field) {
+    const fields = getReferenceFields(data.serviceType);
+    const remaining = field
+        ? fields.slice(fields.indexOf(field) + 1)
+        : fields.filter(name => !data.references?.[name]);
+    return remaining.length > 0 ? `reference_${remaining[0]}` : 'confirm';
+}
+
+function referenceState(field) {
+    return {
+        prompt({ from, data }) {
+            return { text: t(from, `reference.${field}.prompt`, { provider: data.providerName }) };
+        },
+        validate({ from, text, data }) {
+            const value = parseReference(field, text);
+            if (!value) {
+                return { error: t(from, `reference.${field}.invalid`) };
+            }
+            return { data: { references: { ...data.references, [field]: value } } };
+        },
+        next: data => nextReferenceState(data, field)
+    };
+}
+
+// One state per reference field any service type uses
+const referenceStates = Object.fromEntries(
+    [...new Set(Object.values(REFERENCE_FIELDS).flat())].map(field => [`reference_${field}`, referenceState(field)])
+);
+
+const payCodeFlow = {
+    id: 'paycode_payment',
+    start: 'paycode_entry',
+    states: {
+        // PayCodes are picked up by processMessage before they reach the
+        // flow, so anything arriving here isn't one
+        paycode_entry: {
+            prompt({ from }) {
+                const text = t(from, 'paycode.prompt');
+
+                const billers = addressBook.getBillers(from);
+                if (billers.length === 0) {
+                    return { text };
+                }
+
+                // Row IDs are the PayCodes, so a tap goes through the normal PayCode path
+                const title = t(from, 'paycode.recentBillers.title');
+                return {
+                    text: text + `\n\n` + t(from, 'paycode.recentBillers'),
+                    list: {
+                        button: title,
+                        sections: [{
+                            title,
+                            rows: billers.map(biller => ({
+                                id: biller.payCode,
+                                title: (biller.nickname || biller.providerName).slice(0, 24),
+                                description: `${getServiceDisplayName(from, biller.serviceType)} - ${biller.payCode}`
+                            }))
+                        }]
+                    },
+                    fallback: text + `\n\n*${title}:*\n` +
+                        billers.map(biller => `• ${describeBiller(from, biller)}: ${biller.payCode}`).join('\n')
+                };
             },
-            {
-                headers: { 'Authorization': `Bearer ${process.env.PAYMENT_API_KEY}` }
+            validate({ from }) {
+                return { error: t(from, 'paycode.none') };
             }
-        );
+        },
+        amount_entry: {
+            ...amountState('paycode_payment', ({ from, data }) => ({
+                text: t(from, 'paycode.detected', {
+                    emoji: getServiceEmoji(data.serviceType),
+                    service: getServiceDisplayName(from, data.serviceType),
+                    provider: data.providerName,
+                    billerCode: data.billerCode,
+                    currency: getCurrencyLabel(data.currency),
+                    example: getAmountLimits(data.currency, 'paycode_payment').example
+                })
+            })),
+            // Billers that need account references get them asked for next
+            next: data => nextReferenceState(data)
+        },
+        ...referenceStates,
+        confirm: confirmState({
+            summary: ({ from, data }) => [
+                ['label.service', getServiceDisplayName(from, data.serviceType)],
+                ['label.provider', data.providerName],
+                ['label.billerCode', data.billerCode],
+                ...referenceRows(data)
+            ],
+            editState: () => 'amount_entry'
+        })
+    },
+    action: (from, data) => processPayment(from, data.amount)
+};
+
+const zesaFlow = {
+    id: 'zesa_purchase',
+    start: 'zesa_meter_entry',
+    states: {
+        zesa_meter_entry: {
+            prompt({ from }) {
+                const savedMeters = addressBook.getMeters(from);
+                if (savedMeters.length === 0) {
+                    return { text: t(from, 'zesa.enterMeter') };
+                }
 
-        if (paymentResponse.data.success) {
-            await sendMessage(
-                from,
-                `✅ *Payment Successful!*\n\n` +
-                `Amount: ZWL ${amount.toLocaleString()}\n` +
-                `Service: ${getServiceDisplayName(session.serviceType)}\n` +
-                `Reference: ${paymentResponse.data.reference}\n` +
-                `Date: ${new Date().toLocaleString()}\n\n` +
-                `Thank you for using CCHub!`
-            );
+                const text = t(from, 'zesa.chooseMeter');
+                return {
+                    text,
+                    list: {
+                        button: t(from, 'zesa.chooseMeter.button'),
+                        sections: [{
+                            title: t(from, 'zesa.savedMeters'),
+                            rows: [
+                                ...savedMeters.map(meter => ({
+                                    id: meter.meterNumber,
+                                    title: meter.nickname || meter.meterNumber,
+                                    description: meter.nickname ? meter.meterNumber : undefined
+                                })),
+                                { id: 'new', title: t(from, 'zesa.newMeter'), description: t(from, 'zesa.newMeter.description') }
+                            ]
+                        }]
+                    },
+                    fallback: text + `\n\n` +
+                        savedMeters.map((meter, index) => `${index + 1}. ${describeMeter(meter)}`).join('\n') + `\n\n` +
+                        t(from, 'zesa.chooseMeter.fallback')
+                };
+            },
+            // Look the meter up so the user can check the registered owner before paying
+            async validate({ from, clean }) {
+                if (clean === 'new') {
+                    return { error: t(from, 'zesa.enterMeter.again') };
+                }
+
+                // A saved meter can be picked by list number or nickname
+                const savedMeter = addressBook.findMeter(from, clean);
+                const meterNumber = savedMeter ? savedMeter.meterNumber : clean;
+
+                // ZESA meters are usually 11 digits
+                if (!/^\d{10,12}$/.test(meterNumber)) {
+                    return { error: t(from, 'zesa.invalidMeter') };
+                }
+
+                const lookup = await lookupMeter(meterNumber);
+
+                if (lookup.status === 'unknown') {
+                    return { error: t(from, 'zesa.meterNotFound', { meter: meterNumber }) };
+                }
+
+                if (lookup.status === 'blocked') {
+                    return {
+                        error: t(from, 'zesa.meterBlocked', {
+                            meter: meterNumber,
+                            reason: lookup.reason ? `${t(from, 'label.reason')}: ${lookup.reason}\n` : ''
+                        })
+                    };
+                }
+
+                if (lookup.status !== 'valid') {
+                    return { error: t(from, 'zesa.lookupUnavailable') };
+                }
+
+                return {
+                    data: {
+                        meterNumber,
+                        customerName: lookup.customerName,
+                        customerAddress: lookup.address
+                    }
+                };
+            },
+            next: 'zesa_meter_confirm'
+        },
+        zesa_meter_confirm: {
+            prompt({ from, data }) {
+                const text = t(from, 'zesa.meterDetails', {
+                    meter: data.meterNumber,
+                    name: data.customerName || t(from, 'zesa.notProvided'),
+                    address: data.customerAddress || t(from, 'zesa.notProvided')
+                });
+                return {
+                    text,
+                    buttons: [
+                        { id: 'yes', title: t(from, 'button.yes') },
+                        { id: 'no', title: t(from, 'button.change') }
+                    ],
+                    fallback: text + `\n\n` + t(from, 'zesa.meterDetails.fallback')
+                };
+            },
+            validate({ from, clean, data }) {
+                if (clean === 'yes' || clean === 'y') {
+                    return { notice: t(from, 'zesa.meterConfirmed', { meter: data.meterNumber }) };
+                }
+                if (clean === 'no' || clean === 'n') {
+                    return {
+                        data: { meterNumber: null, customerName: null, customerAddress: null },
+                        next: 'zesa_meter_entry'
+                    };
+                }
+                return { error: t(from, 'zesa.meterDetails.retry') };
+            },
+            next: 'zesa_currency_entry'
+        },
+        zesa_currency_entry: currencyState('zesa_amount_entry'),
+        zesa_amount_entry: amountState('zesa_purchase', purchaseAmountPrompt),
+        confirm: confirmState({
+            summary: ({ from, data }) => [
+                ['label.service', t(from, 'service.zesa')],
+                ['label.meter', data.meterNumber],
+                ...(data.customerName ? [['label.customer', data.customerName]] : [])
+            ],
+            editState: () => 'zesa_amount_entry'
+        })
+    },
+    action: (from, data) => processZesaPayment(from, data.amount, data.meterNumber, data.currency)
+};
+
+const airtimeFlow = {
+    id: 'airtime_purchase',
+    start: 'airtime_recipient_entry',
+    states: {
+        airtime_recipient_entry: {
+            prompt({ from }) {
+                return {
+                    text: t(from, 'airtime.recipientPrompt', { phone: from }),
+                    buttons: [{ id: 'me', title: t(from, 'airtime.myNumber') }],
+                    fallback: t(from, 'airtime.recipientPrompt.fallback', { phone: from })
+                };
+            },
+            async validate({ from, clean }) {
+                const recipient = normalizeZimbabweanNumber(clean === 'me' ? from : clean);
+                const network = detectNetwork(recipient);
+
+                if (!recipient || !network) {
+                    return { error: t(from, 'airtime.invalidNumber') };
+                }
+
+                return {
+                    data: { recipient, network, bundles: await fetchBundles(network) },
+                    notice: t(from, 'airtime.recipient', { recipient, network: getNetworkName(network) })
+                };
+            },
+            // Only offer bundles where the provider sells them
+            next: data => data.bundles.length > 0 ? 'airtime_product_entry' : 'airtime_currency_entry'
+        },
+        airtime_product_entry: {
+            prompt({ from }) {
+                const question = t(from, 'airtime.productPrompt');
+                return {
+                    text: question,
+                    buttons: [
+                        { id: 'airtime', title: t(from, 'airtime.airtime') },
+                        { id: 'bundle', title: t(from, 'airtime.bundle') }
+                    ],
+                    fallback: question + `\n\n` + t(from, 'airtime.productPrompt.fallback')
+                };
+            },
+            validate({ from, clean }) {
+                if (clean === 'airtime' || clean === '1') {
+                    return { data: { bundleId: null, bundleName: null }, next: 'airtime_currency_entry' };
+                }
+                if (clean === 'bundle' || clean === '2') {
+                    return { next: 'airtime_bundle_entry' };
+                }
+                return { error: t(from, 'airtime.productPrompt.retry') };
+            }
+        },
+        airtime_bundle_entry: {
+            prompt({ from, data }) {
+                const text = t(from, 'airtime.bundlePrompt');
+                return {
+                    text,
+                    list: {
+                        button: t(from, 'airtime.bundlePrompt.button'),
+                        sections: [{
+                            title: getNetworkName(data.network),
+                            rows: data.bundles.map(bundle => ({
+                                id: bundle.id,
+                                title: bundle.name.slice(0, 24),
+                                description: formatAmount(bundle.price, bundle.currency)
+                            }))
+                        }]
+                    },
+                    fallback: text + `\n\n` +
+                        data.bundles.map((bundle, index) =>
+                            `${index + 1}. ${bundle.name} - ${formatAmount(bundle.price, bundle.currency)}`
+                        ).join('\n') + `\n\n` +
+                        t(from, 'airtime.bundlePrompt.fallback')
+                };
+            },
+            validate({ from, clean, data }) {
+                const bundle = data.bundles.find(b => b.id.toLowerCase() === clean) ||
+                    (/^\d+$/.test(clean) ? data.bundles[parseInt(clean) - 1] : null);
+
+                if (!bundle) {
+                    return { error: t(from, 'airtime.invalidBundle') };
+                }
+
+                return {
+                    data: {
+                        currency: bundle.currency,
+                        amount: bundle.price,
+                        bundleId: bundle.id,
+                        bundleName: bundle.name
+                    }
+                };
+            },
+            next: 'confirm'
+        },
+        airtime_currency_entry: currencyState('airtime_amount_entry'),
+        airtime_amount_entry: amountState('airtime_purchase', purchaseAmountPrompt),
+        confirm: confirmState({
+            summary: ({ from, data }) => [
+                ...(data.bundleName
+                    ? [['label.service', t(from, 'service.bundle')], ['label.bundle', data.bundleName]]
+                    : [['label.service', t(from, 'service.airtime')]]),
+                ['label.recipient', `${data.recipient} (${getNetworkName(data.network)})`]
+            ],
+            // A bundle has a fixed price, so EDIT means picking another one
+            editState: data => data.bundleId ? 'airtime_bundle_entry' : 'airtime_amount_entry',
+            editButton: data => data.bundleId ? 'button.changeBundle' : 'button.editAmount'
+        })
+    },
+    action: (from, data) => processAirtimePayment(from, data.amount, data.currency, data)
+};
+
+flows.register(payCodeFlow);
+flows.register(zesaFlow);
+flows.register(airtimeFlow);
+
+// Main menu replies that start a flow
+const MENU_FLOWS = {
+    '1': 'paycode_payment',
+    '2': 'zesa_purchase',
+    '3': 'airtime_purchase'
+};
+
+// ==================== SAVED METERS & BILLERS ====================
+
+const MAX_NICKNAME_LENGTH = 24;
+
+function describeMeter(meter) {
+    return meter.nickname ? `${meter.nickname} (${meter.meterNumber})` : meter.meterNumber;
+}
+
+function describeBiller(phone, biller) {
+    const name = biller.nickname || biller.providerName;
+    return `${name} - ${getServiceDisplayName(phone, biller.serviceType)} (${biller.billerCode})`;
+}
+
+async function sendSavedEntries(from) {
+    const meters = addressBook.getMeters(from);
+    const billers = addressBook.getBillers(from);
+
+    if (meters.length === 0 && billers.length === 0) {
+        await sendMessage(from, t(from, 'saved.empty'));
+        return;
+    }
+
+    let text = t(from, 'saved.title') + `\n\n`;
+    if (meters.length > 0) {
+        text += t(from, 'saved.meters') + `\n` +
+            meters.map((meter, index) => `${index + 1}. ${describeMeter(meter)}`).join('\n') + `\n\n`;
+    }
+    if (billers.length > 0) {
+        text += t(from, 'saved.billers') + `\n` +
+            billers.map((biller, index) => `${index + 1}. ${describeBiller(from, biller)}`).join('\n') + `\n\n`;
+    }
+    text += t(from, 'saved.commands');
+
+    await sendMessage(from, text);
+}
+
+// Returns true if the message was an address book command
+async function handleAddressBookCommand(from, text) {
+    if (/^(saved|my meters|meters|billers)$/i.test(text)) {
+        await sendSavedEntries(from);
+        return true;
+    }
+
+    let match = text.match(/^save meter\s+(\S+)(?:\s+(.+))?$/i);
+    if (match) {
+        const [, meterNumber, nickname] = match;
+
+        if (!/^\d{10,12}$/.test(meterNumber)) {
+            await sendMessage(from, t(from, 'saved.invalidMeter'));
+        } else if (nickname && nickname.length > MAX_NICKNAME_LENGTH) {
+            await sendMessage(from, t(from, 'saved.nicknameTooLong', { max: MAX_NICKNAME_LENGTH }));
         } else {
+            const meter = addressBook.saveMeter(from, meterNumber, nickname);
             await sendMessage(
                 from,
-                `❌ *Payment Failed*\n\n` +
-                `Reason: ${paymentResponse.data.message || 'Payment processing failed'}\n\n` +
-                `Please try again or contact support.`
+                meter
+                    ? t(from, 'saved.meterSaved', { meter: describeMeter(meter) })
+                    : t(from, 'saved.full', { max: MAX_METERS })
             );
         }
-    } catch (error) {
-        console.error('Payment processing error:', error.message);
+        return true;
+    }
+
+    match = text.match(/^rename (meter|biller)\s+(\S+)\s+(.+)$/i);
+    if (match) {
+        const [, kind, ref, nickname] = match;
+
+        if (nickname.length > MAX_NICKNAME_LENGTH) {
+            await sendMessage(from, t(from, 'saved.nicknameTooLong', { max: MAX_NICKNAME_LENGTH }));
+            return true;
+        }
+
+        const entry = addressBook.rename(from, kind.toLowerCase(), ref, nickname);
+        await sendMessage(
+            from,
+            entry
+                ? t(from, 'saved.renamed', { nickname })
+                : t(from, `saved.notFound.${kind.toLowerCase()}`, { ref })
+        );
+        return true;
+    }
+
+    match = text.match(/^(?:delete|remove) (meter|biller)\s+(\S+)$/i);
+    if (match) {
+        const [, kind, ref] = match;
+        const removed = addressBook.remove(from, kind.toLowerCase(), ref);
+
+        await sendMessage(
+            from,
+            removed
+                ? t(from, 'saved.deleted', {
+                    entry: kind.toLowerCase() === 'meter' ? describeMeter(removed) : describeBiller(from, removed)
+                })
+                : t(from, `saved.notFound.${kind.toLowerCase()}`, { ref })
+        );
+        return true;
+    }
+
+    return false;
+}
+
+// ==================== HISTORY & RECEIPTS ====================
+
+// Receipts are rebuilt from the ledger; the gateways are never called again
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT) || 5;
+
+const STATE_ICONS = {
+    succeeded: '✅',
+    failed: '❌',
+    pending: '⏳',
+    unknown: '⚠️'
+};
+
+// Transactions are described in the language of the user they belong to
+function describeTransaction(transaction) {
+    const { phone } = transaction;
+
+    switch (transaction.transactionType) {
+        case 'paycode_payment':
+            return `${getServiceDisplayName(phone, transaction.serviceType)} - ${transaction.providerName}`;
+        case 'zesa_purchase':
+            return `ZESA ${transaction.meterNumber}`;
+        case 'airtime_purchase':
+            return `${t(phone, transaction.bundleName ? 'label.bundle' : 'service.airtime')} ${transaction.recipient || phone}`;
+        default:
+            return transaction.transactionType;
+    }
+}
+
+function formatReceipt(transaction) {
+    const { phone } = transaction;
+    let rows = [];
+
+    if (transaction.transactionType === 'paycode_payment') {
+        rows = [
+            ['label.service', getServiceDisplayName(phone, transaction.serviceType)],
+            ['label.provider', transaction.providerName],
+            ['label.billerCode', transaction.billerCode],
+            ...referenceRows(transaction)
+        ];
+    } else if (transaction.transactionType === 'zesa_purchase') {
+        rows = [['label.service', t(phone, 'service.zesa')], ['label.meter', transaction.meterNumber]];
+        if (transaction.tokens) {
+            rows.push(['label.tokens', transaction.tokens]);
+        }
+    } else if (transaction.transactionType === 'airtime_purchase') {
+        rows = transaction.bundleName
+            ? [['label.service', t(phone, 'service.bundle')], ['label.bundle', transaction.bundleName]]
+            : [['label.service', t(phone, 'service.airtime')]];
+        rows.push(['label.phone', transaction.recipient || phone]);
+    }
+
+    rows.push(
+        ['label.amount', formatAmount(transaction.amount, transaction.currency)],
+        ['label.status', t(phone, `state.${transaction.state}`)]
+    );
+    if (transaction.failureReason && transaction.state === 'failed') {
+        rows.push(['label.reason', transaction.failureReason]);
+    }
+    rows.push(
+        ['label.reference', transaction.gatewayReference || t(phone, 'label.notAvailable')],
+        ['label.transactionId', transaction.id],
+        ['label.date', new Date(transaction.createdAt).toLocaleString()]
+    );
+
+    return (
+        t(phone, 'receipt.title', { icon: STATE_ICONS[transaction.state] }) + `\n\n` +
+        rows.map(([label, value]) => `${t(phone, label)}: ${value}`).join('\n')
+    );
+}
+
+// Returns true if the message was a history/receipt/tokens command
+async function handleHistoryCommand(from, text) {
+    const command = text.toLowerCase();
+    const transactions = () => ledger.find(transaction => transaction.phone === from);
+    const reference = transaction => transaction.gatewayReference || t(from, 'label.notAvailable');
+
+    if (command === 'history') {
+        const recent = transactions().slice(0, HISTORY_LIMIT);
+
+        if (recent.length === 0) {
+            await sendMessage(from, t(from, 'history.empty'));
+            return true;
+        }
+
         await sendMessage(
             from,
-            `⚠️ *Payment Processing Error*\n\n` +
-            `We encountered an issue processing your payment.\n` +
-            `Please try again in a few minutes.`
+            t(from, 'history.title') + `\n\n` +
+            recent.map((transaction, index) =>
+                `${index + 1}. ${STATE_ICONS[transaction.state]} ${describeTransaction(transaction)}\n` +
+                `    ${formatAmount(transaction.amount, transaction.currency)} · ` +
+                `${new Date(transaction.createdAt).toLocaleDateString()} · ` +
+                `${t(from, 'label.ref')}: ${reference(transaction)}`
+            ).join('\n') + `\n\n` +
+            t(from, 'history.footer')
         );
+        return true;
     }
-    
-    // Clear session after payment attempt
-    delete paymentSessions[from];
-}
 
-// ==================== ZESA & AIRTIME HANDLING ====================
+    const match = text.match(/^receipt\s+(\S+)$/i);
+    if (match) {
+        const ref = match[1];
+        const all = transactions();
+
+        // Number from the history list, gateway reference or transaction ID
+        const transaction = /^\d{1,2}$/.test(ref)
+            ? all.slice(0, HISTORY_LIMIT)[parseInt(ref) - 1]
+            : all.find(candidate =>
+                (candidate.gatewayReference && candidate.gatewayReference.toLowerCase() === ref.toLowerCase()) ||
+                candidate.id === ref.toLowerCase()
+            );
 
-async function handleZesaPurchase(from, message) {
-    const clean = message.trim().toLowerCase();
-    
-    if (clean === '2') {
-        paymentSessions[from] = {
-            stage: 'zesa_meter_entry',
-            transactionType: 'zesa_purchase',
-            timestamp: Date.now()
-        };
-        
         await sendMessage(
             from,
-            `⚡ *ZESA Purchase*\n\n` +
-            `Please enter your meter number:\n\n` +
-            `*Example:* 12345678901`
+            transaction
+                ? formatReceipt(transaction)
+                : t(from, 'receipt.notFound', { ref })
         );
-        return;
+        return true;
     }
-    
-    const session = paymentSessions[from];
-    
-    if (session && session.transactionType === 'zesa_purchase') {
-        if (session.stage === 'zesa_meter_entry') {
-            // Validate meter number (ZESA meters are usually 11 digits)
-            const meterRegex = /^\d{10,12}$/;
-            if (!meterRegex.test(clean)) {
-                await sendMessage(
-                    from,
-                    `❌ Invalid meter number.\n\n` +
-                    `Please enter a valid ZESA meter number (10-12 digits).\n\n` +
-                    `*Example:* 12345678901`
-                );
-                return;
-            }
-            
-            paymentSessions[from].stage = 'zesa_amount_entry';
-            paymentSessions[from].meterNumber = clean;
-            paymentSessions[from].timestamp = Date.now();
-            
-            await sendMessage(
-                from,
-                `✅ Meter number saved: ${clean}\n\n` +
-                `Now enter the amount to purchase (ZWL).\n\n` +
-                `*Example:* 5000`
-            );
-        } else if (session.stage === 'zesa_amount_entry') {
-            const amount = parseInt(clean);
-            if (isNaN(amount) || amount < 50 || amount > 100000) {
-                await sendMessage(
-                    from,
-                    `❌ Invalid amount.\n\n` +
-                    `Please enter an amount between ZWL 50 and ZWL 100,000.\n\n` +
-                    `*Example:* 5000`
-                );
-                return;
-            }
-            
-            // Process ZESA purchase
-            await processZesaPayment(from, amount, session.meterNumber);
+
+    if (command === 'tokens') {
+        const zesa = transactions()
+            .filter(transaction =>
+                transaction.transactionType === 'zesa_purchase' && transaction.state === 'succeeded' && transaction.tokens
+            )
+            .slice(0, HISTORY_LIMIT);
+
+        if (zesa.length === 0) {
+            await sendMessage(from, t(from, 'tokens.empty'));
+            return true;
         }
-    }
-}
 
-async function processZesaPayment(from, amount, meterNumber) {
-    try {
-        // Call ZESA API
         await sendMessage(
             from,
-            `⚡ *Processing ZESA Purchase...*\n\n` +
-            `Meter: ${meterNumber}\n` +
-            `Amount: ZWL ${amount.toLocaleString()}\n\n` +
-            `Please wait...`
+            t(from, 'tokens.title') + `\n\n` +
+            zesa.map(transaction =>
+                `${t(from, 'label.meter')}: ${transaction.meterNumber}\n` +
+                `${t(from, 'label.tokens')}: ${transaction.tokens}\n` +
+                `${t(from, 'label.amount')}: ${formatAmount(transaction.amount, transaction.currency)} · ` +
+                `${new Date(transaction.createdAt).toLocaleDateString()}\n` +
+                `${t(from, 'label.ref')}: ${reference(transaction)}`
+            ).join('\n\n')
         );
-        
-        // Simulate payment processing (replace with actual ZESA API call)
-        const zesaResponse = await axios.post(
-            `${process.env.ZESA_API_URL}/purchase`,
-            {
-                meter: meterNumber,
-                amount: amount,
-                phone: from
+        return true;
+    }
+
+    return false;
+}
+
+// ==================== REMINDERS & RECURRING PAYMENTS ====================
+
+// "remind me monthly" / "repeat this airtime every week" after a payment.
+// When one is due the user gets a reminder with a one-tap Pay now button;
+// a repeat payment goes straight to the summary with the same amount.
+const scheduler = createScheduler({
+    driver: createStorage('schedules'),
+    onDue: sendScheduleReminder
+});
+
+setInterval(() => {
+    scheduler.runDue().catch(error => logger.error('❌ Schedule run failed', { error }));
+}, parseInt(process.env.SCHEDULE_CHECK_MS) || 60 * 1000).unref();
+
+const SCHEDULE_INTERVALS = {
+    week: 'weekly',
+    weekly: 'weekly',
+    month: 'monthly',
+    monthly: 'monthly',
+    term: 'termly',
+    termly: 'termly'
+};
+
+// "repeat this airtime every week" picks the last airtime purchase
+const SCHEDULE_SERVICES = {
+    airtime: 'airtime_purchase',
+    zesa: 'zesa_purchase',
+    bill: 'paycode_payment',
+    fees: 'paycode_payment'
+};
+
+// What a schedule keeps of the transaction it was made from
+function paymentSnapshot(transaction) {
+    const { id, state, gatewayReference, failureReason, tokens, timedOutAt, createdAt, updatedAt, ...payment } = transaction;
+    return { ...payment, transactionId: id };
+}
+
+function describeSchedule(schedule) {
+    const { payment } = schedule;
+    return `${describeTransaction(payment)} · ${formatAmount(payment.amount, payment.currency)}`;
+}
+
+async function sendScheduleReminder(schedule) {
+    const { phone, payment } = schedule;
+
+    logger.info('⏰ Sending scheduled reminder', { scheduleId: schedule.id, phone, kind: schedule.kind });
+
+    await notifier.notify(phone, schedule.kind === 'payment' ? 'schedule.repeatDue' : 'schedule.reminderDue', {
+        description: describeTransaction(payment),
+        amount: formatAmount(payment.amount, payment.currency),
+        interval: t(phone, `schedule.interval.${schedule.interval}`)
+    }, {
+        buttons: [
+            { id: `schedule:${schedule.id}:pay`, title: t(phone, 'button.payNow') },
+            { id: `schedule:${schedule.id}:pause`, title: t(phone, 'button.pauseSchedule') }
+        ]
+    });
+}
+
+// "Pay now" on a reminder: the same payment again. PayCodes are checked
+// with WordPress again; nothing is charged before the user confirms.
+async function startScheduledPayment(from, schedule) {
+    const { payment } = schedule;
+    const amount = schedule.kind === 'payment' ? payment.amount : undefined;
+
+    logger.info('🔁 Scheduled payment started', { from, scheduleId: schedule.id, kind: schedule.kind });
+
+    switch (payment.transactionType) {
+        case 'paycode_payment':
+            await handlePayCode(from, payment.payCode, { amount, currency: payment.currency, references: payment.references });
+            break;
+        case 'zesa_purchase':
+            await flows.start(from, 'zesa_purchase', {
+                meterNumber: payment.meterNumber,
+                currency: payment.currency,
+                amount
+            }, amount ? 'confirm' : 'zesa_amount_entry');
+            break;
+        case 'airtime_purchase': {
+            const bundles = await fetchBundles(payment.network);
+            const data = {
+                recipient: payment.recipient,
+                network: payment.network,
+                bundles,
+                currency: payment.currency,
+                bundleId: payment.bundleId,
+                bundleName: payment.bundleName,
+                amount
+            };
+
+            // Bundle prices change, so a reminder offers the current list
+            let state = amount ? 'confirm' : 'airtime_amount_entry';
+            if (!amount && payment.bundleId && bundles.length > 0) {
+                state = 'airtime_bundle_entry';
             }
-        );
-        
-        if (zesaResponse.data.success) {
-            await sendMessage(
-                from,
-                `✅ *ZESA Purchase Successful!*\n\n` +
-                `Meter: ${meterNumber}\n` +
-                `Amount: ZWL ${amount.toLocaleString()}\n` +
-                `Tokens: ${zesaResponse.data.tokens}\n` +
-                `Reference: ${zesaResponse.data.reference}\n\n` +
-                `Thank you for using CCHub!`
-            );
-        } else {
-            await sendMessage(
-                from,
-                `❌ *ZESA Purchase Failed*\n\n` +
-                `Reason: ${zesaResponse.data.message}\n\n` +
-                `Please try again or contact support.`
-            );
+            await flows.start(from, 'airtime_purchase', data, state);
+            break;
         }
-    } catch (error) {
-        console.error('ZESA purchase error:', error.message);
-        await sendMessage(
-            from,
-            `⚠️ *ZESA Service Unavailable*\n\n` +
-            `We're unable to process ZESA purchases at the moment.\n` +
-            `Please try again later.`
-        );
+        default:
+            await sendWelcomeMessage(from);
     }
-    
-    delete paymentSessions[from];
 }
 
-async function handleAirtimePurchase(from, message) {
-    const clean = message.trim().toLowerCase();
-    
-    if (clean === '3') {
-        paymentSessions[from] = {
-            stage: 'airtime_amount_entry',
-            transactionType: 'airtime_purchase',
-            timestamp: Date.now()
-        };
-        
-        await sendMessage(
-            from,
-            `📱 *Airtime Purchase*\n\n` +
-            `Enter the amount of airtime to purchase (ZWL).\n\n` +
-            `*Example:* 100\n\n` +
-            `Note: Airtime will be sent to ${from}`
-        );
+async function sendSchedules(from) {
+    const schedules = scheduler.list(from);
+
+    if (schedules.length === 0) {
+        await sendMessage(from, t(from, 'schedule.list.empty'));
         return;
     }
-    
-    const session = paymentSessions[from];
-    
-    if (session && session.transactionType === 'airtime_purchase' && session.stage === 'airtime_amount_entry') {
-        const amount = parseInt(clean);
-        if (isNaN(amount) || amount < 10 || amount > 50000) {
-            await sendMessage(
-                from,
-                `❌ Invalid amount.\n\n` +
-                `Please enter an amount between ZWL 10 and ZWL 50,000.\n\n` +
-                `*Example:* 100`
-            );
+
+    await sendMessage(
+        from,
+        t(from, 'schedule.list.title') + `\n\n` +
+        schedules.map((schedule, index) => t(from, 'schedule.list.item', {
+            number: index + 1,
+            icon: schedule.state === 'paused' ? '⏸️' : schedule.kind === 'payment' ? '🔁' : '⏰',
+            description: describeSchedule(schedule),
+            kind: t(from, `schedule.kind.${schedule.kind}`),
+            interval: t(from, `schedule.interval.${schedule.interval}`),
+            status: schedule.state === 'paused'
+                ? t(from, 'schedule.status.paused')
+                : t(from, 'schedule.status.active', { date: new Date(schedule.nextRunAt).toLocaleDateString() })
+        })).join('\n') + `\n\n` +
+        t(from, 'schedule.list.footer')
+    );
+}
+
+async function createSchedule(from, { verb, service, every, number }) {
+    const all = ledger.find(transaction => transaction.phone === from);
+    let transaction;
+
+    if (number) {
+        // Number from the history list
+        transaction = all.slice(0, HISTORY_LIMIT)[parseInt(number) - 1];
+        if (!transaction) {
+            await sendMessage(from, t(from, 'receipt.notFound', { ref: number }));
             return;
         }
-        
-        await processAirtimePayment(from, amount);
+        if (transaction.state !== 'succeeded') {
+            await sendMessage(from, t(from, 'schedule.notPaid', { number }));
+            return;
+        }
+    } else {
+        const transactionType = service && SCHEDULE_SERVICES[service.toLowerCase()];
+        transaction = all.find(candidate =>
+            candidate.state === 'succeeded' && (!transactionType || candidate.transactionType === transactionType)
+        );
+        if (!transaction) {
+            await sendMessage(from, t(from, 'schedule.nothingToRepeat'));
+            return;
+        }
+    }
+
+    const kind = verb.toLowerCase() === 'repeat' ? 'payment' : 'reminder';
+    const schedule = scheduler.create({
+        phone: from,
+        kind,
+        interval: SCHEDULE_INTERVALS[every.toLowerCase()],
+        payment: paymentSnapshot(transaction)
+    });
+
+    if (!schedule) {
+        await sendMessage(from, t(from, 'schedule.full', { max: MAX_SCHEDULES }));
+        return;
     }
+
+    await sendMessage(from, t(from, kind === 'payment' ? 'schedule.repeatCreated' : 'schedule.created', {
+        description: describeSchedule(schedule),
+        interval: t(from, `schedule.interval.${schedule.interval}`),
+        date: new Date(schedule.nextRunAt).toLocaleDateString()
+    }));
 }
 
-async function processAirtimePayment(from, amount) {
-    try {
-        await sendMessage(
-            from,
-            `📱 *Processing Airtime Purchase...*\n\n` +
-            `Phone: ${from}\n` +
-            `Amount: ZWL ${amount.toLocaleString()}\n\n` +
-            `Please wait...`
-        );
-        
-        // Simulate airtime purchase (replace with actual API call)
-        const airtimeResponse = await axios.post(
-            `${process.env.AIRTIME_API_URL}/purchase`,
-            {
-                phone: from,
-                amount: amount
+async function handleScheduleCommand(from, text) {
+    if (/^(schedules|reminders)$/i.test(text)) {
+        await sendSchedules(from);
+        return true;
+    }
+
+    let match = text.match(
+        /^(remind me|repeat)(?:\s+this)?(?:\s+(airtime|zesa|bill|fees))?(?:\s+every)?\s+(week|weekly|month|monthly|term|termly)(?:\s+(\d{1,2}))?$/i
+    );
+    if (match) {
+        const [, verb, service, every, number] = match;
+        await createSchedule(from, { verb, service, every, number });
+        return true;
+    }
+
+    match = text.match(/^(pause|resume|cancel|delete) schedule\s+(\d{1,2})$/i);
+    if (match) {
+        const [, action, ref] = match;
+        const schedule = scheduler.list(from)[parseInt(ref) - 1];
+
+        if (!schedule) {
+            await sendMessage(from, t(from, 'schedule.notFound', { ref }));
+            return true;
+        }
+
+        const description = describeSchedule(schedule);
+        switch (action.toLowerCase()) {
+            case 'pause':
+                scheduler.pause(schedule.id);
+                await sendMessage(from, t(from, 'schedule.paused', { description, number: ref }));
+                break;
+            case 'resume': {
+                const resumed = scheduler.resume(schedule.id);
+                await sendMessage(from, t(from, 'schedule.resumed', {
+                    description,
+                    date: new Date(resumed.nextRunAt).toLocaleDateString()
+                }));
+                break;
             }
-        );
-        
-        if (airtimeResponse.data.success) {
-            await sendMessage(
-                from,
-                `✅ *Airtime Purchase Successful!*\n\n` +
-                `Phone: ${from}\n` +
-                `Amount: ZWL ${amount.toLocaleString()}\n` +
-                `Reference: ${airtimeResponse.data.reference}\n\n` +
-                `Your airtime should arrive shortly.`
-            );
+            default:
+                scheduler.cancel(schedule.id);
+                await sendMessage(from, t(from, 'schedule.cancelled', { description }));
+        }
+        return true;
+    }
+
+    // Buttons on a reminder
+    match = text.match(/^schedule:([0-9a-f-]{36}):(pay|pause)$/i);
+    if (match) {
+        const [, id, action] = match;
+        const schedule = scheduler.get(id.toLowerCase());
+
+        if (!schedule || schedule.phone !== from) {
+            await sendMessage(from, t(from, 'schedule.gone'));
+        } else if (action.toLowerCase() === 'pay') {
+            await startScheduledPayment(from, schedule);
         } else {
-            await sendMessage(
-                from,
-                `❌ *Airtime Purchase Failed*\n\n` +
-                `Reason: ${airtimeResponse.data.message}\n\n` +
-                `Please try again.`
-            );
+            scheduler.pause(schedule.id);
+            const number = scheduler.list(from).findIndex(candidate => candidate.id === schedule.id) + 1;
+            await sendMessage(from, t(from, 'schedule.paused', { description: describeSchedule(schedule), number }));
         }
-    } catch (error) {
-        console.error('Airtime purchase error:', error.message);
-        await sendMessage(
-            from,
-            `⚠️ *Airtime Service Unavailable*\n\n` +
-            `We're unable to process airtime purchases at the moment.\n` +
-            `Please try again later.`
-        );
+        return true;
     }
-    
-    delete paymentSessions[from];
+
+    return false;
 }
 
 // ==================== HELP FUNCTION ====================
 
 async function sendHelpMessage(from) {
-    await sendMessage(
+    await sendButtons(
         from,
-        `❓ *CCHub Help Center*\n\n` +
-        `*Available Services:*\n` +
-        `1️⃣ *Pay Bill* - Pay using a PayCode from our website\n` +
-        `2️⃣ *Buy ZESA* - Purchase electricity tokens\n` +
-        `3️⃣ *Buy Airtime* - Top up your mobile phone\n\n` +
-        `*How to use:*\n` +
-        `• Send "Hi" to start\n` +
-        `• Reply with 1, 2, 3 or 4\n` +
-        `• Follow the prompts\n\n` +
-        `*PayCode Format:* CCH followed by 6 digits\n` +
-        `*Example:* CCH123456\n\n` +
-        `*Support:*\n` +
-        `For assistance, call +263 XXX XXX XXX\n` +
-        `or email support@cchub.co.zw`
+        t(from, 'help.text', { historyLimit: HISTORY_LIMIT }),
+        [
+            { id: '1', title: t(from, 'menu.paybill') },
+            { id: '2', title: t(from, 'menu.zesa') },
+            { id: '3', title: t(from, 'menu.airtime') }
+        ]
     );
 }
 
 // ==================== MAIN MENU ====================
 
 async function sendWelcomeMessage(from) {
-    delete paymentSessions[from];
+    paymentSessions.delete(from);
 
-    await sendMessage(
+    // Row IDs match the text replies so both paths hit the same menu handling
+    await sendList(
+        from,
+        t(from, 'menu.welcome'),
+        t(from, 'menu.button'),
+        [{
+            title: t(from, 'menu.section'),
+            rows: [
+                { id: '1', title: t(from, 'menu.paybill'), description: t(from, 'menu.paybill.description') },
+                { id: '2', title: t(from, 'menu.zesa'), description: t(from, 'menu.zesa.description') },
+                { id: '3', title: t(from, 'menu.airtime'), description: t(from, 'menu.airtime.description') },
+                { id: '4', title: t(from, 'menu.help'), description: t(from, 'menu.help.description') },
+                { id: 'language', title: `🌐 ${t(from, 'menu.language')}`, description: t(from, 'menu.language.description') }
+            ]
+        }],
+        t(from, 'menu.fallback')
+    );
+}
+
+async function sendSessionExpiredMessage(from, session) {
+    const flowKey = `flow.${session.transactionType}`;
+
+    await sendMessage(from, t(from, 'session.expired', {
+        flow: t(from, hasMessage(flowKey) ? flowKey : 'flow.session'),
+        minutes: SESSION_TTL_MINUTES
+    }));
+    await sendWelcomeMessage(from);
+}
+
+// ==================== LANGUAGE ====================
+
+// Greetings that tell us which language a new user speaks
+const GREETINGS = {
+    hi: 'en',
+    hello: 'en',
+    menu: null,
+    mhoro: 'sn',
+    mhoroi: 'sn',
+    makadini: 'sn',
+    salibonani: 'nd',
+    sawubona: 'nd',
+    lotjhani: 'nd'
+};
+
+// The WhatsApp webhook doesn't tell us the user's locale, so until they
+// pick a language we go by DEFAULT_LANGUAGE or the greeting they used
+function rememberGreetingLanguage(from, greeting) {
+    const language = Object.hasOwn(GREETINGS, greeting) ? GREETINGS[greeting] : null;
+    if (language && !userPreferences.get(from)?.language) {
+        setLanguage(from, language);
+    }
+}
+
+async function sendLanguageChoice(from) {
+    const text = t(from, 'language.prompt');
+
+    // Row IDs are full commands, so a tap works like typing them
+    await sendList(
         from,
-        `👋 *Welcome to CCHub*\n\n` +
-        `What would you like to do?\n\n` +
-        `1. Pay Bill (with PayCode)\n` +
-        `2. Buy ZESA\n` +
-        `3. Buy Airtime\n` +
-        `4. Help\n\n` +
-        `Reply with 1, 2, 3 or 4`
+        text,
+        t(from, 'language.button'),
+        [{
+            title: t(from, 'menu.language'),
+            rows: Object.entries(LANGUAGES).map(([code, name]) => ({ id: `language ${code}`, title: name }))
+        }],
+        text + `\n\n` + t(from, 'language.fallback')
     );
 }
 
+// Returns true if the message was a language command
+async function handleLanguageCommand(from, text) {
+    const match = text.match(/^(?:language|mutauro|ulimi)(?:\s+(.+))?$/i);
+    if (!match) return false;
+
+    if (!match[1]) {
+        await sendLanguageChoice(from);
+        return true;
+    }
+
+    const language = normalizeLanguage(match[1]);
+    if (!language) {
+        await sendMessage(from, t(from, 'language.unknown'));
+        return true;
+    }
+
+    setLanguage(from, language);
+    logger.info('🌐 Language changed', { from, language });
+    await sendMessage(from, t(from, 'language.saved'));
+    return true;
+}
+
 // ==================== MAIN MESSAGE PROCESSOR ====================
 
-async function processMessage(from, messageText) {
-    console.log(`📩 From ${from}: "${messageText}"`);
+// Count a message against the user's limit. Returns false when they are
+// over it (they are told once, when the cool-off starts).
+async function allowMessage(from) {
+    const rate = messageLimiter.hit(from);
+    if (rate.allowed) return true;
+
+    // Only answer the message that triggered the cool-off
+    if (rate.justLocked) {
+        logger.warn('🚦 Message rate limit hit', { from });
+        await sendMessage(from, t(from, 'rate.slowDown', { wait: formatWait(from, rate.retryAfterMs) }));
+    }
+    return false;
+}
+
+// counted: the message was already counted against the rate limit (text
+// read from a photo)
+async function processMessage(from, messageText, { counted = false } = {}) {
+    logger.info('📩 Message received', { from, text: messageText });
+
+    if (!counted && !(await allowMessage(from))) {
+        return;
+    }
 
     const clean = messageText.trim().toLowerCase();
 
-    if (clean === 'hi' || clean === 'hello' || clean === 'menu') {
+    if (Object.hasOwn(GREETINGS, clean)) {
+        rememberGreetingLanguage(from, clean);
         await sendWelcomeMessage(from);
         return;
     }
 
+    if (await handleLanguageCommand(from, messageText.trim())) {
+        return;
+    }
+
     // Check for help request
-    if (clean === '4' || clean === 'help') {
+    if (clean === 'help') {
         await sendHelpMessage(from);
         return;
     }
 
+    // Saved meter/biller commands (before PayCodes: they can contain one)
+    if (await handleAddressBookCommand(from, messageText.trim())) {
+        return;
+    }
+
+    if (await handleHistoryCommand(from, messageText.trim())) {
+        return;
+    }
+
+    if (await handleScheduleCommand(from, messageText.trim())) {
+        return;
+    }
+
     // A + B: PayCode ALWAYS takes priority
     const payCodes = extractPayCodes(messageText);
     if (payCodes.length > 0) {
@@ -573,64 +1985,38 @@ async function processMessage(from, messageText) {
         return;
     }
 
-    const session = paymentSessions[from];
+    const session = paymentSessions.get(from);
 
-    // Handle main menu options
-    if (!session) {
-        switch (clean) {
-            case '1':
-                await sendMessage(
-                    from,
-                    `💳 *Pay with PayCode*\n\n` +
-                    `Please send your PayCode (CCH followed by 6 digits).\n\n` +
-                    `*Example:* CCH123456\n\n` +
-                    `You can get a PayCode from our website.`
-                );
-                return;
-                
-            case '2':
-                await handleZesaPurchase(from, '2');
-                return;
-                
-            case '3':
-                await handleAirtimePurchase(from, '3');
-                return;
-                
-            default:
-                await sendWelcomeMessage(from);
-                return;
-        }
+    // Tell the user their session timed out instead of silently restarting
+    if (session && session.expired) {
+        await sendSessionExpiredMessage(from, session);
+        return;
     }
 
-    // Handle existing sessions
-    if (session.stage === 'amount_entry' && session.transactionType === 'paycode_payment') {
-        const amount = parseInt(clean.replace(/[^0-9]/g, ''));
-        if (isNaN(amount) || amount <= 0 || amount > 1000000) {
-            await sendMessage(
-                from,
-                `❌ Please enter a valid amount between ZWL 1 and ZWL 1,000,000.\n\n` +
-                `*Example:* 15000`
-            );
+    if (session) {
+        paymentSessions.touch(from);
+
+        // Every flow step, including back/cancel, is handled by the flow engine
+        if (await flows.handle(from, session, messageText)) {
             return;
         }
 
-        await processPayment(from, amount);
+        // If we get here, the session was in a state we no longer know
+        await sendWelcomeMessage(from);
         return;
     }
 
-    // Handle ZESA flow
-    if (session.transactionType === 'zesa_purchase') {
-        await handleZesaPurchase(from, clean);
+    // Handle main menu options
+    if (Object.hasOwn(MENU_FLOWS, clean)) {
+        await flows.start(from, MENU_FLOWS[clean]);
         return;
     }
 
-    // Handle Airtime flow
-    if (session.transactionType === 'airtime_purchase') {
-        await handleAirtimePurchase(from, clean);
+    if (clean === '4') {
+        await sendHelpMessage(from);
         return;
     }
 
-    // If we get here, something went wrong
     await sendWelcomeMessage(from);
 }
 
@@ -643,43 +2029,240 @@ app.get('/webhook', (req, res) => {
 
     if (mode && token) {
         if (mode === 'subscribe' && token === process.env.VERIFY_TOKEN) {
-            console.log('✅ Webhook verified');
+            logger.info('✅ Webhook verified');
             res.status(200).send(challenge);
         } else {
             res.sendStatus(403);
         }
+    } else {
+        res.sendStatus(400);
     }
 });
 
-app.post('/webhook', async (req, res) => {
+// Reject webhook POSTs that weren't signed by Meta with our app secret
+function verifyWebhookSignature(req, res, next) {
+    if (!process.env.APP_SECRET) {
+        logger.error('❌ APP_SECRET is not configured - rejecting webhook');
+        return res.sendStatus(500);
+    }
+
+    if (!verifySignature(req.rawBody, req.get('X-Hub-Signature-256'), process.env.APP_SECRET)) {
+        logger.warn('🚫 Webhook rejected: invalid signature', { ip: req.ip });
+        return res.sendStatus(401);
+    }
+
+    next();
+}
+
+app.post('/webhook', verifyWebhookSignature, async (req, res) => {
+    let messageId = null;
+
     try {
         const body = req.body;
         
         // Check if this is a WhatsApp status update
         if (body.entry?.[0]?.changes?.[0]?.value?.statuses) {
-            console.log('📊 Status update received');
+            logger.debug('📊 Status update received');
             return res.sendStatus(200);
         }
         
         const entry = body.entry?.[0]?.changes?.[0]?.value?.messages?.[0];
+
+        if (entry && isStaleMessage(entry, MESSAGE_DEDUP_TTL_MS)) {
+            logger.warn('🕰️ Stale message ignored', { messageId: entry.id });
+            return res.sendStatus(200);
+        }
+
+        if (entry?.id && processedMessages.seen(entry.id)) {
+            logger.info('🔁 Duplicate message ignored', { messageId: entry.id });
+            return res.sendStatus(200);
+        }
+        messageId = entry?.id;
         
-        if (entry && entry.type === 'text') {
-            await processMessage(entry.from, entry.text.body);
+        const messageText = entry && getMessageText(entry);
+        if (entry) {
+            logger.info('📨 Webhook message', { messageId: entry.id, type: entry.type });
+            messagesReceived.inc({ type: entry.type || 'unknown' });
+
+            // Any message, even one we can't handle, opens the service window
+            const sentAt = parseInt(entry.timestamp) * 1000 || Date.now();
+            notifier.recordInbound(entry.from, Math.min(sentAt, Date.now()));
+        }
+        if (messageText) {
+            await processMessage(entry.from, messageText);
+        } else if (entry?.type === 'image' && entry.image?.id) {
+            await handleImageMessage(entry.from, entry.image);
         }
         
         res.sendStatus(200);
     } catch (err) {
-        console.error('Webhook error:', err);
+        logger.error('Webhook error', { error: err });
+
+        // Meta retries after a 500, and the retry has to get through
+        if (messageId) processedMessages.forget(messageId);
+        res.sendStatus(500);
+    }
+});
+
+// ==================== PAYMENT CALLBACKS ====================
+
+// Pending payments with no callback after this long are reported as timed out
+const PENDING_TIMEOUT_MINUTES = parseInt(process.env.PENDING_TIMEOUT_MINUTES) || 30;
+
+// Tell the user how a transaction they were waiting on turned out. This can
+// be long after their last message, so it goes through the notifier.
+async function notifyTransactionOutcome(transaction) {
+    const { phone } = transaction;
+    const amount = formatAmount(transaction.amount, transaction.currency);
+
+    if (transaction.state === 'succeeded') {
+        await notifier.notify(phone, 'payment.confirmed', {
+            description: describeTransaction(transaction),
+            receipt: formatReceipt(transaction),
+            amount,
+            reference: transaction.gatewayReference || transaction.id
+        });
+    } else if (transaction.state === 'failed') {
+        await notifier.notify(phone, 'payment.callbackFailed', {
+            description: describeTransaction(transaction),
+            amount,
+            reason: transaction.failureReason || t(phone, 'payment.callbackFailed.defaultReason'),
+            id: transaction.id
+        });
+    } else if (transaction.timedOutAt) {
+        await notifier.notify(phone, 'payment.timedOut', {
+            amount,
+            description: describeTransaction(transaction),
+            minutes: PENDING_TIMEOUT_MINUTES,
+            id: transaction.id
+        });
+    }
+}
+
+// Gateways sign callbacks with our shared secret:
+// X-CCHub-Signature: sha256=<hex HMAC-SHA256 of the raw body>
+function verifyCallbackSignature(req, res, next) {
+    if (!process.env.CALLBACK_SECRET) {
+        logger.error('❌ CALLBACK_SECRET is not configured - rejecting callback');
+        return res.sendStatus(500);
+    }
+
+    if (!verifySignature(req.rawBody, req.get('X-CCHub-Signature'), process.env.CALLBACK_SECRET)) {
+        logger.warn('🚫 Payment callback rejected: invalid signature', { ip: req.ip });
+        return res.sendStatus(401);
+    }
+
+    next();
+}
+
+// Final status for a payment, ZESA or airtime transaction that was pending
+app.post('/callbacks/payment', verifyCallbackSignature, async (req, res) => {
+    try {
+        const { transactionId, reference, status, message, tokens } = req.body || {};
+
+        const transaction = transactionId
+            ? ledger.get(transactionId)
+            : reference && ledger.find(candidate => candidate.gatewayReference === reference)[0];
+
+        if (!transaction) {
+            logger.warn('⚠️ Callback for unknown transaction', { transactionId, reference });
+            return res.status(404).json({ error: 'Unknown transaction' });
+        }
+
+        const state = toLedgerState(status);
+
+        // Still in progress, or a repeat of a callback we already handled
+        if (state === 'pending' || FINAL_STATES.includes(transaction.state)) {
+            return res.json({ received: true, state: transaction.state });
+        }
+
+        const updated = ledger.update(transaction.id, {
+            state,
+            gatewayReference: reference || transaction.gatewayReference,
+            failureReason: state === 'failed' ? (message || null) : null,
+            tokens: tokens || transaction.tokens,
+            callbackAt: new Date().toISOString()
+        });
+
+        logger.info('📬 Payment callback applied', { transactionId: updated.id, state });
+
+        if (state === 'succeeded' && updated.transactionType === 'paycode_payment') {
+            addressBook.recordBiller(updated.phone, updated);
+        }
+
+        await notifyTransactionOutcome(updated);
+        res.json({ received: true, state });
+    } catch (err) {
+        logger.error('Payment callback error', { error: err });
         res.sendStatus(500);
     }
 });
 
+// Report pending transactions that never got a callback
+async function expirePendingTransactions() {
+    const cutoff = Date.now() - PENDING_TIMEOUT_MINUTES * 60 * 1000;
+    const stale = ledger.find(transaction => transaction.state === 'pending' && Date.parse(transaction.createdAt) < cutoff);
+
+    for (const transaction of stale) {
+        const updated = ledger.update(transaction.id, {
+            state: 'unknown',
+            timedOutAt: new Date().toISOString(),
+            failureReason: 'Timed out waiting for confirmation'
+        });
+
+        logger.warn('⌛ Transaction timed out waiting for a callback', { transactionId: updated.id });
+        await notifyTransactionOutcome(updated);
+    }
+}
+
+setInterval(() => {
+    expirePendingTransactions().catch(error => logger.error('❌ Pending transaction sweep failed', { error }));
+}, parseInt(process.env.PENDING_CHECK_MS) || 60 * 1000).unref();
+
+// ==================== ADMIN API ====================
+
+app.use('/admin', createAdminRouter({ sessions: paymentSessions, ledger, outbox }));
+
+app.get('/metrics', requireAdminToken, (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
 app.get('/', (req, res) => {
     res.send('🚀 CCHub WhatsApp Bot is running!');
 });
 
 // ==================== DEBUG/TEST ENDPOINTS ====================
 
+// Debug routes only exist with DEBUG_MODE=true, and then still need the
+// admin token and are rate-limited per IP. Like ADMIN_TOKEN, the setting is
+// read on every request.
+function isDebugMode() {
+    return process.env.DEBUG_MODE === 'true';
+}
+
+const debugRateLimiter = createRateLimiter({ limit: 10, windowMs: 60 * 1000 });
+
+setInterval(() => debugRateLimiter.prune(), 10 * 60 * 1000).unref();
+
+function debugModeOnly(req, res, next) {
+    if (!isDebugMode()) {
+        return res.sendStatus(404);
+    }
+    next();
+}
+
+function rateLimitDebug(req, res, next) {
+    const { allowed, retryAfterMs } = debugRateLimiter.hit(req.ip);
+
+    if (!allowed) {
+        res.set('Retry-After', Math.ceil(retryAfterMs / 1000));
+        return res.status(429).json({ error: 'Too many debug requests' });
+    }
+    next();
+}
+
+app.use(['/debug', '/test-paycode'], debugModeOnly, requireAdminToken, rateLimitDebug);
+
 app.get('/test-paycode/:paycode', async (req, res) => {
     const payCode = req.params.paycode;
     
@@ -701,13 +2284,8 @@ app.get('/test-paycode/:paycode', async (req, res) => {
         
         res.json({
             status: 'success',
-            request: {
-                url: `${process.env.WORDPRESS_API_URL}/wp-json/cchub/v1/get-biller-code/${payCode}`,
-                headers: { 'X-CCHUB-TOKEN': '***HIDDEN***' }
-            },
             response: {
                 status: response.status,
-                headers: response.headers,
                 data: response.data
             }
         });
@@ -721,11 +2299,7 @@ app.get('/test-paycode/:paycode', async (req, res) => {
                 response: error.response ? {
                     status: error.response.status,
                     data: error.response.data
-                } : null,
-                config: {
-                    url: error.config?.url,
-                    headers: { ...error.config?.headers, 'X-CCHUB-TOKEN': '***HIDDEN***' }
-                }
+                } : null
             }
         });
     }
@@ -747,8 +2321,7 @@ app.get('/debug/wordpress-endpoints', async (req, res) => {
         
         res.json({
             allRoutes: Object.keys(response.data.routes).filter(r => r.includes('cch')),
-            cchubEndpoints: cchubEndpoints,
-            rawResponse: response.data
+            cchubEndpoints: cchubEndpoints
         });
         
     } catch (error) {
@@ -764,14 +2337,13 @@ app.get('/debug/wordpress-endpoints', async (req, res) => {
 // Test environment variables
 app.get('/debug/env-check', (req, res) => {
     res.json({
-        port: process.env.PORT,
+        hasPort: !!process.env.PORT,
         hasPhoneNumberId: !!process.env.PHONE_NUMBER_ID,
         hasWhatsappToken: !!process.env.WHATSAPP_ACCESS_TOKEN,
         hasWordpressUrl: !!process.env.WORDPRESS_API_URL,
         hasBotToken: !!process.env.CCHUB_BOT_TOKEN,
-        wordpressUrl: process.env.WORDPRESS_API_URL,
-        botTokenLength: process.env.CCHUB_BOT_TOKEN?.length || 0,
-        botTokenFirst5: process.env.CCHUB_BOT_TOKEN?.substring(0, 5) + '...'
+        hasAppSecret: !!process.env.APP_SECRET,
+        hasCallbackSecret: !!process.env.CALLBACK_SECRET
     });
 });
 
@@ -786,8 +2358,12 @@ app.get('/debug/test', (req, res) => {
 
 // Test WordPress connection with multiple endpoint patterns
 app.get('/debug/test-wp-endpoints', async (req, res) => {
-    const testCode = req.query.code || 'CCH123456';
+    const testCode = (req.query.code || 'CCH123456').toUpperCase();
     const results = [];
+
+    if (!/^CCH\d{6}$/.test(testCode)) {
+        return res.json({ error: 'Invalid PayCode format' });
+    }
     
     const endpoints = [
         `https://cchub.co.zw/wp-json/cchub/v1/get-biller-code/${testCode}`,
@@ -801,7 +2377,7 @@ app.get('/debug/test-wp-endpoints', async (req, res) => {
         try {
             const response = await axios.get(endpoint, {
                 headers: { 
-                    'X-CCHUB-TOKEN': process.env.CCHUB_BOT_TOKEN || 'test-token',
+                    'X-CCHUB-TOKEN': process.env.CCHUB_BOT_TOKEN,
                     'Accept': 'application/json'
                 },
                 timeout: 5000
@@ -831,11 +2407,25 @@ app.get('/debug/test-wp-endpoints', async (req, res) => {
 
 // ==================== START SERVER ====================
 
-app.listen(PORT, () => {
-    console.log(`🚀 CCHub Bot running on port ${PORT}`);
-    console.log(`🌐 Debug endpoints available:`);
-    console.log(`   http://localhost:${PORT}/debug/test`);
-    console.log(`   http://localhost:${PORT}/debug/env-check`);
-    console.log(`   http://localhost:${PORT}/debug/wordpress-endpoints`);
-    console.log(`   http://localhost:${PORT}/debug/test-wp-endpoints?code=CCH123456`);
-});
+// Only listen when run directly; the tests require the app and listen themselves
+if (require.main === module) {
+    app.listen(PORT, () => {
+        logger.info(`🚀 CCHub Bot running on port ${PORT}`);
+
+        // Deliver anything still queued from before a restart
+        outbox.start().catch(error => logger.error('❌ Outbox start failed', { error }));
+
+        if (isDebugMode()) {
+            logger.info('🌐 Debug endpoints available (admin token required)', {
+                endpoints: [
+                    '/debug/test',
+                    '/debug/env-check',
+                    '/debug/wordpress-endpoints',
+                    '/debug/test-wp-endpoints?code=CCH123456'
+                ]
+            });
+        }
+    });
+}
+
+module.exports = app;
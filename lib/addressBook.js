@@ -0,0 +1,116 @@
+// Per-phone saved ZESA meters and recently paid PayCode billers
+
+const MAX_METERS = 9;
+const MAX_BILLERS = 5;
+
+function createAddressBook({ driver }) {
+    function load(phone) {
+        return driver.get(phone) || { meters: [], billers: [] };
+    }
+
+    function listFor(book, kind) {
+        return kind === 'meter' ? book.meters : book.billers;
+    }
+
+    // An entry can be referred to by list number, meter/biller code or nickname
+    function findIndex(entries, ref, kind) {
+        const needle = String(ref).trim().toLowerCase();
+
+        if (/^\d{1,2}$/.test(needle)) {
+            const index = parseInt(needle) - 1;
+            return index < entries.length ? index : -1;
+        }
+
+        return entries.findIndex(entry =>
+            (kind === 'meter' ? entry.meterNumber : entry.billerCode).toLowerCase() === needle ||
+            (entry.payCode && entry.payCode.toLowerCase() === needle) ||
+            (entry.nickname && entry.nickname.toLowerCase() === needle)
+        );
+    }
+
+    return {
+        getMeters(phone) {
+            return load(phone).meters;
+        },
+
+        getBillers(phone) {
+            return load(phone).billers;
+        },
+
+        findMeter(phone, ref) {
+            const meters = load(phone).meters;
+            return meters[findIndex(meters, ref, 'meter')] || null;
+        },
+
+        // Returns the saved meter, or null if the address book is full
+        saveMeter(phone, meterNumber, nickname) {
+            const book = load(phone);
+            const existing = book.meters.find(meter => meter.meterNumber === meterNumber);
+
+            if (existing) {
+                if (nickname) existing.nickname = nickname;
+            } else if (book.meters.length >= MAX_METERS) {
+                return null;
+            } else {
+                book.meters.push({
+                    meterNumber,
+                    nickname: nickname || null,
+                    savedAt: new Date().toISOString()
+                });
+            }
+
+            driver.set(phone, book);
+            return book.meters.find(meter => meter.meterNumber === meterNumber);
+        },
+
+        // Most recent first; re-paying a biller moves it to the top
+        recordBiller(phone, { payCode, billerCode, providerName, serviceType, currency }) {
+            const book = load(phone);
+            const previous = book.billers.find(biller => biller.billerCode === billerCode);
+
+            book.billers = [
+                {
+                    payCode,
+                    billerCode,
+                    providerName,
+                    serviceType,
+                    currency,
+                    nickname: previous ? previous.nickname : null,
+                    lastPaidAt: new Date().toISOString()
+                },
+                ...book.billers.filter(biller => biller.billerCode !== billerCode)
+            ].slice(0, MAX_BILLERS);
+
+            driver.set(phone, book);
+        },
+
+        // kind is 'meter' or 'biller'; returns the renamed entry or null
+        rename(phone, kind, ref, nickname) {
+            const book = load(phone);
+            const entries = listFor(book, kind);
+            const index = findIndex(entries, ref, kind);
+            if (index === -1) return null;
+
+            entries[index].nickname = nickname;
+            driver.set(phone, book);
+            return entries[index];
+        },
+
+        // Returns the removed entry or null
+        remove(phone, kind, ref) {
+            const book = load(phone);
+            const entries = listFor(book, kind);
+            const index = findIndex(entries, ref, kind);
+            if (index === -1) return null;
+
+            const [removed] = entries.splice(index, 1);
+            driver.set(phone, book);
+            return removed;
+        }
+    };
+}
+
+module.exports = {
+    createAddressBook,
+    MAX_METERS
+};
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const express = require('express');
+const { logger } = require('./logger');
+
+// Token-protected operational API: sessions, transactions, stats and the
+// outbound message queue.
+// Send the token as "Authorization: Bearer <ADMIN_TOKEN>".
+
+// ==================== AUTH ====================
+
+function requireAdminToken(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN not set)' });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const expected = crypto.createHash('sha256').update(adminToken).digest();
+    const received = crypto.createHash('sha256').update(token || '').digest();
+
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, received)) {
+        logger.warn('🚫 Admin request rejected', { ip: req.ip });
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+// ==================== HELPERS ====================
+
+function digitsOnly(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+// PayCode payments are grouped by their biller service type
+function getStatsKey(transaction) {
+    switch (transaction.transactionType) {
+        case 'paycode_payment':
+            return transaction.serviceType || 'paycode';
+        case 'zesa_purchase':
+            return 'zesa';
+        case 'airtime_purchase':
+            return 'airtime';
+        default:
+            return transaction.transactionType;
+    }
+}
+
+function buildStats(transactions) {
+    const stats = {};
+
+    for (const transaction of transactions) {
+        const key = getStatsKey(transaction);
+        const entry = stats[key] || (stats[key] = {
+            count: 0,
+            succeeded: 0,
+            failed: 0,
+            pending: 0,
+            unknown: 0,
+            successRate: null,
+            volume: {}
+        });
+
+        entry.count++;
+        entry[transaction.state]++;
+
+        if (transaction.state === 'succeeded') {
+            const currency = transaction.currency || 'UNKNOWN';
+            entry.volume[currency] = Math.round(((entry.volume[currency] || 0) + transaction.amount) * 100) / 100;
+        }
+    }
+
+    // Only finished transactions count towards the success rate
+    for (const entry of Object.values(stats)) {
+        const finished = entry.succeeded + entry.failed;
+        entry.successRate = finished > 0 ? Math.round((entry.succeeded / finished) * 1000) / 1000 : null;
+    }
+
+    return stats;
+}
+
+// ==================== ROUTES ====================
+
+function createAdminRouter({ sessions, ledger, outbox }) {
+    const router = express.Router();
+    router.use(requireAdminToken);
+
+    router.get('/sessions', (req, res) => {
+        const now = Date.now();
+
+        res.json({
+            sessions: sessions.list().map(([phone, session]) => ({
+                phone,
+                transactionType: session.transactionType,
+                stage: session.stage,
+                ageSeconds: Math.round((now - (session.createdAt || session.timestamp)) / 1000),
+                idleSeconds: Math.round((now - session.timestamp) / 1000)
+            }))
+        });
+    });
+
+    // Force-reset a stuck conversation
+    router.delete('/sessions/:phone', (req, res) => {
+        const phone = digitsOnly(req.params.phone);
+        const live = sessions.list().some(([sessionPhone]) => sessionPhone === phone);
+
+        if (!live) {
+            return res.status(404).json({ error: 'No active session for this phone' });
+        }
+
+        sessions.delete(phone);
+        logger.info('🔧 Admin reset session', { phone });
+        res.json({ reset: true, phone });
+    });
+
+    // Search by ?phone=, ?reference= (gateway reference or transaction ID),
+    // ?payCode=, ?state=, newest first, up to ?limit= (default 50)
+    router.get('/transactions', (req, res) => {
+        const phone = req.query.phone && digitsOnly(req.query.phone);
+        const reference = req.query.reference && String(req.query.reference).toLowerCase();
+        const payCode = req.query.payCode && String(req.query.payCode).toUpperCase();
+        const state = req.query.state;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+        const transactions = ledger.find(transaction =>
+            (!phone || transaction.phone === phone || digitsOnly(transaction.recipient) === phone) &&
+            (!reference || transaction.id === reference ||
+                (transaction.gatewayReference || '').toLowerCase() === reference) &&
+            (!payCode || transaction.payCode === payCode) &&
+            (!state || transaction.state === state)
+        );
+
+        res.json({
+            total: transactions.length,
+            transactions: transactions.slice(0, limit)
+        });
+    });
+
+    router.get('/transactions/:id', (req, res) => {
+        const transaction = ledger.get(req.params.id);
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        res.json(transaction);
+    });
+
+    // Volume and success rate per service type, optionally ?from=&to= (ISO dates)
+    router.get('/stats', (req, res) => {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({ error: 'from and to must be ISO dates' });
+        }
+
+        const transactions = ledger.find(transaction =>
+            (!from || transaction.createdAt >= from.toISOString()) &&
+            (!to || transaction.createdAt <= to.toISOString())
+        );
+
+        res.json({
+            from: from && from.toISOString(),
+            to: to && to.toISOString(),
+            services: buildStats(transactions)
+        });
+    });
+
+    // Messages waiting for a retry and messages that gave up (dead letters)
+    router.get('/outbox', (req, res) => {
+        res.json({
+            pending: outbox.pending(),
+            deadLetters: outbox.deadLetters()
+        });
+    });
+
+    // Send every dead letter again, oldest first
+    router.post('/outbox/dead-letters/replay', async (req, res) => {
+        const results = [];
+        for (const { id } of outbox.deadLetters().reverse()) {
+            results.push({ id, outcome: await outbox.replay(id) });
+        }
+        logger.info('🔧 Admin replayed dead letters', { count: results.length });
+        res.json({ replayed: results });
+    });
+
+    router.post('/outbox/dead-letters/:id/replay', async (req, res) => {
+        const outcome = await outbox.replay(req.params.id);
+        if (!outcome) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        logger.info('🔧 Admin replayed dead letter', { messageId: req.params.id, outcome });
+        res.json({ id: req.params.id, outcome });
+    });
+
+    router.delete('/outbox/dead-letters/:id', (req, res) => {
+        if (!outbox.discard(req.params.id)) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        logger.info('🔧 Admin discarded dead letter', { messageId: req.params.id });
+        res.json({ discarded: true, id: req.params.id });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter,
+    requireAdminToken,
+    getStatsKey
+};
@@ -0,0 +1,111 @@
+const { normalizeCurrency } = require('./currency');
+
+// Reads amounts the way people type them: "50", "1,500.50", "15 000",
+// "$20", "USD 20", "20 ZiG", "15k", "1.5m". Anything we'd have to guess at
+// is rejected with a reason, never silently turned into another number.
+//
+// parseAmount(text, { currency }) returns { amount } or { error, ...details }
+// where error is one of:
+//   notANumber          no digits at all
+//   multiple            more than one number ("50 or 60")
+//   negative            "-20"
+//   ambiguousSeparator  "15,50", "1.500,00": cents or thousands?
+//   tooManyDecimals     more than two decimal places ("20.505")
+//   currencyMismatch    typed in another currency; details.entered is its code
+//   format              anything else we can't read
+
+const SUFFIXES = {
+    k: 1000,
+    m: 1000000
+};
+
+// Currency symbol or code before or after the number
+const LEADING_CURRENCY = /^(us\$|\$|[a-z]{3})\s*(?=[-\d.,])/;
+const TRAILING_CURRENCY = /(?<=[\d.,km])\s*(us\$|\$|[a-z]{3})$/;
+
+function stripCurrency(text) {
+    let rest = text;
+    let entered = null;
+
+    for (const pattern of [LEADING_CURRENCY, TRAILING_CURRENCY]) {
+        const match = rest.match(pattern);
+        const currency = match && normalizeCurrency(match[1]);
+        if (currency) {
+            if (entered && entered !== currency) return { error: 'format' };
+            entered = currency;
+            rest = rest.replace(pattern, '').trim();
+        }
+    }
+
+    return { rest, entered };
+}
+
+// "1,500.50" / "15 000" / "20.5" -> { value, decimals, grouped }, or an error
+function parseNumber(text) {
+    let grouped = false;
+
+    // Spaces only count as thousands separators ("15 000")
+    if (/\s/.test(text)) {
+        if (!/^\d{1,3}( \d{3})+(\.\d*)?$/.test(text)) return { error: 'multiple' };
+        text = text.replace(/ /g, '');
+        grouped = true;
+    }
+
+    if (text.includes(',')) {
+        if (!/^\d{1,3}(,\d{3})+(\.\d*)?$/.test(text)) return { error: 'ambiguousSeparator' };
+        text = text.replace(/,/g, '');
+        grouped = true;
+    }
+
+    if (!/^(\d+(\.\d*)?|\.\d+)$/.test(text)) {
+        // "1.500.000"
+        return { error: /^\d+(\.\d{3})+$/.test(text) ? 'ambiguousSeparator' : 'format' };
+    }
+
+    return { value: parseFloat(text), decimals: (text.split('.')[1] || '').length, grouped };
+}
+
+function parseAmount(text, { currency } = {}) {
+    let rest = String(text || '').trim().toLowerCase();
+
+    if (!/\d/.test(rest)) return { error: 'notANumber' };
+
+    const stripped = stripCurrency(rest);
+    if (stripped.error) return stripped;
+    rest = stripped.rest;
+
+    if (stripped.entered && currency && stripped.entered !== currency) {
+        return { error: 'currencyMismatch', entered: stripped.entered };
+    }
+
+    if (rest.startsWith('-')) return { error: 'negative' };
+
+    let multiplier = 1;
+    const suffix = rest.match(/^(.*\d)\s*([km])$/);
+    if (suffix) {
+        rest = suffix[1];
+        multiplier = SUFFIXES[suffix[2]];
+    }
+
+    // Words or symbols between numbers: "50 or 60", "20/30"
+    if (/[^\d., ]/.test(rest)) {
+        return { error: (rest.match(/\d+/g) || []).length > 1 ? 'multiple' : 'format' };
+    }
+
+    const number = parseNumber(rest);
+    if (number.error) return number;
+
+    // "1.25k" is fine (1250) but "1.23456k" is not. Without a suffix,
+    // "1.500" may be European for 1500 unless separators show otherwise.
+    const cents = number.value * multiplier * 100;
+    if (number.decimals > 2) {
+        if (multiplier === 1 && number.decimals === 3 && !number.grouped) return { error: 'ambiguousSeparator' };
+        if (multiplier === 1 || Math.abs(cents - Math.round(cents)) > 1e-6) return { error: 'tooManyDecimals' };
+    }
+
+    return { amount: Math.round(cents) / 100 };
+}
+
+module.exports = {
+    parseAmount
+};
@@ -0,0 +1,76 @@
+const { logger } = require('./logger');
+
+// Stops calling an upstream that keeps failing. After failureThreshold
+// consecutive failures the circuit opens and calls fail fast with
+// CircuitOpenError; after resetTimeoutMs one trial call is let through
+// (half-open) and its result closes or re-opens the circuit.
+
+class CircuitOpenError extends Error {
+    constructor(name) {
+        super(`Circuit "${name}" is open`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+    }
+}
+
+function createCircuitBreaker({ name, failureThreshold = 5, resetTimeoutMs = 60 * 1000, isFailure = () => true }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+
+    function onSuccess() {
+        if (state !== 'closed') {
+            logger.info('🟢 Circuit closed', { circuit: name });
+        }
+        state = 'closed';
+        failures = 0;
+    }
+
+    function onFailure() {
+        failures++;
+        if (state === 'half-open' || failures >= failureThreshold) {
+            if (state !== 'open') {
+                logger.warn('🔴 Circuit opened', { circuit: name, failures });
+            }
+            state = 'open';
+            openedAt = Date.now();
+        }
+    }
+
+    return {
+        getState() {
+            return state;
+        },
+
+        async exec(fn) {
+            if (state === 'open') {
+                if (Date.now() - openedAt < resetTimeoutMs) {
+                    throw new CircuitOpenError(name);
+                }
+                state = 'half-open';
+            } else if (state === 'half-open') {
+                // Only the one trial call goes through
+                throw new CircuitOpenError(name);
+            }
+
+            try {
+                const result = await fn();
+                onSuccess();
+                return result;
+            } catch (error) {
+                // Errors that aren't the upstream's fault (e.g. a 404) don't count
+                if (isFailure(error)) {
+                    onFailure();
+                } else {
+                    onSuccess();
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createCircuitBreaker,
+    CircuitOpenError
+};
@@ -0,0 +1,78 @@
+// Currencies our billers invoice in, with per-flow amount limits.
+// Keys are ISO 4217 codes (ZiG is ZWG); "label" is what users see.
+
+const CURRENCIES = {
+    USD: {
+        label: 'USD',
+        decimals: 2,
+        limits: {
+            paycode_payment: { min: 1, max: 10000, example: 50 },
+            zesa_purchase: { min: 2, max: 500, example: 20 },
+            airtime_purchase: { min: 0.5, max: 100, example: 5 }
+        }
+    },
+    ZWG: {
+        label: 'ZiG',
+        decimals: 2,
+        limits: {
+            paycode_payment: { min: 25, max: 250000, example: 1300 },
+            zesa_purchase: { min: 50, max: 12500, example: 500 },
+            airtime_purchase: { min: 10, max: 2500, example: 100 }
+        }
+    }
+};
+
+const DEFAULT_CURRENCY = normalizeCurrency(process.env.DEFAULT_CURRENCY) || 'USD';
+
+// Currencies offered for ZESA and airtime (SUPPORTED_CURRENCIES=USD,ZWG)
+function getSupportedCurrencies() {
+    const configured = (process.env.SUPPORTED_CURRENCIES || 'USD,ZWG')
+        .split(',')
+        .map(normalizeCurrency)
+        .filter(Boolean);
+
+    return configured.length > 0 ? [...new Set(configured)] : [DEFAULT_CURRENCY];
+}
+
+// Accepts the variants billers and users send ("usd", "US$", "zig", "ZWG")
+function normalizeCurrency(value) {
+    if (!value) return null;
+
+    const code = String(value).trim().toUpperCase();
+    if (['USD', 'US$', '$'].includes(code)) return 'USD';
+    if (['ZWG', 'ZIG'].includes(code)) return 'ZWG';
+    return null;
+}
+
+function getCurrencyLabel(currency) {
+    return CURRENCIES[currency]?.label || currency;
+}
+
+function formatAmount(amount, currency) {
+    const { label, decimals } = CURRENCIES[currency] || { label: currency, decimals: 2 };
+
+    return `${label} ${Number(amount).toLocaleString('en-US', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    })}`;
+}
+
+function getAmountLimits(currency, transactionType) {
+    return (CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY]).limits[transactionType];
+}
+
+// Whether the amount is within the limits for this currency and flow
+function isAmountAllowed(amount, currency, transactionType) {
+    const { min, max } = getAmountLimits(currency, transactionType);
+    return !isNaN(amount) && amount >= min && amount <= max;
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    getSupportedCurrencies,
+    normalizeCurrency,
+    getCurrencyLabel,
+    formatAmount,
+    getAmountLimits,
+    isAmountAllowed
+};
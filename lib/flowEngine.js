@@ -0,0 +1,178 @@
+const { logger } = require('./logger');
+
+// Runs declarative conversation flows on top of the session store.
+//
+// A flow is { id, start, states, action }. Each state has:
+//   prompt(ctx)    -> message to send when the state is entered:
+//                     { text, buttons?, list?: { button, sections }, fallback? }
+//   validate(ctx)  -> { error } to re-ask with that text, or
+//                     { data, next, notice } to store data and move on,
+//                     { complete: true } to run the flow's action,
+//                     { cancel: true } to end the flow
+//   next           -> default next state (name, or fn(data) returning one)
+//   skip(ctx)      -> optional; return { data, next } to pass straight through
+//
+// ctx is { from, data, text, clean, enteredAt } where data is the session.
+// The engine keeps a history of visited states so every step understands
+// "back" and "cancel". Its own replies come from messages.<name>(from).
+// onTransition(flowId, from, to) is told about every step the user takes:
+// from is "start" for a new flow, to is "completed" or "cancelled" at the end.
+
+const BACK_COMMANDS = ['back'];
+const CANCEL_COMMANDS = ['cancel', 'stop'];
+
+// Stage a session is in while its action runs (guards against double YES)
+const PROCESSING_STAGE = 'processing';
+
+function createFlowEngine({ sessions, send, messages, onTransition = () => {} }) {
+    const flows = {};
+
+    function resolveNext(next, data) {
+        return typeof next === 'function' ? next(data) : next;
+    }
+
+    // Put a notice (e.g. "✅ Meter confirmed") above the next prompt
+    function withNotice(message, notice) {
+        if (!notice) return message;
+        return {
+            ...message,
+            text: `${notice}\n\n${message.text}`,
+            fallback: message.fallback && `${notice}\n\n${message.fallback}`
+        };
+    }
+
+    async function enter(from, flow, session, stateName, notice) {
+        const state = flow.states[stateName];
+
+        if (state.skip) {
+            const skipped = await state.skip({ from, data: session });
+            if (skipped) {
+                const data = { ...session, ...skipped.data };
+                return enter(from, flow, data, skipped.next || resolveNext(state.next, data), notice);
+            }
+        }
+
+        const updated = { ...session, stage: stateName, enteredAt: Date.now() };
+        sessions.set(from, updated);
+        onTransition(flow.id, session.stage || 'start', stateName);
+
+        logger.debug('🔀 Flow state entered', { from, flow: flow.id, state: stateName });
+
+        const message = await state.prompt({ from, data: updated });
+        await send(from, withNotice(message, notice));
+    }
+
+    async function cancel(from, session) {
+        sessions.delete(from);
+        logger.info('🚫 Flow cancelled', { from, flow: session.transactionType, state: session.stage });
+        onTransition(session.transactionType, session.stage, 'cancelled');
+        await send(from, { text: messages.cancelled(from) });
+    }
+
+    return {
+        register(flow) {
+            if (!flow.id || !flow.states[flow.start] || typeof flow.action !== 'function') {
+                throw new Error(`Invalid flow definition: ${flow.id}`);
+            }
+            for (const [name, state] of Object.entries(flow.states)) {
+                if (typeof state.prompt !== 'function' || typeof state.validate !== 'function') {
+                    throw new Error(`Flow ${flow.id} state ${name} needs prompt and validate`);
+                }
+            }
+            flows[flow.id] = flow;
+        },
+
+        get(flowId) {
+            return flows[flowId] || null;
+        },
+
+        // Start a flow from scratch (or at a later state, with data already known)
+        async start(from, flowId, data = {}, stateName) {
+            const flow = flows[flowId];
+            logger.info('▶️ Flow started', { from, flow: flowId });
+            await enter(from, flow, { ...data, transactionType: flowId, history: [] }, stateName || flow.start);
+        },
+
+        // Feed a message to the user's flow. Returns false if the session
+        // doesn't belong to a known flow state, so the caller can start over.
+        async handle(from, session, text) {
+            const flow = flows[session.transactionType];
+            const clean = text.trim().toLowerCase();
+
+            if (session.stage === PROCESSING_STAGE) {
+                await send(from, { text: messages.processing(from) });
+                return true;
+            }
+
+            const state = flow && flow.states[session.stage];
+            if (!state) {
+                logger.warn('⚠️ Session in unknown flow state', {
+                    from,
+                    flow: session.transactionType,
+                    state: session.stage
+                });
+                sessions.delete(from);
+                return false;
+            }
+
+            if (CANCEL_COMMANDS.includes(clean)) {
+                await cancel(from, session);
+                return true;
+            }
+
+            const history = session.history || [];
+
+            if (BACK_COMMANDS.includes(clean)) {
+                if (history.length === 0) {
+                    await send(from, { text: messages.firstStep(from) });
+                    return true;
+                }
+                const previous = history[history.length - 1];
+                await enter(from, flow, { ...session, history: history.slice(0, -1) }, previous);
+                return true;
+            }
+
+            const result = await state.validate({ from, data: session, text: text.trim(), clean, enteredAt: session.enteredAt });
+
+            if (result.error) {
+                await send(from, { text: result.error });
+                return true;
+            }
+
+            if (result.cancel) {
+                await cancel(from, session);
+                return true;
+            }
+
+            const data = { ...session, ...result.data };
+
+            if (result.complete) {
+                sessions.set(from, { ...data, stage: PROCESSING_STAGE });
+                logger.info('🏁 Flow completed', { from, flow: flow.id });
+                onTransition(flow.id, session.stage, 'completed');
+                try {
+                    await flow.action(from, data);
+                } catch (error) {
+                    // Don't leave the user stuck in "processing"
+                    sessions.delete(from);
+                    throw error;
+                }
+                return true;
+            }
+
+            const next = result.next || resolveNext(state.next, data);
+
+            // Going back to an earlier step (e.g. EDIT) rewinds the history
+            // instead of growing it
+            const index = history.indexOf(next);
+            const nextHistory = index === -1 ? [...history, session.stage] : history.slice(0, index);
+
+            await enter(from, flow, { ...data, history: nextHistory }, next, result.notice);
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createFlowEngine
+};
@@ -0,0 +1,128 @@
+const axios = require('axios');
+const { logger } = require('./logger');
+
+// Submits a ledger transaction to a payment/ZESA/airtime gateway and
+// records the outcome. When the request fails in a way that doesn't tell us
+// whether the gateway charged the user (timeout, dropped connection, 500/502/504)
+// we ask the gateway for the transaction status instead of guessing.
+
+const GATEWAY_TIMEOUT_MS = parseInt(process.env.GATEWAY_TIMEOUT_MS) || 30000;
+const QUOTE_TIMEOUT_MS = 5000;
+
+function isAmbiguousError(error) {
+    if (error.response) {
+        return [500, 502, 504].includes(error.response.status);
+    }
+    // The request never left us, so nothing can have been charged
+    return !['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_INVALID_URL'].includes(error.code);
+}
+
+const PENDING_STATUSES = ['pending', 'processing', 'awaiting_confirmation'];
+
+// Maps a gateway status string onto a ledger state
+function toLedgerState(status) {
+    if (['success', 'succeeded', 'completed'].includes(status)) return 'succeeded';
+    if (['failed', 'declined', 'cancelled'].includes(status)) return 'failed';
+    return 'pending';
+}
+
+async function checkStatus(baseUrl, transactionId, headers) {
+    const response = await axios.get(`${baseUrl}/status/${transactionId}`, {
+        headers,
+        timeout: GATEWAY_TIMEOUT_MS
+    });
+    return response.data;
+}
+
+// Returns { transaction, data } where transaction.state is one of
+// succeeded, failed, pending (gateway accepted it but hasn't finished) or unknown
+async function submitTransaction({ ledger, transaction, baseUrl, path, payload, headers = {} }) {
+    const requestHeaders = { ...headers, 'Idempotency-Key': transaction.id };
+
+    try {
+        const response = await axios.post(
+            `${baseUrl}${path}`,
+            { ...payload, transactionId: transaction.id },
+            { headers: requestHeaders, timeout: GATEWAY_TIMEOUT_MS }
+        );
+        const data = response.data || {};
+
+        // Mobile money (e.g. EcoCash USSD push) is accepted first and
+        // confirmed later through the payment callback
+        let changes;
+        if (PENDING_STATUSES.includes(data.status)) {
+            changes = { state: 'pending' };
+        } else if (data.success) {
+            changes = { state: 'succeeded' };
+        } else {
+            changes = { state: 'failed', failureReason: data.message || null };
+        }
+
+        const updated = ledger.update(transaction.id, {
+            ...changes,
+            gatewayReference: data.reference || null
+        });
+
+        logger.info('💳 Gateway responded', {
+            transactionId: transaction.id,
+            transactionType: transaction.transactionType,
+            state: updated.state
+        });
+
+        return { transaction: updated, data };
+    } catch (error) {
+        if (!isAmbiguousError(error)) {
+            logger.error('❌ Gateway request failed', { transactionId: transaction.id, error });
+            const updated = ledger.update(transaction.id, {
+                state: 'failed',
+                failureReason: error.response?.data?.message || error.message
+            });
+            return { transaction: updated, data: error.response?.data || {}, error };
+        }
+
+        logger.warn('⏳ Ambiguous gateway failure - checking status', { transactionId: transaction.id, error });
+        ledger.update(transaction.id, { state: 'unknown', failureReason: error.message });
+
+        try {
+            const data = await checkStatus(baseUrl, transaction.id, requestHeaders) || {};
+            const state = toLedgerState(data.status);
+
+            const updated = ledger.update(transaction.id, {
+                state,
+                gatewayReference: data.reference || null,
+                failureReason: state === 'failed' ? (data.message || null) : null
+            });
+            return { transaction: updated, data, error };
+        } catch (statusError) {
+            logger.error('❌ Status check failed', { transactionId: transaction.id, error: statusError });
+            return { transaction: ledger.get(transaction.id), data: {}, error };
+        }
+    }
+}
+
+// Optional fee quote shown before the user confirms. Gateways that don't
+// support quotes (or are slow to answer) just mean no fee line.
+async function getQuote({ baseUrl, path = '/quote', payload, headers = {} }) {
+    try {
+        const response = await axios.post(`${baseUrl}${path}`, payload, {
+            headers,
+            timeout: QUOTE_TIMEOUT_MS
+        });
+        const data = response.data || {};
+
+        if (data.fee === undefined || data.fee === null) return null;
+        return {
+            fee: Number(data.fee),
+            total: data.total !== undefined ? Number(data.total) : Number(payload.amount) + Number(data.fee)
+        };
+    } catch (error) {
+        logger.warn('⚠️ Fee quote unavailable', { path, error });
+        return null;
+    }
+}
+
+module.exports = {
+    submitTransaction,
+    getQuote,
+    toLedgerState
+};
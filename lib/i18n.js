@@ -0,0 +1,59 @@
+const { logger } = require('./logger');
+
+// Message catalogues (../locales/<code>.js) with {placeholder} interpolation.
+// Keys a translation doesn't have yet fall back to English.
+
+const CATALOGUES = {
+    en: require('../locales/en'),
+    sn: require('../locales/sn'),
+    nd: require('../locales/nd')
+};
+
+// Names shown to users, each in its own language
+const LANGUAGES = {
+    en: 'English',
+    sn: 'chiShona',
+    nd: 'isiNdebele'
+};
+
+const DEFAULT_LANGUAGE = normalizeLanguage(process.env.DEFAULT_LANGUAGE) || 'en';
+
+// Accepts codes, locales and names ("sn", "sn_ZW", "Shona", "isiNdebele")
+function normalizeLanguage(value) {
+    if (!value) return null;
+
+    const code = String(value).trim().toLowerCase();
+    const base = code.split(/[-_]/)[0];
+    if (Object.hasOwn(CATALOGUES, base)) return base;
+
+    if (['english', 'chirungu', 'isingisi'].includes(code)) return 'en';
+    if (['shona', 'chishona'].includes(code)) return 'sn';
+    if (['ndebele', 'isindebele', 'sindebele'].includes(code)) return 'nd';
+    return null;
+}
+
+function hasMessage(key) {
+    return Object.hasOwn(CATALOGUES.en, key);
+}
+
+function translate(language, key, params = {}) {
+    const catalogue = Object.hasOwn(CATALOGUES, language) ? CATALOGUES[language] : CATALOGUES[DEFAULT_LANGUAGE];
+    const template = Object.hasOwn(catalogue, key) ? catalogue[key] : CATALOGUES.en[key];
+
+    if (template === undefined) {
+        logger.warn('⚠️ Missing message key', { key, language });
+        return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        params[name] === undefined || params[name] === null ? placeholder : String(params[name])
+    );
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    normalizeLanguage,
+    hasMessage,
+    translate
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Local record of every payment attempt, so retries can't double-charge and
+// support can look up what happened. Each attempt gets its own transaction ID
+// which is also sent to the gateway as the idempotency key.
+
+const TRANSACTION_STATES = ['pending', 'succeeded', 'failed', 'unknown'];
+
+// Once a transaction has succeeded or failed its state never changes again,
+// so a late or out-of-order gateway response can't undo a callback
+const FINAL_STATES = ['succeeded', 'failed'];
+
+// onStateChange(transaction) runs whenever a transaction is created (pending)
+// or moves to another state
+function createLedger({ driver, onStateChange = () => {} }) {
+    function get(transactionId) {
+        return driver.get(transactionId) || null;
+    }
+
+    return {
+        get,
+
+        create({ transactionType, phone, amount, ...details }) {
+            const now = new Date().toISOString();
+            const transaction = {
+                id: crypto.randomUUID(),
+                transactionType,
+                state: 'pending',
+                phone,
+                amount,
+                gatewayReference: null,
+                ...details,
+                createdAt: now,
+                updatedAt: now
+            };
+
+            driver.set(transaction.id, transaction);
+            onStateChange(transaction);
+            return transaction;
+        },
+
+        update(transactionId, changes) {
+            if (changes.state && !TRANSACTION_STATES.includes(changes.state)) {
+                throw new Error(`Invalid transaction state "${changes.state}"`);
+            }
+
+            // Checked and written in one step, so a callback handled by
+            // another process can't slip in between
+            let transaction;
+            const updated = driver.update(transactionId, current => {
+                transaction = current;
+                if (!current) return undefined;
+                if (FINAL_STATES.includes(current.state) && changes.state && changes.state !== current.state) return undefined;
+                return { ...current, ...changes, updatedAt: new Date().toISOString() };
+            });
+            if (!transaction) return null;
+
+            if (!updated) {
+                logger.warn('⚠️ Ignoring state change for final transaction', {
+                    transactionId,
+                    state: transaction.state,
+                    ignoredState: changes.state
+                });
+                return transaction;
+            }
+
+            if (updated.state !== transaction.state) {
+                onStateChange(updated);
+            }
+            return updated;
+        },
+
+        // Newest first
+        find(predicate = () => true) {
+            return driver.find(predicate)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        }
+    };
+}
+
+module.exports = {
+    createLedger,
+    FINAL_STATES
+};
@@ -0,0 +1,114 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logger. Every line carries the correlation ID of the
+// webhook message (or callback) being handled, and secrets and personal
+// data are redacted before anything is written.
+
+// LOG_LEVEL=silent turns logging off (the test suite uses it)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const correlationStorage = new AsyncLocalStorage();
+
+// ==================== REDACTION ====================
+
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|api[-_]?key|signature|cookie/i;
+const PII_KEY_PATTERN = /phone|^from$|^to$|recipient|meter/i;
+
+// Phone and meter numbers in free text: 10-12 digits (0771234567,
+// +263771234567, meter numbers) standing on their own, so the digit runs
+// inside transaction IDs and other UUIDs are left alone
+const FREE_TEXT_NUMBER_PATTERN = /(?<![\w-])(\+?)(\d{10,12})(?![\w-])/g;
+
+// Keep the first and last 3 digits
+function maskNumber(digits) {
+    return digits.slice(0, 3) + '*'.repeat(digits.length - 6) + digits.slice(-3);
+}
+
+// Fields that hold a phone or meter number: mask any long run of digits
+function maskDigits(value) {
+    return value.replace(/\d{9,}/g, maskNumber);
+}
+
+function redactString(value) {
+    return value
+        .replace(/Bearer\s+\S+/gi, 'Bearer [REDACTED]')
+        .replace(FREE_TEXT_NUMBER_PATTERN, (match, plus, digits) => plus + maskNumber(digits));
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: redactString(error.message || ''),
+        code: error.code,
+        status: error.response?.status
+    };
+}
+
+function redact(value, key = '', seen = new WeakSet(), depth = 0) {
+    if (key && SECRET_KEY_PATTERN.test(key) && value !== undefined && value !== null && typeof value !== 'boolean') {
+        return '[REDACTED]';
+    }
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (typeof value === 'string') {
+        return PII_KEY_PATTERN.test(key) ? maskDigits(value) : redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value) || depth > 5) {
+        return '[Truncated]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, key, seen, depth + 1));
+    }
+
+    const result = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+        result[childKey] = redact(childValue, childKey, seen, depth + 1);
+    }
+    return result;
+}
+
+// ==================== CORRELATION IDS ====================
+
+function runWithCorrelationId(correlationId, fn) {
+    return correlationStorage.run({ correlationId }, fn);
+}
+
+function getCorrelationId() {
+    return correlationStorage.getStore()?.correlationId || null;
+}
+
+// ==================== LOGGER ====================
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactString(message),
+        correlationId: getCorrelationId() || undefined,
+        ...redact(fields)
+    };
+
+    process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = {
+    logger,
+    runWithCorrelationId,
+    getCorrelationId
+};
@@ -0,0 +1,31 @@
+const axios = require('axios');
+
+// Media users send us (photos of PayCodes). The webhook only carries a media
+// ID: the Graph API turns it into a short-lived URL, which needs the same
+// access token to download.
+
+// WhatsApp doesn't accept images over 5 MB, so anything bigger isn't one
+const MAX_MEDIA_BYTES = 5 * 1024 * 1024;
+
+// Resolves to { buffer, mimeType }; throws like axios on failure
+async function downloadMedia(mediaId, { apiUrl, accessToken, timeoutMs = 10000 }) {
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+
+    const { data: media } = await axios.get(`${apiUrl}/${mediaId}`, { headers, timeout: timeoutMs });
+
+    const response = await axios.get(media.url, {
+        headers,
+        timeout: timeoutMs,
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_MEDIA_BYTES
+    });
+
+    return {
+        buffer: Buffer.from(response.data),
+        mimeType: media.mime_type || response.headers['content-type'] || null
+    };
+}
+
+module.exports = {
+    downloadMedia
+};
@@ -0,0 +1,135 @@
+// Counters, gauges and histograms served at /metrics in the Prometheus text
+// format (version 0.0.4). Everything is kept in memory per process, so
+// counters start again from zero on restart - Prometheus expects that.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upstream calls range from a quick WordPress lookup to a 30s gateway timeout
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return String(value);
+}
+
+// Label values in the order they were declared, so { a, b } and { b, a }
+// are the same series. Missing labels are recorded as "".
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function toLabels(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    function register(metric) {
+        if (metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        metrics.push(metric);
+    }
+
+    return {
+        counter({ name, help, labels = [] }) {
+            const series = new Map();
+
+            register({
+                name,
+                help,
+                type: 'counter',
+                lines() {
+                    return Array.from(series, ([key, value]) =>
+                        `${name}${formatLabels(toLabels(labels, key))} ${formatValue(value)}`
+                    );
+                }
+            });
+
+            return {
+                inc(labelValues = {}, amount = 1) {
+                    const key = seriesKey(labels, labelValues);
+                    series.set(key, (series.get(key) || 0) + amount);
+                }
+            };
+        },
+
+        // A gauge read when Prometheus scrapes, e.g. the number of live sessions
+        gauge({ name, help, collect }) {
+            register({
+                name,
+                help,
+                type: 'gauge',
+                lines() {
+                    return [`${name} ${formatValue(collect())}`];
+                }
+            });
+        },
+
+        histogram({ name, help, labels = [], buckets = LATENCY_BUCKETS }) {
+            const series = new Map();
+
+            register({
+                name,
+                help,
+                type: 'histogram',
+                lines() {
+                    const lines = [];
+                    for (const [key, { counts, sum, count }] of series) {
+                        const labelValues = toLabels(labels, key);
+                        buckets.forEach((bound, index) => {
+                            lines.push(`${name}_bucket${formatLabels({ ...labelValues, le: formatValue(bound) })} ${counts[index]}`);
+                        });
+                        lines.push(`${name}_bucket${formatLabels({ ...labelValues, le: '+Inf' })} ${count}`);
+                        lines.push(`${name}_sum${formatLabels(labelValues)} ${formatValue(sum)}`);
+                        lines.push(`${name}_count${formatLabels(labelValues)} ${count}`);
+                    }
+                    return lines;
+                }
+            });
+
+            return {
+                observe(labelValues, value) {
+                    const key = seriesKey(labels, labelValues);
+                    let entry = series.get(key);
+                    if (!entry) {
+                        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                        series.set(key, entry);
+                    }
+
+                    // Buckets are cumulative: a value counts towards every bound above it
+                    buckets.forEach((bound, index) => {
+                        if (value <= bound) entry.counts[index]++;
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                }
+            };
+        },
+
+        // The whole registry in the Prometheus text format
+        render() {
+            return metrics.map(metric => [
+                `# HELP ${metric.name} ${metric.help}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.lines()
+            ].join('\n')).join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    createMetricsRegistry
+};
@@ -0,0 +1,161 @@
+const { logger } = require('./logger');
+
+// Notices we send without the user asking (payment confirmations, timeouts,
+// reminders). WhatsApp only delivers free-form messages within 24 hours of
+// the user's last message to us - the customer service window. Outside it
+// only pre-approved template messages get through.
+//
+// Templates are registered in WhatsApp Manager and configured here per
+// notification type (the locale key of the free-form message):
+//   name        template name
+//   language    template language code (default "en")
+//   languages   optional { <our language>: <template language> } overrides
+//   parameters  notification params filling the body's {{1}}, {{2}}, ...
+//   buttons     true if the template has quick-reply buttons for the
+//               notification's buttons (same order; the payload is the ID)
+// WHATSAPP_TEMPLATES (JSON, same shape) overrides or adds types.
+
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TEMPLATES = {
+    'payment.confirmed': {
+        name: 'payment_confirmed',
+        parameters: ['description', 'amount', 'reference']
+    },
+    'payment.callbackFailed': {
+        name: 'payment_failed',
+        parameters: ['description', 'amount', 'reason', 'id']
+    },
+    'payment.timedOut': {
+        name: 'payment_not_confirmed',
+        parameters: ['amount', 'description', 'minutes', 'id']
+    },
+    'schedule.reminderDue': {
+        name: 'payment_reminder',
+        parameters: ['description', 'amount'],
+        buttons: true
+    },
+    'schedule.repeatDue': {
+        name: 'repeat_payment_due',
+        parameters: ['description', 'amount'],
+        buttons: true
+    }
+};
+
+function loadTemplates() {
+    if (!process.env.WHATSAPP_TEMPLATES) return DEFAULT_TEMPLATES;
+
+    try {
+        return { ...DEFAULT_TEMPLATES, ...JSON.parse(process.env.WHATSAPP_TEMPLATES) };
+    } catch (error) {
+        logger.error('❌ WHATSAPP_TEMPLATES is not valid JSON - using the defaults', { error });
+        return DEFAULT_TEMPLATES;
+    }
+}
+
+// Template parameters can't contain newlines, tabs or runs of spaces
+function toParameterText(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text.replace(/\s+/g, ' ').trim() || '-';
+}
+
+function templateMessage(template, language, params = {}, buttons = []) {
+    const parameters = (template.parameters || []).map(name => ({
+        type: "text",
+        text: toParameterText(params[name])
+    }));
+
+    const components = parameters.length > 0 ? [{ type: "body", parameters }] : [];
+    if (template.buttons) {
+        buttons.forEach((button, index) => components.push({
+            type: "button",
+            sub_type: "quick_reply",
+            index: String(index),
+            parameters: [{ type: "payload", payload: button.id }]
+        }));
+    }
+
+    return {
+        type: "template",
+        template: {
+            name: template.name,
+            language: { code: template.languages?.[language] || template.language || 'en' },
+            components
+        }
+    };
+}
+
+// Free-form version: plain text, or reply buttons ({ id, title }) under it
+function freeFormMessage(body, buttons = []) {
+    if (buttons.length === 0) {
+        return { type: "text", text: { body } };
+    }
+
+    return {
+        type: "interactive",
+        interactive: {
+            type: "button",
+            body: { text: body },
+            action: {
+                buttons: buttons.map(({ id, title }) => ({ type: "reply", reply: { id, title } }))
+            }
+        }
+    };
+}
+
+function createNotifier({
+    preferences,
+    outbox,
+    translate,
+    getLanguage,
+    templates = loadTemplates(),
+    windowMs = SERVICE_WINDOW_MS
+}) {
+    function lastInboundAt(phone) {
+        const at = preferences.get(phone)?.lastInboundAt;
+        return at ? Date.parse(at) : null;
+    }
+
+    function isWindowOpen(phone, now = Date.now()) {
+        const at = lastInboundAt(phone);
+        return at !== null && now - at < windowMs;
+    }
+
+    return {
+        isWindowOpen,
+
+        // Call for every message the user sends us; at is when they sent it
+        recordInbound(phone, at = Date.now()) {
+            const previous = lastInboundAt(phone);
+            if (previous !== null && previous >= at) return;
+            preferences.set(phone, { ...preferences.get(phone), lastInboundAt: new Date(at).toISOString() });
+        },
+
+        // Send notification `type` with params (and optional reply buttons).
+        // Inside the window this is the usual message, with the template as
+        // fallback in case WhatsApp says the window has closed after all;
+        // outside it, the template.
+        async notify(phone, type, params, { buttons } = {}) {
+            const template = templates[type];
+            const message = freeFormMessage(translate(phone, type, params), buttons);
+            const fallback = template ? templateMessage(template, getLanguage(phone), params, buttons) : null;
+
+            if (isWindowOpen(phone)) {
+                return outbox.send(phone, message, { fallback });
+            }
+
+            if (!template) {
+                // WhatsApp will most likely refuse it; it ends up in the dead letters
+                logger.warn('⚠️ No template for notification outside the service window', { phone, type });
+                return outbox.send(phone, message);
+            }
+
+            logger.info('📨 Service window closed, sending template', { phone, type, template: template.name });
+            return outbox.send(phone, fallback);
+        }
+    };
+}
+
+module.exports = {
+    createNotifier
+};
@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Durable outbound message queue. Every WhatsApp message is stored before it
+// is sent and only removed once the Graph API accepts it. Failures that may
+// clear up (429, 5xx, network errors, throughput limits) are retried with
+// exponential backoff; anything else, or a message out of attempts, goes to
+// the dead-letter list for an operator to inspect and replay.
+//
+// Messages to one recipient are delivered strictly in order: while the
+// oldest is waiting for a retry, newer ones wait behind it.
+//
+// Bot processes sharing the queue claim a job before sending it. A claim
+// left by a process that died runs out after claimMs and the job is picked
+// up again.
+
+// Graph API error codes that mean "slow down" rather than "never"
+const RATE_LIMIT_ERROR_CODES = [
+    4,          // App-level rate limit
+    80007,      // WhatsApp Business Account rate limit
+    130429,     // Cloud API throughput reached
+    131056      // Too many messages to this recipient
+];
+
+function getGraphErrorCode(error) {
+    return error.response?.data?.error?.code;
+}
+
+function isRetryable(error) {
+    if (!error.response) return true;
+    const { status } = error.response;
+    return status === 429 || status >= 500 || RATE_LIMIT_ERROR_CODES.includes(getGraphErrorCode(error));
+}
+
+// Retry-After (seconds) from a 429, if the API sent one
+function getRetryAfterMs(error) {
+    const seconds = parseInt(error.response?.headers?.['retry-after']);
+    return seconds > 0 ? seconds * 1000 : 0;
+}
+
+function describeError(error) {
+    return {
+        status: error.response?.status || null,
+        code: getGraphErrorCode(error) || error.code || null,
+        message: error.response?.data?.error?.message || error.message
+    };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createOutbox({
+    queue,
+    deadLetters,
+    deliver,
+    maxAttempts = 8,
+    baseDelayMs = 2000,
+    maxDelayMs = 5 * 60 * 1000,
+    ratePerSecond = 80,
+    claimMs = 60 * 1000
+}) {
+    const sending = new Set();
+    const sendIntervalMs = 1000 / ratePerSecond;
+    let nextSlotAt = 0;
+    let sequence = 0;
+    let timer = null;
+
+    // Space sends out so the whole bot stays under ratePerSecond
+    async function throttle() {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlotAt);
+        nextSlotAt = slot + sendIntervalMs;
+        if (slot > now) await wait(slot - now);
+    }
+
+    function byQueueOrder(a, b) {
+        return a.queuedAt - b.queuedAt || a.sequence - b.sequence;
+    }
+
+    function pendingFor(to) {
+        return queue.entries()
+            .map(([, job]) => job)
+            .filter(job => job.to === to)
+            .sort(byQueueOrder);
+    }
+
+    // Returns the claimed job, or undefined if it is gone or another process has it
+    function claim(job) {
+        const now = Date.now();
+        return queue.update(job.id, current => {
+            if (!current || current.claimedUntil > now) return undefined;
+            return { ...current, claimedUntil: now + claimMs };
+        });
+    }
+
+    function backoffMs(attempts, error) {
+        const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+        return Math.max(exponential, getRetryAfterMs(error));
+    }
+
+    function deadLetter(job, error) {
+        queue.delete(job.id);
+        deadLetters.set(job.id, {
+            ...job,
+            failedAt: new Date().toISOString(),
+            lastError: describeError(error)
+        });
+        logger.error('💀 Message dead-lettered', { messageId: job.id, to: job.to, attempts: job.attempts, error });
+    }
+
+    // Try the job once. Returns true if the queue can move on to the next
+    // message for this recipient (sent or dead-lettered).
+    async function attempt(job) {
+        await throttle();
+
+        try {
+            await deliver(job.to, job.message);
+            queue.delete(job.id);
+            logger.debug('📤 Message delivered', { messageId: job.id, to: job.to, attempts: job.attempts + 1 });
+            return true;
+        } catch (error) {
+            const attempts = job.attempts + 1;
+
+            if (!isRetryable(error)) {
+                // e.g. an interactive message the API won't take: send the plain-text version instead
+                if (job.fallback) {
+                    logger.warn('⚠️ Message rejected, sending fallback', { messageId: job.id, to: job.to, error });
+                    queue.set(job.id, { ...job, message: job.fallback, fallback: null, attempts });
+                    return attempt(queue.get(job.id));
+                }
+                deadLetter({ ...job, attempts }, error);
+                return true;
+            }
+
+            if (attempts >= maxAttempts) {
+                deadLetter({ ...job, attempts }, error);
+                return true;
+            }
+
+            const delayMs = backoffMs(attempts, error);
+            queue.set(job.id, {
+                ...job,
+                attempts,
+                nextAttemptAt: Date.now() + delayMs,
+                claimedUntil: 0,
+                lastError: describeError(error)
+            });
+            logger.warn('🔁 Message delivery failed, will retry', {
+                messageId: job.id,
+                to: job.to,
+                attempts,
+                retryInSeconds: Math.round(delayMs / 1000),
+                error
+            });
+            schedule();
+            return false;
+        }
+    }
+
+    // Deliver everything that is due for one recipient, oldest first
+    async function flush(to) {
+        if (sending.has(to)) return;
+        sending.add(to);
+
+        try {
+            for (;;) {
+                const [job] = pendingFor(to);
+                if (!job || job.nextAttemptAt > Date.now()) break;
+
+                const claimed = claim(job);
+                if (!claimed || !(await attempt(claimed))) break;
+            }
+        } finally {
+            sending.delete(to);
+            schedule();
+        }
+    }
+
+    // Wake up when the next retry is due. Recipients with a send in flight
+    // are left out: their flush re-arms the timer when it finishes.
+    function schedule() {
+        const jobs = queue.entries().map(([, job]) => job).filter(job => !sending.has(job.to));
+        if (jobs.length === 0) return;
+
+        const dueAt = Math.min(...jobs.map(job => Math.max(job.nextAttemptAt, job.claimedUntil || 0)));
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            processDue().catch(error => logger.error('❌ Outbox retry run failed', { error }));
+        }, Math.max(0, dueAt - Date.now()));
+        timer.unref();
+    }
+
+    async function processDue() {
+        const recipients = new Set(queue.entries().map(([, job]) => job.to));
+        for (const to of recipients) {
+            await flush(to);
+        }
+        schedule();
+    }
+
+    return {
+        // Queue a message and try to send it straight away. Resolves to
+        // "sent", "queued" (will be retried) or "failed" (dead-lettered).
+        async send(to, message, { fallback = null } = {}) {
+            const job = {
+                id: crypto.randomUUID(),
+                to,
+                message,
+                fallback,
+                attempts: 0,
+                queuedAt: Date.now(),
+                sequence: sequence++,
+                nextAttemptAt: Date.now(),
+                claimedUntil: 0
+            };
+            queue.set(job.id, job);
+
+            await flush(to);
+
+            if (queue.get(job.id)) return 'queued';
+            return deadLetters.get(job.id) ? 'failed' : 'sent';
+        },
+
+        // Pick up messages left over from before a restart
+        start() {
+            return processDue();
+        },
+
+        pending() {
+            return queue.entries().map(([, job]) => job).sort(byQueueOrder);
+        },
+
+        deadLetters() {
+            return deadLetters.entries()
+                .map(([, job]) => job)
+                .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+        },
+
+        // Put a dead letter back on the queue with a fresh set of attempts.
+        // Returns the outcome like send(), or null if there is no such message.
+        async replay(id) {
+            const job = deadLetters.get(id);
+            if (!job) return null;
+
+            const { failedAt, lastError, ...rest } = job;
+            deadLetters.delete(id);
+            queue.set(id, {
+                ...rest,
+                attempts: 0,
+                queuedAt: Date.now(),
+                sequence: sequence++,
+                nextAttemptAt: Date.now(),
+                claimedUntil: 0
+            });
+            logger.info('♻️ Dead letter replayed', { messageId: id, to: job.to });
+
+            await flush(job.to);
+
+            if (queue.get(id)) return 'queued';
+            return deadLetters.get(id) ? 'failed' : 'sent';
+        },
+
+        discard(id) {
+            if (!deadLetters.get(id)) return false;
+            deadLetters.delete(id);
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createOutbox
+};
@@ -0,0 +1,50 @@
+// Zimbabwean mobile numbers: normalising to E.164 and finding the network
+
+const NETWORK_PREFIXES = {
+    '71': 'netone',
+    '73': 'telecel',
+    '77': 'econet',
+    '78': 'econet'
+};
+
+const NETWORK_NAMES = {
+    econet: 'Econet',
+    netone: 'NetOne',
+    telecel: 'Telecel'
+};
+
+// Accepts 0771234567, 771234567, 263771234567, +263 77 123 4567, 00263...
+// Returns +263771234567, or null if it isn't a Zimbabwean mobile number
+function normalizeZimbabweanNumber(input) {
+    if (!input) return null;
+
+    let digits = String(input).trim().replace(/[\s\-().]/g, '');
+    if (!/^\+?\d+$/.test(digits)) return null;
+
+    digits = digits.replace(/^\+/, '').replace(/^00/, '');
+
+    if (digits.startsWith('263')) {
+        digits = digits.slice(3);
+    } else if (digits.startsWith('0')) {
+        digits = digits.slice(1);
+    }
+
+    if (!/^7\d{8}$/.test(digits)) return null;
+    return `+263${digits}`;
+}
+
+// Returns 'econet', 'netone', 'telecel' or null for an E.164 number
+function detectNetwork(e164) {
+    if (!e164 || !e164.startsWith('+263')) return null;
+    return NETWORK_PREFIXES[e164.slice(4, 6)] || null;
+}
+
+function getNetworkName(network) {
+    return NETWORK_NAMES[network] || network;
+}
+
+module.exports = {
+    normalizeZimbabweanNumber,
+    detectNetwork,
+    getNetworkName
+};
@@ -0,0 +1,64 @@
+const jsQR = require('jsqr');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { logger } = require('./logger');
+
+// Reads QR codes from photos (JPEG, which is what WhatsApp sends, or PNG)
+// without sending the image anywhere.
+
+// Decoded images take 4 bytes a pixel, so a small file that claims to be
+// huge could need gigabytes. WhatsApp photos are well under this.
+const MAX_MEGAPIXELS = 16;
+
+function isPng(buffer) {
+    return buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47;
+}
+
+function isJpeg(buffer) {
+    return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8;
+}
+
+// Size from the IHDR chunk, which always comes first in a PNG
+function pngDimensions(buffer) {
+    if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// RGBA pixels as { data, width, height }, or null for other formats
+function decodeImage(buffer) {
+    if (isPng(buffer)) {
+        const size = pngDimensions(buffer);
+        if (!size || size.width * size.height > MAX_MEGAPIXELS * 1000 * 1000) {
+            throw new Error(`PNG is too large to decode (${size ? `${size.width}x${size.height}` : 'no IHDR'})`);
+        }
+        return PNG.sync.read(buffer);
+    }
+    if (isJpeg(buffer)) {
+        return jpeg.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: MAX_MEGAPIXELS,
+            maxMemoryUsageInMB: 256
+        });
+    }
+    return null;
+}
+
+// Text of the QR code in the image, or null if there isn't a readable one
+function readQrCode(buffer) {
+    try {
+        const image = decodeImage(buffer);
+        if (!image) return null;
+
+        const pixels = new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length);
+        const code = jsQR(pixels, image.width, image.height);
+        return code ? code.data : null;
+    } catch (error) {
+        logger.warn('⚠️ Could not decode image', { error });
+        return null;
+    }
+}
+
+module.exports = {
+    readQrCode
+};
@@ -0,0 +1,70 @@
+// Fixed-window rate limiter keyed by anything (IP, phone number, ...).
+// With lockoutMs set, going over the limit locks the key out for that long
+// instead of just until the window ends.
+
+function createRateLimiter({ limit, windowMs, lockoutMs = 0 }) {
+    const windows = new Map();
+    const lockouts = new Map();
+
+    function check(key) {
+        const lockedUntil = lockouts.get(key);
+        if (lockedUntil && lockedUntil > Date.now()) {
+            return { locked: true, retryAfterMs: lockedUntil - Date.now() };
+        }
+        return { locked: false, retryAfterMs: 0 };
+    }
+
+    return {
+        check,
+
+        // Counts a hit; returns { allowed, remaining, retryAfterMs, justLocked }.
+        // justLocked is true only for the hit that triggered a lockout.
+        hit(key) {
+            const now = Date.now();
+
+            const lock = check(key);
+            if (lock.locked) {
+                return { allowed: false, remaining: 0, retryAfterMs: lock.retryAfterMs, justLocked: false };
+            }
+
+            let window = windows.get(key);
+            if (!window || now - window.startedAt >= windowMs) {
+                window = { startedAt: now, count: 0 };
+                windows.set(key, window);
+            }
+
+            window.count++;
+
+            if (window.count > limit && lockoutMs > 0) {
+                lockouts.set(key, now + lockoutMs);
+                windows.delete(key);
+                return { allowed: false, remaining: 0, retryAfterMs: lockoutMs, justLocked: true };
+            }
+
+            return {
+                allowed: window.count <= limit,
+                remaining: Math.max(0, limit - window.count),
+                retryAfterMs: window.startedAt + windowMs - now,
+                justLocked: false
+            };
+        },
+
+        reset(key) {
+            windows.delete(key);
+            lockouts.delete(key);
+        },
+
+        // Drop finished windows and lockouts so the maps don't grow forever
+        prune() {
+            const now = Date.now();
+            for (const [key, window] of windows) {
+                if (now - window.startedAt >= windowMs) windows.delete(key);
+            }
+            for (const [key, lockedUntil] of lockouts) {
+                if (lockedUntil <= now) lockouts.delete(key);
+            }
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
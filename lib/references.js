@@ -0,0 +1,46 @@
+// Account references billers need to reconcile a PayCode payment, per
+// service_type. Each field is asked for as its own conversation step after
+// the amount (messages: reference.<field>.prompt / .invalid, label.<field>).
+//
+// pattern is checked against the normalized value; billers' own formats vary,
+// so the rules only keep out obvious typos.
+
+const REFERENCE_FIELDS = {
+    schools: ['studentNumber', 'studentName'],
+    city_council: ['accountNumber'],
+    insurance: ['policyNumber']
+};
+
+// Reference numbers: upper case, no spaces ("ab 1234" -> "AB1234")
+function normalizeCode(text) {
+    return text.replace(/\s+/g, '').toUpperCase();
+}
+
+function normalizeName(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+const FIELDS = {
+    studentNumber: { normalize: normalizeCode, pattern: /^[A-Z0-9][A-Z0-9/-]{2,19}$/ },
+    studentName: { normalize: normalizeName, pattern: /^[\p{L}][\p{L}' .-]{1,59}$/u },
+    // Council account or stand number
+    accountNumber: { normalize: normalizeCode, pattern: /^[A-Z0-9][A-Z0-9/-]{2,19}$/ },
+    policyNumber: { normalize: normalizeCode, pattern: /^[A-Z0-9][A-Z0-9/-]{3,19}$/ }
+};
+
+function getReferenceFields(serviceType) {
+    return REFERENCE_FIELDS[serviceType] || [];
+}
+
+// The value to store, or null if it doesn't look like a valid `field`
+function parseReference(field, text) {
+    const { normalize, pattern } = FIELDS[field];
+    const value = normalize(text || '');
+    return pattern.test(value) ? value : null;
+}
+
+module.exports = {
+    REFERENCE_FIELDS,
+    getReferenceFields,
+    parseReference
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Reminders and recurring payments, created from a completed transaction.
+// Schedules live in storage, so they survive restarts: anything that fell
+// due while the bot was down runs once on the next check, then moves on to
+// its next future date. Nothing is ever charged from here - onDue only
+// messages the user, who pays with one tap.
+//
+// A schedule is { id, phone, kind, interval, payment, state, anchorAt,
+// occurrence, nextRunAt, lastRunAt, createdAt } where kind is "reminder" or
+// "payment" (repeat the same amount) and payment is the transaction it
+// was made from.
+
+const INTERVALS = ['weekly', 'monthly', 'termly'];
+const MAX_SCHEDULES = 10;
+
+function daysInMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+// The nth occurrence after anchor. Months keep the anchor's day where they
+// can (31 Jan -> 28 Feb -> 31 Mar); a school term is four months.
+function addIntervals(anchor, interval, n) {
+    const date = new Date(anchor);
+
+    if (interval === 'weekly') {
+        date.setDate(date.getDate() + 7 * n);
+        return date;
+    }
+
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + (interval === 'termly' ? 4 : 1) * n);
+    date.setDate(Math.min(day, daysInMonth(date)));
+    return date;
+}
+
+// First occurrence after `after` (skipping any that were missed)
+function nextOccurrence(schedule, after) {
+    let occurrence = schedule.occurrence + 1;
+    let date = addIntervals(schedule.anchorAt, schedule.interval, occurrence);
+
+    while (date.getTime() <= after) {
+        occurrence++;
+        date = addIntervals(schedule.anchorAt, schedule.interval, occurrence);
+    }
+
+    return { occurrence, nextRunAt: date.toISOString() };
+}
+
+function isDue(schedule, now) {
+    return schedule.state === 'active' && Date.parse(schedule.nextRunAt) <= now;
+}
+
+function createScheduler({ driver, onDue }) {
+    let running = false;
+
+    function get(id) {
+        return driver.get(id) || null;
+    }
+
+    function update(id, changes) {
+        const schedule = get(id);
+        if (!schedule) return null;
+
+        const updated = { ...schedule, ...changes };
+        driver.set(id, updated);
+        return updated;
+    }
+
+    function list(phone) {
+        return driver.find(schedule => schedule.phone === phone)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    return {
+        get,
+        list,
+
+        // Returns the new schedule, or null if the user already has MAX_SCHEDULES
+        create({ phone, kind, interval, payment }) {
+            if (!INTERVALS.includes(interval)) {
+                throw new Error(`Invalid schedule interval "${interval}"`);
+            }
+            if (list(phone).length >= MAX_SCHEDULES) return null;
+
+            const now = new Date().toISOString();
+            const schedule = {
+                id: crypto.randomUUID(),
+                phone,
+                kind,
+                interval,
+                payment,
+                state: 'active',
+                anchorAt: now,
+                occurrence: 0,
+                nextRunAt: null,
+                lastRunAt: null,
+                createdAt: now
+            };
+            Object.assign(schedule, nextOccurrence(schedule, Date.now()));
+
+            driver.set(schedule.id, schedule);
+            logger.info('⏰ Schedule created', { scheduleId: schedule.id, phone, kind, interval });
+            return schedule;
+        },
+
+        pause(id) {
+            return update(id, { state: 'paused' });
+        },
+
+        // Picks up at the next date still to come, not the ones missed while paused
+        resume(id) {
+            const schedule = get(id);
+            if (!schedule) return null;
+            return update(id, { state: 'active', ...nextOccurrence(schedule, Date.now()) });
+        },
+
+        cancel(id) {
+            if (!get(id)) return false;
+            driver.delete(id);
+            logger.info('🗑️ Schedule cancelled', { scheduleId: id });
+            return true;
+        },
+
+        // Run everything that is due. Each schedule is moved on before onDue
+        // runs, so a crash can't make it fire twice, and only the process
+        // that moves it on runs it when several share the store.
+        async runDue(now = Date.now()) {
+            if (running) return;
+            running = true;
+
+            try {
+                const due = driver.find(schedule => isDue(schedule, now));
+
+                for (const schedule of due) {
+                    const updated = driver.update(schedule.id, current => {
+                        if (!current || !isDue(current, now)) return undefined;
+                        return { ...current, ...nextOccurrence(current, now), lastRunAt: new Date(now).toISOString() };
+                    });
+                    if (!updated) continue;
+
+                    try {
+                        await onDue(updated);
+                    } catch (error) {
+                        logger.error('❌ Scheduled reminder failed', { scheduleId: schedule.id, error });
+                    }
+                }
+            } finally {
+                running = false;
+            }
+        }
+    };
+}
+
+module.exports = {
+    MAX_SCHEDULES,
+    createScheduler
+};
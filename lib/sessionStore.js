@@ -0,0 +1,89 @@
+// Conversation sessions keyed by phone number, stored on a storage driver
+// (see ./storage). Expired sessions leave a short-lived tombstone behind so
+// the bot can tell the user their session timed out.
+
+// How long we remember that a session expired
+const EXPIRED_NOTICE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+function createSessionStore({ driver, ttlMs }) {
+    function isExpired(session, now) {
+        return now - session.timestamp > ttlMs;
+    }
+
+    function toTombstone(session, now) {
+        return {
+            expired: true,
+            transactionType: session.transactionType,
+            stage: session.stage,
+            timestamp: now
+        };
+    }
+
+    return {
+        ttlMs,
+
+        // Returns the live session, null if there is none, or a tombstone
+        // ({ expired: true, transactionType, stage }) once after it expired.
+        get(phone) {
+            const session = driver.get(phone);
+            if (!session) return null;
+
+            if (session.expired) {
+                driver.delete(phone);
+                return session;
+            }
+
+            const now = Date.now();
+            if (isExpired(session, now)) {
+                driver.delete(phone);
+                return toTombstone(session, now);
+            }
+
+            return session;
+        },
+
+        set(phone, session) {
+            const now = Date.now();
+            driver.set(phone, { createdAt: now, ...session, timestamp: now });
+        },
+
+        delete(phone) {
+            driver.delete(phone);
+        },
+
+        touch(phone) {
+            const session = driver.get(phone);
+            if (!session || session.expired) return;
+            session.timestamp = Date.now();
+            driver.set(phone, session);
+        },
+
+        // Live (unexpired) sessions as [phone, session] pairs
+        list() {
+            const now = Date.now();
+            return driver.entries().filter(([, session]) => !session.expired && !isExpired(session, now));
+        },
+
+        // Sweep: turn idle sessions into tombstones and drop old tombstones.
+        // Returns the phone numbers whose sessions expired during this sweep.
+        expire() {
+            const now = Date.now();
+            const expiredPhones = [];
+
+            for (const [phone, session] of driver.entries()) {
+                if (session.expired) {
+                    if (now - session.timestamp > EXPIRED_NOTICE_RETENTION_MS) {
+                        driver.delete(phone);
+                    }
+                } else if (isExpired(session, now)) {
+                    driver.set(phone, toTombstone(session, now));
+                    expiredPhones.push(phone);
+                }
+            }
+
+            return expiredPhones;
+        }
+    };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Key/value persistence shared by sessions and any other bot state.
+// STORAGE_DRIVER selects the backend: "memory" (default) or "file".
+//
+// Drivers are synchronous: get, set, delete, update(key, fn), entries() and
+// find(predicate). update calls fn with the current value (undefined if
+// there is none) and stores what it returns as one step, even when other
+// processes share the store; it returns the stored value, or undefined if
+// fn returned undefined and nothing changed. find runs the predicate on the
+// stored values (it must not change them) and only copies the matches, so
+// searching a big store stays cheap.
+
+// ==================== MEMORY DRIVER ====================
+
+function createMemoryDriver() {
+    const data = new Map();
+
+    return {
+        get(key) {
+            const value = data.get(key);
+            return value === undefined ? undefined : structuredClone(value);
+        },
+        set(key, value) {
+            data.set(key, structuredClone(value));
+        },
+        delete(key) {
+            data.delete(key);
+        },
+        update(key, fn) {
+            const current = data.get(key);
+            const value = fn(current === undefined ? undefined : structuredClone(current));
+            if (value === undefined) return undefined;
+            data.set(key, structuredClone(value));
+            return structuredClone(value);
+        },
+        entries() {
+            return Array.from(data.entries(), ([key, value]) => [key, structuredClone(value)]);
+        },
+        find(predicate) {
+            return Array.from(data.values()).filter(predicate).map(value => structuredClone(value));
+        }
+    };
+}
+
+// ==================== FILE DRIVER ====================
+
+// Rewrite the log once it holds this many more lines than live keys
+const MIN_COMPACTION_GARBAGE = 1000;
+
+// Writers take a lock file next to the log. A lock older than this was left
+// by a process that died holding it; a write that can't get the lock in
+// LOCK_TIMEOUT_MS fails rather than hanging the bot.
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 10 * 1000;
+
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isStaleLock(lockPath) {
+    try {
+        return Date.now() - fs.statSync(lockPath).mtimeMs > STALE_LOCK_MS;
+    } catch (error) {
+        return false;
+    }
+}
+
+function withLock(lockPath, fn) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+        try {
+            fs.closeSync(fs.openSync(lockPath, 'wx'));
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            if (isStaleLock(lockPath)) {
+                logger.warn('⚠️ Removing abandoned storage lock', { lockPath });
+                fs.rmSync(lockPath, { force: true });
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for storage lock ${lockPath}`);
+            }
+            sleep(5);
+        }
+    }
+
+    try {
+        return fn();
+    } finally {
+        fs.rmSync(lockPath, { force: true });
+    }
+}
+
+// An append-only log: every set or delete adds one JSON line
+// ({"k":key,"v":value} or {"k":key,"d":1}), so a write costs the size of
+// that record rather than the whole store. The log is rewritten with only
+// the live keys once it is mostly superseded lines.
+//
+// Several bot processes can share a data directory. Reads pick up whatever
+// the others appended; writes hold the lock and catch up first, so
+// update() can read-modify-write safely, and a rewrite by another process
+// is spotted by the log's inode changing.
+function createFileDriver(filePath) {
+    const lockPath = `${filePath}.lock`;
+    const data = new Map();
+    let inode = null;
+    let offset = 0;
+    let garbage = 0;
+    let tornTail = false;
+
+    function apply(line) {
+        const record = JSON.parse(line);
+        if (data.has(record.k)) garbage++;
+        if (record.d) {
+            data.delete(record.k);
+            garbage++;
+        } else {
+            data.set(record.k, record.v);
+        }
+    }
+
+    // Read whatever was appended since last time (all of it after a compaction)
+    function load() {
+        let fd;
+        try {
+            fd = fs.openSync(filePath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        try {
+            const { ino, size } = fs.fstatSync(fd);
+            if (ino !== inode || size < offset) {
+                data.clear();
+                inode = ino;
+                offset = 0;
+                garbage = 0;
+            }
+            if (size === offset) return;
+
+            const buffer = Buffer.alloc(size - offset);
+            fs.readSync(fd, buffer, 0, buffer.length, offset);
+
+            // A line cut short by a crash (or still being written by another
+            // process) is left until it ends with a newline
+            const end = buffer.lastIndexOf(0x0a) + 1;
+            for (const line of buffer.toString('utf8', 0, end).split('\n')) {
+                if (!line) continue;
+                try {
+                    apply(line);
+                } catch (error) {
+                    logger.error('❌ Skipping unreadable storage record', { filePath, error });
+                }
+            }
+            offset += end;
+            tornTail = end < buffer.length;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    // Run a change with the lock held and the in-memory copy up to date
+    function write(fn) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        return withLock(lockPath, () => {
+            load();
+            return fn();
+        });
+    }
+
+    function append(record) {
+        // Nobody else writes while we hold the lock, so an unfinished last
+        // line is what a crash left behind. Cut it off, or this record would
+        // be glued onto it and lost.
+        if (tornTail) {
+            fs.truncateSync(filePath, offset);
+            tornTail = false;
+        }
+
+        const line = Buffer.from(JSON.stringify(record) + '\n');
+        const fd = fs.openSync(filePath, 'a');
+        try {
+            fs.appendFileSync(fd, line);
+            inode = fs.fstatSync(fd).ino;
+        } finally {
+            fs.closeSync(fd);
+        }
+        offset += line.length;
+
+        if (garbage > Math.max(MIN_COMPACTION_GARBAGE, data.size)) {
+            compact();
+        }
+    }
+
+    function put(key, value) {
+        if (data.has(key)) garbage++;
+        data.set(key, structuredClone(value));
+        append({ k: key, v: value });
+    }
+
+    function compact() {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        const lines = Array.from(data, ([k, v]) => JSON.stringify({ k, v }) + '\n');
+        fs.writeFileSync(tmpPath, lines.join(''));
+        fs.renameSync(tmpPath, filePath);
+        ({ ino: inode, size: offset } = fs.statSync(filePath));
+        garbage = 0;
+        tornTail = false;
+    }
+
+    // Stores used to be one JSON object per file (name.json)
+    function migrate() {
+        const legacyPath = filePath.replace(/\.jsonl$/, '.json');
+        if (legacyPath === filePath || fs.existsSync(filePath) || !fs.existsSync(legacyPath)) return;
+
+        for (const [key, value] of Object.entries(JSON.parse(fs.readFileSync(legacyPath, 'utf8')))) {
+            data.set(key, value);
+        }
+        compact();
+        fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+        logger.info('📦 Storage file converted to an append-only log', { filePath, keys: data.size });
+    }
+
+    write(migrate);
+
+    return {
+        get(key) {
+            load();
+            const value = data.get(key);
+            return value === undefined ? undefined : structuredClone(value);
+        },
+        set(key, value) {
+            write(() => put(key, value));
+        },
+        delete(key) {
+            write(() => {
+                if (!data.has(key)) return;
+                data.delete(key);
+                garbage += 2;
+                append({ k: key, d: 1 });
+            });
+        },
+        update(key, fn) {
+            return write(() => {
+                const current = data.get(key);
+                const value = fn(current === undefined ? undefined : structuredClone(current));
+                if (value === undefined) return undefined;
+                put(key, value);
+                return structuredClone(value);
+            });
+        },
+        entries() {
+            load();
+            return Array.from(data.entries(), ([key, value]) => [key, structuredClone(value)]);
+        },
+        find(predicate) {
+            load();
+            return Array.from(data.values()).filter(predicate).map(value => structuredClone(value));
+        }
+    };
+}
+
+// ==================== FACTORY ====================
+
+function createStorage(name, options = {}) {
+    const driver = options.driver || process.env.STORAGE_DRIVER || 'memory';
+
+    switch (driver) {
+        case 'memory':
+            return createMemoryDriver();
+        case 'file': {
+            const dataDir = options.dataDir || process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+            return createFileDriver(path.join(dataDir, `${name}.jsonl`));
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "memory" or "file")`);
+    }
+}
+
+module.exports = {
+    createStorage,
+    createMemoryDriver
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// ==================== SIGNATURE VERIFICATION ====================
+
+// Meta signs every webhook POST with the app secret:
+// X-Hub-Signature-256: sha256=<hex HMAC-SHA256 of the raw body>
+function verifySignature(rawBody, signatureHeader, appSecret) {
+    if (!rawBody || !signatureHeader || !appSecret) return false;
+
+    const [scheme, signature] = signatureHeader.split('=');
+    if (scheme !== 'sha256' || !signature) return false;
+
+    const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+    const received = Buffer.from(signature, 'hex');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// ==================== REPLAY PROTECTION ====================
+
+// Remembers WhatsApp message IDs so Meta's retries are only processed once
+function createMessageDeduper({ driver, ttlMs }) {
+    return {
+        // Returns true if the ID was already seen, otherwise records it
+        seen(messageId) {
+            const now = Date.now();
+            const recorded = driver.update(messageId, seenAt =>
+                seenAt !== undefined && now - seenAt <= ttlMs ? undefined : now
+            );
+            return recorded === undefined;
+        },
+
+        // For a message that failed part way, so its retry isn't ignored
+        forget(messageId) {
+            driver.delete(messageId);
+        },
+
+        expire() {
+            const now = Date.now();
+            for (const [messageId, seenAt] of driver.entries()) {
+                if (now - seenAt > ttlMs) driver.delete(messageId);
+            }
+        }
+    };
+}
+
+// Messages older than the dedup window can't be checked for replays, so drop them
+function isStaleMessage(message, maxAgeMs) {
+    const sentAt = parseInt(message.timestamp) * 1000;
+    if (isNaN(sentAt)) return false;
+    return Date.now() - sentAt > maxAgeMs;
+}
+
+module.exports = {
+    verifySignature,
+    createMessageDeduper,
+    isStaleMessage
+};
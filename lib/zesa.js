@@ -0,0 +1,67 @@
+const axios = require('axios');
+const { logger } = require('./logger');
+
+// ZESA meter lookup. Set ZESA_LOOKUP_MODE=mock to answer from the fixtures
+// below instead of calling ZESA_API_URL.
+//
+// Every lookup resolves to { status } where status is valid, unknown,
+// blocked or unavailable.
+
+// ==================== MOCK LOOKUP ====================
+
+// Meters starting 0000 don't exist and meters starting 9999 are blocked;
+// anything else belongs to a test customer
+function mockLookup(meterNumber) {
+    if (meterNumber.startsWith('0000')) {
+        return { status: 'unknown' };
+    }
+    if (meterNumber.startsWith('9999')) {
+        return { status: 'blocked', reason: 'Meter blocked for tampering' };
+    }
+    return {
+        status: 'valid',
+        customerName: 'Test Customer',
+        address: '1 Test Street, Harare'
+    };
+}
+
+// ==================== API LOOKUP ====================
+
+async function apiLookup(meterNumber) {
+    try {
+        const response = await axios.get(`${process.env.ZESA_API_URL}/validate`, {
+            params: { meter: meterNumber },
+            timeout: 10000
+        });
+        const data = response.data || {};
+
+        if (data.valid) {
+            return {
+                status: 'valid',
+                customerName: data.customerName || data.customer_name || null,
+                address: data.address || null
+            };
+        }
+        if (data.reason === 'blocked' || data.blocked) {
+            return { status: 'blocked', reason: data.message || null };
+        }
+        return { status: 'unknown' };
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return { status: 'unknown' };
+        }
+        logger.error('❌ Meter lookup failed', { meterNumber, error });
+        return { status: 'unavailable' };
+    }
+}
+
+// ==================== PUBLIC API ====================
+
+async function lookupMeter(meterNumber) {
+    if (process.env.ZESA_LOOKUP_MODE === 'mock') return mockLookup(meterNumber);
+    return apiLookup(meterNumber);
+}
+
+module.exports = {
+    lookupMeter
+};
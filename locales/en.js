@@ -0,0 +1,453 @@
+// English messages. {name} placeholders are filled in by lib/i18n.
+// Commands (YES, EDIT, history, saved...) stay in English in every language.
+//
+// WhatsApp limits: button titles 20 characters, list button text 20,
+// list row titles 24.
+
+module.exports = {
+    // Main menu & help
+    'menu.welcome': `👋 *Welcome to CCHub*\n\nWhat would you like to do?`,
+    'menu.button': 'Choose a service',
+    'menu.section': 'Services',
+    'menu.paybill': 'Pay Bill',
+    'menu.paybill.description': 'Pay using a PayCode from our website',
+    'menu.zesa': 'Buy ZESA',
+    'menu.zesa.description': 'Purchase electricity tokens',
+    'menu.airtime': 'Buy Airtime',
+    'menu.airtime.description': 'Top up your mobile phone',
+    'menu.help': 'Help',
+    'menu.help.description': 'How to use CCHub',
+    'menu.language': 'Language',
+    'menu.language.description': 'English, chiShona, isiNdebele',
+    'menu.fallback':
+        `👋 *Welcome to CCHub*\n\n` +
+        `What would you like to do?\n\n` +
+        `1. Pay Bill (with PayCode)\n` +
+        `2. Buy ZESA\n` +
+        `3. Buy Airtime\n` +
+        `4. Help\n\n` +
+        `Reply with 1, 2, 3 or 4\n` +
+        `🌐 Send *language* to change language`,
+    'help.text':
+        `❓ *CCHub Help Center*\n\n` +
+        `*Available Services:*\n` +
+        `1️⃣ *Pay Bill* - Pay using a PayCode from our website\n` +
+        `2️⃣ *Buy ZESA* - Purchase electricity tokens\n` +
+        `3️⃣ *Buy Airtime* - Top up your mobile phone\n\n` +
+        `*How to use:*\n` +
+        `• Send "Hi" to start\n` +
+        `• Reply with 1, 2, 3 or 4\n` +
+        `• Follow the prompts\n` +
+        `• Send *back* to go to the previous step, or *cancel* to stop\n\n` +
+        `*PayCode Format:* CCH followed by 6 digits\n` +
+        `*Example:* CCH123456\n\n` +
+        `*Saved meters & billers:*\n` +
+        `• *saved* - show your saved meters and billers\n` +
+        `• *save meter 12345678901 Home*\n` +
+        `• *rename meter 1 Office*\n` +
+        `• *delete meter 1* / *delete biller 1*\n\n` +
+        `*Your transactions:*\n` +
+        `• *history* - your last {historyLimit} transactions\n` +
+        `• *receipt 1* or *receipt <reference>* - resend a receipt\n` +
+        `• *tokens* - resend your recent ZESA tokens\n\n` +
+        `*Language:*\n` +
+        `• *language* - English, chiShona or isiNdebele\n\n` +
+        `*Support:*\n` +
+        `For assistance, call +263 XXX XXX XXX\n` +
+        `or email support@cchub.co.zw`,
+
+    // Language
+    'language.prompt': `🌐 *Language*\n\nWhich language would you like me to use?`,
+    'language.button': 'Choose language',
+    'language.fallback':
+        `• *language english* - English\n` +
+        `• *language shona* - chiShona\n` +
+        `• *language ndebele* - isiNdebele`,
+    'language.saved': `✅ I'll reply in English from now on.`,
+    'language.unknown': `❌ I don't know that language yet. Please choose English, Shona or Ndebele.`,
+
+    // Sessions, rate limits & flow commands
+    'session.expired':
+        `⏰ *Session Expired*\n\n` +
+        `Your {flow} timed out after {minutes} minutes of inactivity.\n` +
+        `Nothing was charged.\n\n` +
+        `Please start again.`,
+    'flow.paycode_payment': 'PayCode payment',
+    'flow.zesa_purchase': 'ZESA purchase',
+    'flow.airtime_purchase': 'airtime purchase',
+    'flow.session': 'session',
+    'flow.cancelled': `🚫 *Cancelled*\n\nNothing was charged. Send "Hi" to start again.`,
+    'flow.firstStep': `↩️ You're at the first step.\n\nSend *cancel* to stop, or "Hi" for the main menu.`,
+    'flow.processing': `⏳ Your payment is already being processed.\n\nPlease wait for the confirmation message.`,
+    'rate.slowDown':
+        `🚦 *Slow down please*\n\n` +
+        `You're sending messages too quickly. Please wait {wait} and try again.`,
+    'time.minute': '1 minute',
+    'time.minutes': '{count} minutes',
+
+    // Shared labels for summaries and receipts
+    'label.service': 'Service',
+    'label.provider': 'Provider',
+    'label.billerCode': 'Biller Code',
+    'label.meter': 'Meter',
+    'label.customer': 'Customer',
+    'label.tokens': 'Tokens',
+    'label.bundle': 'Bundle',
+    'label.recipient': 'Recipient',
+    'label.phone': 'Phone',
+    'label.amount': 'Amount',
+    'label.fee': 'Fee',
+    'label.total': 'Total',
+    'label.status': 'Status',
+    'label.reason': 'Reason',
+    'label.reference': 'Reference',
+    'label.ref': 'Ref',
+    'label.transactionId': 'Transaction ID',
+    'label.date': 'Date',
+    'label.notAvailable': 'N/A',
+    'label.studentNumber': 'Student Number',
+    'label.studentName': 'Student Name',
+    'label.accountNumber': 'Account/Stand No.',
+    'label.policyNumber': 'Policy Number',
+
+    // Services
+    'service.schools': 'School Fees',
+    'service.city_council': 'City Council',
+    'service.insurance': 'Insurance',
+    'service.retail': 'Retail',
+    'service.zesa': 'ZESA Tokens',
+    'service.airtime': 'Airtime',
+    'service.bundle': 'Data Bundle',
+
+    // Transaction states
+    'state.succeeded': 'Successful',
+    'state.failed': 'Failed',
+    'state.pending': 'Pending',
+    'state.unknown': 'Status unknown',
+
+    // PayCodes
+    'paycode.prompt':
+        `💳 *Pay with PayCode*\n\n` +
+        `Please send your PayCode (CCH followed by 6 digits).\n\n` +
+        `*Example:* CCH123456\n\n` +
+        `You can get a PayCode from our website, or send a photo of its QR code.`,
+    'paycode.recentBillers': 'Or pay one of your recent billers again:',
+    'paycode.recentBillers.title': 'Recent billers',
+    'paycode.none':
+        `❌ No valid PayCode found.\n\n` +
+        `Please send a valid PayCode starting with CCH followed by 6 digits.\n\n` +
+        `Example: *CCH123456*`,
+    'paycode.imageUnreadable':
+        `📷 I couldn't find a PayCode in that picture.\n\n` +
+        `Please send a sharp photo with the QR code filling most of it, ` +
+        `or just type the PayCode (CCH followed by 6 digits).\n\n` +
+        `*Example:* CCH123456`,
+    'paycode.imageFailed': `📷 I couldn't open that picture right now.\n\nPlease try again, or type the PayCode instead (e.g. *CCH123456*).`,
+    'paycode.multiple':
+        `⚠️ I found *more than one PayCode* in your message:\n` +
+        `{payCodes}\n\n` +
+        `Please send *only one PayCode* to continue.\n\n` +
+        `Example:\nCCH123456`,
+    'paycode.locked':
+        `🔒 *Too many invalid PayCodes*\n\n` +
+        `For your security, PayCode checks are paused for this number.\n` +
+        `Please try again in {wait}.`,
+    'paycode.lockedNow':
+        `🔒 *Too many invalid PayCodes*\n\n` +
+        `For your security, PayCode checks are paused for this number for {wait}.`,
+    'paycode.emptyResponse': `⚠️ The server returned an empty response.\n\nPlease try again or contact support.`,
+    'paycode.invalid':
+        `❌ This PayCode is not valid.\n\n` +
+        `Status: {status}\n` +
+        `Message: {message}\n\n` +
+        `Please generate a new PayCode from the website.`,
+    'paycode.invalid.defaultMessage': 'Code may be expired or already used',
+    'paycode.incomplete': `⚠️ Incomplete PayCode data.\n\nMissing: {fields}\n\nPlease contact support.`,
+    'paycode.unsupportedCurrency':
+        `⚠️ This PayCode is billed in a currency we don't support yet ({currency}).\n\n` +
+        `Please contact support.`,
+    'paycode.unavailable': `⚠️ PayCode verification is temporarily unavailable.\n\nPlease try again in a few minutes.`,
+    'paycode.verifyError': `⚠️ Unable to verify PayCode right now.\n\n{reason}`,
+    'paycode.verifyError.refused': 'Cannot connect to the server. Please check if the WordPress site is running.',
+    'paycode.verifyError.timeout': 'Connection timeout. The server is taking too long to respond.',
+    'paycode.verifyError.auth': 'Authentication failed. Invalid token.',
+    'paycode.verifyError.notFound': 'PayCode endpoint not found. Please check the API URL.',
+    'paycode.verifyError.server': 'Server error. Please try again later.',
+    'paycode.verifyError.status': 'Server returned status: {status}',
+    'paycode.verifyError.other': 'Please try again in a moment.',
+    'paycode.detected':
+        `{emoji} *Payment detected ✅*\n\n` +
+        `Service: {service}\n` +
+        `Provider: {provider}\n` +
+        `Biller Code: {billerCode}\n\n` +
+        `Please enter the amount to pay ({currency}).\n\n` +
+        `*Example:* {example}`,
+
+    // Account references (lib/references.js)
+    'reference.studentNumber.prompt': `🎓 Please enter the *student number* for {provider}.`,
+    'reference.studentNumber.invalid':
+        `❌ That doesn't look like a student number.\n\n` +
+        `Please enter 3 to 20 letters or digits, e.g. *STU12345*.`,
+    'reference.studentName.prompt': `👤 Please enter the *student's full name*.`,
+    'reference.studentName.invalid': `❌ Please enter the student's name as the school has it, e.g. *Tendai Moyo*.`,
+    'reference.accountNumber.prompt': `🏠 Please enter your council *account number* or *stand number*.`,
+    'reference.accountNumber.invalid':
+        `❌ That doesn't look like an account or stand number.\n\n` +
+        `Please enter 3 to 20 letters or digits, e.g. *AC123456*.`,
+    'reference.policyNumber.prompt': `🛡️ Please enter your *policy number* for {provider}.`,
+    'reference.policyNumber.invalid':
+        `❌ That doesn't look like a policy number.\n\n` +
+        `Please enter 4 to 20 letters or digits, e.g. *POL123456*.`,
+
+    // Currency, amount & confirmation
+    'currency.prompt': 'Which currency would you like to pay in?',
+    'currency.prompt.fallback': 'Reply with the number or currency name',
+    'currency.invalid': '❌ Please choose one of: {currencies}',
+    'currency.chosen': '✅ Currency: {currency}',
+    'amount.prompt': `Now enter the amount to purchase ({currency}).\n\n*Example:* {example}`,
+    'amount.invalid':
+        `❌ Invalid amount.\n\n` +
+        `Please enter an amount between {min} and {max}.\n\n` +
+        `*Example:* {example}`,
+    'amount.notANumber': `❌ I couldn't find an amount in your message.\n\nPlease enter just the number, e.g. *{example}*.`,
+    'amount.multiple': `❌ Please enter just one amount, e.g. *{example}*.`,
+    'amount.negative': `❌ The amount can't be negative.\n\nPlease enter it like *{example}*.`,
+    'amount.ambiguousSeparator':
+        `❌ I can't tell whether that means cents or thousands.\n\n` +
+        `Please use a dot for cents and commas only between thousands, e.g. *1,500.50*.`,
+    'amount.tooManyDecimals': `❌ Amounts can only have 2 decimal places (cents).\n\nFor example *{example}*.`,
+    'amount.currencyMismatch': `❌ This payment is in {currency}, not {entered}.\n\nPlease enter the amount in {currency}.`,
+    'amount.format': `❌ I couldn't read that amount.\n\nPlease enter it like *{example}*, *1,500.50* or *15k*.`,
+    'confirm.title': '🧾 *Please Confirm*',
+    'confirm.reply': 'Reply *YES* to pay, *NO* to cancel or *EDIT* to change it.',
+    'confirm.timedOut': `⏰ *Confirmation timed out*\n\nNothing was charged.`,
+    'button.pay': '✅ Yes, pay',
+    'button.cancel': '❌ No, cancel',
+    'button.editAmount': '✏️ Edit amount',
+    'button.changeBundle': '✏️ Change bundle',
+    'button.yes': '✅ Yes',
+    'button.change': '❌ No, change',
+    'button.payNow': '💳 Pay now',
+    'button.pauseSchedule': '⏸️ Pause',
+
+    // Payment results
+    'payment.success':
+        `✅ *Payment Successful!*\n\n` +
+        `Amount: {amount}\n` +
+        `Service: {service}\n` +
+        `{references}` +
+        `Reference: {reference}\n` +
+        `Transaction ID: {id}\n` +
+        `Date: {date}\n\n` +
+        `Thank you for using CCHub!`,
+    'payment.error':
+        `⚠️ *Payment Processing Error*\n\n` +
+        `We encountered an issue processing your payment.\n` +
+        `Please try again in a few minutes.`,
+    'payment.failed': `❌ *Payment Failed*\n\nReason: {reason}\n\nPlease try again or contact support.`,
+    'payment.failed.defaultReason': 'Payment processing failed',
+    'payment.pending':
+        `⏳ *Payment Pending*\n\n` +
+        `Your payment is still being processed by the provider.\n` +
+        `Transaction ID: {id}\n\n` +
+        `Please don't pay again. We'll message you as soon as the provider confirms it.`,
+    'payment.unknown':
+        `⚠️ *Payment Status Unknown*\n\n` +
+        `We couldn't confirm whether your payment went through.\n` +
+        `Transaction ID: {id}\n\n` +
+        `Please do *not* retry. Contact support with this ID and we'll check it for you.`,
+    'payment.confirmed':
+        `✅ *Payment Confirmed*\n\n` +
+        `Your {description} payment has gone through.\n\n` +
+        `{receipt}\n\n` +
+        `Thank you for using CCHub!`,
+    'payment.callbackFailed':
+        `❌ *Payment Failed*\n\n` +
+        `{description}\n` +
+        `Amount: {amount}\n` +
+        `Reason: {reason}\n` +
+        `Transaction ID: {id}\n\n` +
+        `Please try again or contact support.`,
+    'payment.callbackFailed.defaultReason': 'Payment was not completed',
+    'payment.timedOut':
+        `⌛ *Payment Not Confirmed*\n\n` +
+        `We haven't heard back from the provider about your {amount} payment for {description} ` +
+        `after {minutes} minutes.\n\n` +
+        `Please don't pay again yet. If money left your account, contact support with ` +
+        `Transaction ID: {id}`,
+
+    // ZESA
+    'zesa.enterMeter': `⚡ *ZESA Purchase*\n\nPlease enter your meter number:\n\n*Example:* 12345678901`,
+    'zesa.enterMeter.again': `Please enter your meter number:\n\n*Example:* 12345678901`,
+    'zesa.chooseMeter': `⚡ *ZESA Purchase*\n\nChoose a saved meter or enter a new meter number.`,
+    'zesa.chooseMeter.button': 'Choose meter',
+    'zesa.chooseMeter.fallback': 'Reply with the number, or send a new meter number.',
+    'zesa.savedMeters': 'Saved meters',
+    'zesa.newMeter': 'New meter',
+    'zesa.newMeter.description': 'Enter a different meter number',
+    'zesa.invalidMeter':
+        `❌ Invalid meter number.\n\n` +
+        `Please enter a valid ZESA meter number (10-12 digits).\n\n` +
+        `*Example:* 12345678901`,
+    'zesa.meterNotFound':
+        `❌ *Meter not found*\n\n` +
+        `ZESA has no meter registered as {meter}.\n` +
+        `Please check the number on your meter and try again.`,
+    'zesa.meterBlocked':
+        `🚫 *Meter blocked*\n\n` +
+        `Meter {meter} is blocked and can't receive tokens.\n` +
+        `{reason}\n` +
+        `Please contact ZESA to resolve this, or enter a different meter number.`,
+    'zesa.lookupUnavailable':
+        `⚠️ *Meter check unavailable*\n\n` +
+        `We can't verify meters with ZESA right now, so we haven't taken any payment.\n` +
+        `Please try again in a few minutes.`,
+    'zesa.meterDetails':
+        `⚡ *Meter Details*\n\n` +
+        `Meter: {meter}\n` +
+        `Name: {name}\n` +
+        `Address: {address}\n\n` +
+        `Is this the right meter?`,
+    'zesa.meterDetails.fallback': 'Reply *YES* to continue or *NO* to enter a different meter.',
+    'zesa.meterDetails.retry': 'Please reply *YES* if these are your meter details, or *NO* to enter a different meter.',
+    'zesa.notProvided': 'Not provided',
+    'zesa.meterConfirmed': '✅ Meter confirmed: {meter}',
+    'zesa.processing': `⚡ *Processing ZESA Purchase...*\n\nMeter: {meter}\nAmount: {amount}\n\nPlease wait...`,
+    'zesa.success':
+        `✅ *ZESA Purchase Successful!*\n\n` +
+        `Meter: {meter}\n` +
+        `Amount: {amount}\n` +
+        `Tokens: {tokens}\n` +
+        `Reference: {reference}\n\n` +
+        `Thank you for using CCHub!`,
+    'zesa.saveTip': '💾 Tip: send *save meter {meter} Home* to save this meter for next time.',
+    'zesa.unavailable':
+        `⚠️ *ZESA Service Unavailable*\n\n` +
+        `We're unable to process ZESA purchases at the moment.\n` +
+        `Please try again later.`,
+    'zesa.failed': `❌ *ZESA Purchase Failed*\n\nReason: {reason}\n\nPlease try again or contact support.`,
+
+    // Airtime
+    'airtime.recipientPrompt':
+        `📱 *Airtime Purchase*\n\n` +
+        `Who is the airtime for?\n\n` +
+        `Tap *My number* to top up {phone}, or send the number you want to top up.\n\n` +
+        `*Example:* 0771234567`,
+    'airtime.recipientPrompt.fallback':
+        `📱 *Airtime Purchase*\n\n` +
+        `Who is the airtime for?\n\n` +
+        `Reply *ME* to top up {phone}, or send the number you want to top up.\n\n` +
+        `*Example:* 0771234567`,
+    'airtime.myNumber': 'My number',
+    'airtime.invalidNumber':
+        `❌ Invalid phone number.\n\n` +
+        `Please send a Zimbabwean Econet, NetOne or Telecel mobile number.\n\n` +
+        `*Example:* 0771234567 or +263771234567`,
+    'airtime.recipient': '✅ Recipient: {recipient} ({network})',
+    'airtime.productPrompt': 'Would you like airtime or a data bundle?',
+    'airtime.productPrompt.fallback': `1. Airtime\n2. Data bundle\n\nReply with 1 or 2`,
+    'airtime.productPrompt.retry': 'Please reply *1* for airtime or *2* for a data bundle.',
+    'airtime.airtime': 'Airtime',
+    'airtime.bundle': 'Data bundle',
+    'airtime.bundlePrompt': 'Choose a data bundle:',
+    'airtime.bundlePrompt.button': 'View bundles',
+    'airtime.bundlePrompt.fallback': 'Reply with the bundle number',
+    'airtime.invalidBundle': '❌ Please choose one of the bundles from the list.',
+    'airtime.processing':
+        `📱 *Processing Airtime Purchase...*\n\n` +
+        `Phone: {recipient} ({network})\n` +
+        `{product}` +
+        `Amount: {amount}\n\n` +
+        `Please wait...`,
+    'airtime.bundleLine': 'Bundle: {bundle}\n',
+    'airtime.success':
+        `✅ *Airtime Purchase Successful!*\n\n` +
+        `Phone: {recipient}\n` +
+        `{product}` +
+        `Amount: {amount}\n` +
+        `Reference: {reference}\n\n` +
+        `{arrival}`,
+    'airtime.arrival.airtime': 'Your airtime should arrive shortly.',
+    'airtime.arrival.bundle': 'Your bundle should arrive shortly.',
+    'airtime.unavailable':
+        `⚠️ *Airtime Service Unavailable*\n\n` +
+        `We're unable to process airtime purchases at the moment.\n` +
+        `Please try again later.`,
+    'airtime.failed': `❌ *Airtime Purchase Failed*\n\nReason: {reason}\n\nPlease try again.`,
+
+    // Saved meters & billers
+    'saved.empty':
+        `📒 You have no saved meters or billers yet.\n\n` +
+        `Send *save meter 12345678901 Home* to save a meter.`,
+    'saved.title': '📒 *Your Saved Details*',
+    'saved.meters': '*Meters:*',
+    'saved.billers': '*Recent billers:*',
+    'saved.commands':
+        `*rename meter 1 Home* - rename an entry\n` +
+        `*delete meter 1* / *delete biller 1* - remove an entry`,
+    'saved.invalidMeter': '❌ Invalid meter number. ZESA meter numbers have 10-12 digits.',
+    'saved.nicknameTooLong': '❌ Nicknames can be at most {max} characters.',
+    'saved.meterSaved': '💾 Meter saved: {meter}',
+    'saved.full': '❌ You can save up to {max} meters. Delete one first with *delete meter 1*.',
+    'saved.renamed': '✏️ Renamed to *{nickname}*.',
+    'saved.deleted': '🗑️ Deleted {entry}.',
+    'saved.notFound.meter': '❌ No saved meter matches "{ref}". Send *saved* to see your list.',
+    'saved.notFound.biller': '❌ No saved biller matches "{ref}". Send *saved* to see your list.',
+
+    // History & receipts
+    'history.empty': `📭 You don't have any transactions yet.`,
+    'history.title': '📜 *Your Recent Transactions*',
+    'history.footer':
+        `Send *receipt 1* to get the full receipt for a transaction.\n` +
+        `Send *remind me monthly* or *repeat every week* to schedule your last payment, and *schedules* to manage them.`,
+    'receipt.title': '🧾 *Receipt* {icon}',
+    'receipt.notFound': `❌ No transaction found for "{ref}".\n\nSend *history* to see your recent transactions.`,
+    'tokens.empty': `📭 You don't have any ZESA tokens yet.`,
+    'tokens.title': '⚡ *Your Recent ZESA Tokens*',
+
+    // Reminders & recurring payments
+    'schedule.created':
+        `⏰ *Reminder set*\n\n` +
+        `{description}\n` +
+        `Every {interval}, next on {date}.\n\n` +
+        `Send *schedules* to see or change your reminders.`,
+    'schedule.repeatCreated':
+        `🔁 *Repeat payment set*\n\n` +
+        `{description}\n` +
+        `Every {interval}, next on {date}.\n\n` +
+        `We'll message you with a one-tap button to pay - nothing is charged until you confirm.\n` +
+        `Send *schedules* to see or change them.`,
+    'schedule.nothingToRepeat':
+        `❌ I couldn't find a completed payment to schedule.\n\n` +
+        `Make a payment first, then send e.g. *remind me monthly*.`,
+    'schedule.notPaid': `❌ Transaction {number} didn't go through, so there's nothing to repeat.\n\nSend *history* to see your transactions.`,
+    'schedule.full': `❌ You already have {max} reminders. Send *schedules* and cancel one first.`,
+    'schedule.list.empty':
+        `📭 You don't have any reminders or repeat payments.\n\n` +
+        `After a payment, send *remind me monthly* or *repeat every week*.`,
+    'schedule.list.title': '⏰ *Your Reminders & Repeat Payments*',
+    'schedule.list.item': `{number}. {icon} {description}\n    {kind}, every {interval} · {status}`,
+    'schedule.list.footer': 'Send *pause schedule 1*, *resume schedule 1* or *cancel schedule 1*.',
+    'schedule.kind.reminder': 'Reminder',
+    'schedule.kind.payment': 'Repeat payment',
+    'schedule.interval.weekly': 'week',
+    'schedule.interval.monthly': 'month',
+    'schedule.interval.termly': 'school term',
+    'schedule.status.active': 'next {date}',
+    'schedule.status.paused': 'paused',
+    'schedule.notFound': `❌ No reminder found for "{ref}".\n\nSend *schedules* to see your reminders.`,
+    'schedule.gone': `❌ That reminder has been cancelled.\n\nSend *schedules* to see your reminders.`,
+    'schedule.paused': `⏸️ *Paused:* {description}\n\nSend *resume schedule {number}* to start it again.`,
+    'schedule.resumed': `▶️ *Resumed:* {description}\n\nNext on {date}.`,
+    'schedule.cancelled': `🗑️ *Cancelled:* {description}`,
+    'schedule.reminderDue':
+        `⏰ *Payment Reminder*\n\n` +
+        `It's time for your {description} payment again.\n` +
+        `Last time you paid {amount}.\n\n` +
+        `Tap *Pay now* to pay, or send *schedules* to change your reminders.`,
+    'schedule.repeatDue':
+        `🔁 *Repeat Payment Due*\n\n` +
+        `{description}\n` +
+        `Amount: {amount}\n\n` +
+        `Tap *Pay now* to review and pay - nothing is charged until you confirm.`
+};
@@ -0,0 +1,445 @@
+// Ndebele (isiNdebele) messages. Keys missing here fall back to
+// locales/en.js; see there for placeholders and WhatsApp length limits.
+
+module.exports = {
+    // Main menu & help
+    'menu.welcome': `👋 *Siyalemukela kuCCHub*\n\nUngathanda ukwenzani?`,
+    'menu.button': 'Khetha inkonzo',
+    'menu.section': 'Izinkonzo',
+    'menu.paybill': 'Bhadala Ibhili',
+    'menu.paybill.description': 'Bhadala usebenzisa iPayCode evela kuwebhusayithi yethu',
+    'menu.zesa': 'Thenga iZESA',
+    'menu.zesa.description': 'Thenga amathokheni kagesi',
+    'menu.airtime': 'Thenga i-Airtime',
+    'menu.airtime.description': 'Faka i-airtime efonini yakho',
+    'menu.help': 'Uncedo',
+    'menu.help.description': 'Indlela yokusebenzisa iCCHub',
+    'menu.language': 'Ulimi',
+    'menu.fallback':
+        `👋 *Siyalemukela kuCCHub*\n\n` +
+        `Ungathanda ukwenzani?\n\n` +
+        `1. Bhadala Ibhili (ngePayCode)\n` +
+        `2. Thenga iZESA\n` +
+        `3. Thenga i-Airtime\n` +
+        `4. Uncedo\n\n` +
+        `Phendula ngo-1, 2, 3 kumbe 4\n` +
+        `🌐 Thumela *language* ukuze uguqule ulimi`,
+    'help.text':
+        `❓ *Isikhungo Soncedo seCCHub*\n\n` +
+        `*Izinkonzo Ezikhona:*\n` +
+        `1️⃣ *Bhadala Ibhili* - Bhadala usebenzisa iPayCode evela kuwebhusayithi yethu\n` +
+        `2️⃣ *Thenga iZESA* - Thenga amathokheni kagesi\n` +
+        `3️⃣ *Thenga i-Airtime* - Faka i-airtime efonini yakho\n\n` +
+        `*Indlela yokusebenzisa:*\n` +
+        `• Thumela "Hi" ukuze uqale\n` +
+        `• Phendula ngo-1, 2, 3 kumbe 4\n` +
+        `• Landela iziqondiso\n` +
+        `• Thumela *back* ukuze ubuyele emuva, kumbe *cancel* ukuze umise\n\n` +
+        `*Isimo sePayCode:* CCH elandelwa ngamanani angu-6\n` +
+        `*Isibonelo:* CCH123456\n\n` +
+        `*Amamitha lamabhili agciniweyo:*\n` +
+        `• *saved* - bona amamitha lamabhili akho agciniweyo\n` +
+        `• *save meter 12345678901 Home*\n` +
+        `• *rename meter 1 Office*\n` +
+        `• *delete meter 1* / *delete biller 1*\n\n` +
+        `*Okwenzileyo:*\n` +
+        `• *history* - okwenzileyo kwakho okungu-{historyLimit} kokucina\n` +
+        `• *receipt 1* kumbe *receipt <reference>* - thunyelwa irisiti futhi\n` +
+        `• *tokens* - thunyelwa amathokheni eZESA akho akamuva\n\n` +
+        `*Ulimi:*\n` +
+        `• *language* - English, chiShona kumbe isiNdebele\n\n` +
+        `*Uncedo:*\n` +
+        `Ukuze uncedwe, fonela +263 XXX XXX XXX\n` +
+        `kumbe uthumele i-email ku support@cchub.co.zw`,
+
+    // Language
+    'language.prompt': `🌐 *Ulimi*\n\nUngathanda ngisebenzise luphi ulimi?`,
+    'language.button': 'Khetha ulimi',
+    'language.saved': `✅ Kusukela khathesi ngizaphendula ngesiNdebele.`,
+    'language.unknown': `❌ Angikalwazi lolo limi. Khetha English, Shona kumbe Ndebele.`,
+
+    // Sessions, rate limits & flow commands
+    'session.expired':
+        `⏰ *Isikhathi Siphelile*\n\n` +
+        `{flow}: akulalutho oluthunyelweyo okwemizuzu engu-{minutes}, ngakho kumisiwe.\n` +
+        `Akula mali ethethiweyo.\n\n` +
+        `Ake uqale kutsha.`,
+    'flow.paycode_payment': 'Ukubhadala ngePayCode',
+    'flow.zesa_purchase': 'Ukuthenga iZESA',
+    'flow.airtime_purchase': 'Ukuthenga i-airtime',
+    'flow.session': 'Obukwenza',
+    'flow.cancelled': `🚫 *Kukhanseliwe*\n\nAkula mali ethethiweyo. Thumela "Hi" ukuze uqale kutsha.`,
+    'flow.firstStep': `↩️ Usesinyathelweni sokuqala.\n\nThumela *cancel* ukuze umise, kumbe "Hi" ukuze ubuyele kumenyu.`,
+    'flow.processing': `⏳ Inkokhelo yakho isasetshenzwa.\n\nAke ulinde umlayezo wokuqinisekisa.`,
+    'rate.slowDown':
+        `🚦 *Ake wehlise ijubane*\n\n` +
+        `Uthumela imilayezo ngokuphangisa kakhulu. Linda {wait} ubusuzama futhi.`,
+    'time.minute': 'umzuzu owodwa',
+    'time.minutes': 'imizuzu engu-{count}',
+
+    // Shared labels for summaries and receipts
+    'label.service': 'Inkonzo',
+    'label.provider': 'Umhlinzeki',
+    'label.billerCode': 'Ikhodi yeBhili',
+    'label.meter': 'Imitha',
+    'label.customer': 'Umthengi',
+    'label.tokens': 'Amathokheni',
+    'label.bundle': 'Ibhandile',
+    'label.recipient': 'Owamukelayo',
+    'label.phone': 'Ifoni',
+    'label.amount': 'Imali',
+    'label.fee': 'Inkokhelo yenkonzo',
+    'label.total': 'Isamba',
+    'label.status': 'Isimo',
+    'label.reason': 'Isizatho',
+    'label.reference': 'Ireferensi',
+    'label.ref': 'Ref',
+    'label.transactionId': 'I-ID yeTransaction',
+    'label.date': 'Usuku',
+    'label.notAvailable': 'Akukho',
+    'label.studentNumber': 'Inombolo yoMfundi',
+    'label.studentName': 'Ibizo loMfundi',
+    'label.accountNumber': 'Inombolo ye-Akhawunti/Stand',
+    'label.policyNumber': 'Inombolo yePolicy',
+
+    // Services
+    'service.schools': 'Imali yeSikolo',
+    'service.city_council': 'Ikhansili yeDolobho',
+    'service.insurance': 'Umshwalense',
+    'service.retail': 'Ezitolo',
+    'service.zesa': 'Amathokheni eZESA',
+    'service.airtime': 'I-Airtime',
+    'service.bundle': 'Ibhandile yeData',
+
+    // Transaction states
+    'state.succeeded': 'Kuphumelele',
+    'state.failed': 'Kwehlulekile',
+    'state.pending': 'Kusalindwe',
+    'state.unknown': 'Isimo asaziwa',
+
+    // PayCodes
+    'paycode.prompt':
+        `💳 *Bhadala ngePayCode*\n\n` +
+        `Ake uthumele iPayCode yakho (CCH elandelwa ngamanani angu-6).\n\n` +
+        `*Isibonelo:* CCH123456\n\n` +
+        `Ungathola iPayCode kuwebhusayithi yethu, kumbe uthumele umfanekiso we-QR code yayo.`,
+    'paycode.recentBillers': 'Kumbe ubhadale futhi omunye wabakade ubabhadala:',
+    'paycode.recentBillers.title': 'Abakade ubhadala',
+    'paycode.none':
+        `❌ Akula PayCode efaneleyo etholakeleyo.\n\n` +
+        `Ake uthumele iPayCode eqala ngo-CCH elandelwa ngamanani angu-6.\n\n` +
+        `Isibonelo: *CCH123456*`,
+    'paycode.imageUnreadable':
+        `📷 Angitholanga iPayCode kulowo mfanekiso.\n\n` +
+        `Sicela uthumele umfanekiso ocacileyo lapho i-QR code igcwala umfanekiso wonke, ` +
+        `kumbe ubhale iPayCode (CCH elandelwa ngamanani angu-6).\n\n` +
+        `*Isibonelo:* CCH123456`,
+    'paycode.imageFailed': `📷 Angikwazanga ukuvula lowo mfanekiso khathesi.\n\nSicela uzame futhi, kumbe ubhale iPayCode (isibonelo *CCH123456*).`,
+    'paycode.multiple':
+        `⚠️ Ngithole *iPayCode edlula eyodwa* emlayezweni wakho:\n` +
+        `{payCodes}\n\n` +
+        `Ake uthumele *iPayCode eyodwa kuphela* ukuze siqhubeke.\n\n` +
+        `Isibonelo:\nCCH123456`,
+    'paycode.locked':
+        `🔒 *Ama-PayCode amanengi angalunganga*\n\n` +
+        `Ukuze uvikeleke, ukuhlolwa kwama-PayCode kumisiwe kule nombolo.\n` +
+        `Linda {wait} ubusuzama futhi.`,
+    'paycode.lockedNow':
+        `🔒 *Ama-PayCode amanengi angalunganga*\n\n` +
+        `Ukuze uvikeleke, ukuhlolwa kwama-PayCode kumisiwe kule nombolo. Isikhathi: {wait}.`,
+    'paycode.emptyResponse': `⚠️ Iseva ibuyise impendulo engelalutho.\n\nAke uzame futhi kumbe uxhumane labasekeli.`,
+    'paycode.invalid':
+        `❌ Le PayCode ayilunganga.\n\n` +
+        `Isimo: {status}\n` +
+        `Umlayezo: {message}\n\n` +
+        `Ake wenze iPayCode entsha kuwebhusayithi.`,
+    'paycode.invalid.defaultMessage': 'Ikhodi kungenzeka ukuthi isiphelelwe yisikhathi kumbe isisetshenzisiwe',
+    'paycode.incomplete': `⚠️ Imininingwane yePayCode ayipheleli.\n\nOkungekho: {fields}\n\nAke uxhumane labasekeli.`,
+    'paycode.unsupportedCurrency':
+        `⚠️ Le PayCode ikuhlobo lwemali esingakalusekeli ({currency}).\n\n` +
+        `Ake uxhumane labasekeli.`,
+    'paycode.unavailable': `⚠️ Ukuhlola iPayCode akusebenzi okwesikhatshana.\n\nAke uzame futhi emizuzwini embalwa.`,
+    'paycode.verifyError': `⚠️ Asikwazi ukuhlola iPayCode khathesi.\n\n{reason}`,
+    'paycode.verifyError.refused': 'Asikwazi ukuxhumana leseva. Hlola ukuthi iwebhusayithi yeWordPress iyasebenza yini.',
+    'paycode.verifyError.timeout': 'Isikhathi siphelile. Iseva ithatha isikhathi eside ukuphendula.',
+    'paycode.verifyError.auth': 'Ukuqinisekisa kwehlulekile. Ithokheni ayilunganga.',
+    'paycode.verifyError.notFound': 'I-endpoint yePayCode ayitholakalanga. Hlola i-URL ye-API.',
+    'paycode.verifyError.server': 'Iseva ilenkinga. Ake uzame futhi ngemva kwesikhathi.',
+    'paycode.verifyError.status': 'Iseva ibuyise isimo: {status}',
+    'paycode.verifyError.other': 'Ake uzame futhi masinyane.',
+    'paycode.detected':
+        `{emoji} *Inkokhelo itholakele ✅*\n\n` +
+        `Inkonzo: {service}\n` +
+        `Umhlinzeki: {provider}\n` +
+        `Ikhodi yeBhili: {billerCode}\n\n` +
+        `Ake ufake imali ofuna ukuyibhadala ({currency}).\n\n` +
+        `*Isibonelo:* {example}`,
+
+    // Account references
+    'reference.studentNumber.prompt': `🎓 Sicela ubhale *inombolo yomfundi* ye-{provider}.`,
+    'reference.studentNumber.invalid':
+        `❌ Lokhu akukhangeli njengenombolo yomfundi.\n\n` +
+        `Sicela ubhale izinhlamvu kumbe izinombolo ezi-3 kuya ku-20, isibonelo *STU12345*.`,
+    'reference.studentName.prompt': `👤 Sicela ubhale *ibizo eligcweleyo lomfundi*.`,
+    'reference.studentName.invalid': `❌ Sicela ubhale ibizo lomfundi njengoba lisesikolo, isibonelo *Tendai Moyo*.`,
+    'reference.accountNumber.prompt': `🏠 Sicela ubhale *inombolo ye-akhawunti* kumbe *inombolo yestand* yekhansili.`,
+    'reference.accountNumber.invalid':
+        `❌ Lokhu akukhangeli njengenombolo ye-akhawunti kumbe yestand.\n\n` +
+        `Sicela ubhale izinhlamvu kumbe izinombolo ezi-3 kuya ku-20, isibonelo *AC123456*.`,
+    'reference.policyNumber.prompt': `🛡️ Sicela ubhale *inombolo yepolicy* ye-{provider}.`,
+    'reference.policyNumber.invalid':
+        `❌ Lokhu akukhangeli njengenombolo yepolicy.\n\n` +
+        `Sicela ubhale izinhlamvu kumbe izinombolo ezi-4 kuya ku-20, isibonelo *POL123456*.`,
+
+    // Currency, amount & confirmation
+    'currency.prompt': 'Ungathanda ukubhadala ngayiphi imali?',
+    'currency.prompt.fallback': 'Phendula ngenombolo kumbe ibizo lemali',
+    'currency.invalid': '❌ Ake ukhethe okukodwa kulokhu: {currencies}',
+    'currency.chosen': '✅ Imali: {currency}',
+    'amount.prompt': `Khathesi faka imali ofuna ukuthenga ngayo ({currency}).\n\n*Isibonelo:* {example}`,
+    'amount.invalid':
+        `❌ Imali ayilunganga.\n\n` +
+        `Ake ufake imali ephakathi kuka-{min} lo-{max}.\n\n` +
+        `*Isibonelo:* {example}`,
+    'amount.notANumber': `❌ Angitholanga imali emlayezweni wakho.\n\nSicela ubhale inombolo kuphela, isibonelo *{example}*.`,
+    'amount.multiple': `❌ Sicela ubhale imali eyodwa kuphela, isibonelo *{example}*.`,
+    'amount.negative': `❌ Imali ingeke ibe ngaphansi kuka-zero.\n\nSicela uyibhale njenge *{example}*.`,
+    'amount.ambiguousSeparator':
+        `❌ Angazi ukuthi lokhu kutsho amasenti kumbe izinkulungwane.\n\n` +
+        `Sicela usebenzise i-dot kumasenti lekhoma phakathi kwezinkulungwane kuphela, isibonelo *1,500.50*.`,
+    'amount.tooManyDecimals': `❌ Imali ingaba lezinombolo ezimbili kuphela ngemva kwe-dot (amasenti).\n\nIsibonelo *{example}*.`,
+    'amount.currencyMismatch': `❌ Le nkokhelo ingeye-{currency}, hatshi {entered}.\n\nSicela ubhale imali nge-{currency}.`,
+    'amount.format': `❌ Angiyizwisisanga leyo mali.\n\nSicela uyibhale njenge *{example}*, *1,500.50* kumbe *15k*.`,
+    'confirm.title': '🧾 *Ake Uqinisekise*',
+    'confirm.reply': 'Phendula *YES* ukuze ubhadale, *NO* ukuze ukhansele kumbe *EDIT* ukuze uguqule.',
+    'confirm.timedOut': `⏰ *Isikhathi sokuqinisekisa siphelile*\n\nAkula mali ethethiweyo.`,
+    'button.pay': '✅ Yebo, bhadala',
+    'button.cancel': '❌ Hatshi, khansela',
+    'button.editAmount': '✏️ Guqula imali',
+    'button.changeBundle': '✏️ Enye ibhandile',
+    'button.yes': '✅ Yebo',
+    'button.change': '❌ Hatshi, guqula',
+    'button.payNow': '💳 Bhadala khathesi',
+    'button.pauseSchedule': '⏸️ Misa',
+
+    // Payment results
+    'payment.success':
+        `✅ *Inkokhelo Iphumelele!*\n\n` +
+        `Imali: {amount}\n` +
+        `Inkonzo: {service}\n` +
+        `{references}` +
+        `Ireferensi: {reference}\n` +
+        `I-ID yeTransaction: {id}\n` +
+        `Usuku: {date}\n\n` +
+        `Siyabonga ngokusebenzisa iCCHub!`,
+    'payment.error':
+        `⚠️ *Inkinga Ekubhadaleni*\n\n` +
+        `Sihlangabezane lenkinga ekusebenzeni inkokhelo yakho.\n` +
+        `Ake uzame futhi emizuzwini embalwa.`,
+    'payment.failed': `❌ *Inkokhelo Yehlulekile*\n\nIsizatho: {reason}\n\nAke uzame futhi kumbe uxhumane labasekeli.`,
+    'payment.failed.defaultReason': 'Inkokhelo ayiphumelelanga',
+    'payment.pending':
+        `⏳ *Inkokhelo Isalindile*\n\n` +
+        `Inkokhelo yakho isasetshenzwa ngumhlinzeki.\n` +
+        `I-ID yeTransaction: {id}\n\n` +
+        `Ungabhadali futhi. Sizakuthumelela umlayezo nxa umhlinzeki esiqinisekisile.`,
+    'payment.unknown':
+        `⚠️ *Isimo Senkokhelo Asaziwa*\n\n` +
+        `Asikwazanga ukuqinisekisa ukuthi inkokhelo yakho iphumelele yini.\n` +
+        `I-ID yeTransaction: {id}\n\n` +
+        `Ake *ungazami* futhi. Xhumana labasekeli ubanike le ID, sizakuhlolela.`,
+    'payment.confirmed':
+        `✅ *Inkokhelo Iqinisekisiwe*\n\n` +
+        `Inkokhelo yakho ye-{description} iphumelele.\n\n` +
+        `{receipt}\n\n` +
+        `Siyabonga ngokusebenzisa iCCHub!`,
+    'payment.callbackFailed':
+        `❌ *Inkokhelo Yehlulekile*\n\n` +
+        `{description}\n` +
+        `Imali: {amount}\n` +
+        `Isizatho: {reason}\n` +
+        `I-ID yeTransaction: {id}\n\n` +
+        `Ake uzame futhi kumbe uxhumane labasekeli.`,
+    'payment.callbackFailed.defaultReason': 'Inkokhelo ayiqedwanga',
+    'payment.timedOut':
+        `⌛ *Inkokhelo Ayiqinisekiswanga*\n\n` +
+        `Kasikezwa lutho kumhlinzeki mayelana lenkokhelo yakho ka-{amount} ye-{description} ` +
+        `ngemva kwemizuzu engu-{minutes}.\n\n` +
+        `Ungabhadali futhi okwakhathesi. Nxa imali iphumile ku-akhawunti yakho, xhumana labasekeli. ` +
+        `I-ID yeTransaction: {id}`,
+
+    // ZESA
+    'zesa.enterMeter': `⚡ *Ukuthenga iZESA*\n\nAke ufake inombolo yemitha yakho:\n\n*Isibonelo:* 12345678901`,
+    'zesa.enterMeter.again': `Ake ufake inombolo yemitha yakho:\n\n*Isibonelo:* 12345678901`,
+    'zesa.chooseMeter': `⚡ *Ukuthenga iZESA*\n\nKhetha imitha egciniweyo kumbe ufake inombolo yemitha entsha.`,
+    'zesa.chooseMeter.button': 'Khetha imitha',
+    'zesa.chooseMeter.fallback': 'Phendula ngenombolo, kumbe uthumele inombolo yemitha entsha.',
+    'zesa.savedMeters': 'Amamitha agciniweyo',
+    'zesa.newMeter': 'Imitha entsha',
+    'zesa.newMeter.description': 'Faka enye inombolo yemitha',
+    'zesa.invalidMeter':
+        `❌ Inombolo yemitha ayilunganga.\n\n` +
+        `Ake ufake inombolo yemitha yeZESA efaneleyo (amanani angu-10 kuya ku-12).\n\n` +
+        `*Isibonelo:* 12345678901`,
+    'zesa.meterNotFound':
+        `❌ *Imitha ayitholakalanga*\n\n` +
+        `IZESA ayilamitha ebhaliswe njengo-{meter}.\n` +
+        `Hlola inombolo esemitheni yakho ubusuzama futhi.`,
+    'zesa.meterBlocked':
+        `🚫 *Imitha ivinjiwe*\n\n` +
+        `Imitha {meter} ivinjiwe, ayikwazi ukwamukela amathokheni.\n` +
+        `{reason}\n` +
+        `Xhumana leZESA ukuze kulungiswe, kumbe ufake enye inombolo yemitha.`,
+    'zesa.lookupUnavailable':
+        `⚠️ *Ukuhlola imitha akusebenzi*\n\n` +
+        `Asikwazi ukuhlola amamitha leZESA khathesi, ngakho kasithathanga mali.\n` +
+        `Ake uzame futhi emizuzwini embalwa.`,
+    'zesa.meterDetails':
+        `⚡ *Imininingwane Yemitha*\n\n` +
+        `Imitha: {meter}\n` +
+        `Ibizo: {name}\n` +
+        `Ikheli: {address}\n\n` +
+        `Kuyiyo yini imitha efaneleyo?`,
+    'zesa.meterDetails.fallback': 'Phendula *YES* ukuze uqhubeke kumbe *NO* ukuze ufake enye imitha.',
+    'zesa.meterDetails.retry': 'Ake uphendule *YES* nxa le yimininingwane yemitha yakho, kumbe *NO* ukuze ufake enye imitha.',
+    'zesa.notProvided': 'Akunikwanga',
+    'zesa.meterConfirmed': '✅ Imitha iqinisekisiwe: {meter}',
+    'zesa.processing': `⚡ *Siyathenga iZESA...*\n\nImitha: {meter}\nImali: {amount}\n\nAke ulinde...`,
+    'zesa.success':
+        `✅ *Ukuthenga iZESA Kuphumelele!*\n\n` +
+        `Imitha: {meter}\n` +
+        `Imali: {amount}\n` +
+        `Amathokheni: {tokens}\n` +
+        `Ireferensi: {reference}\n\n` +
+        `Siyabonga ngokusebenzisa iCCHub!`,
+    'zesa.saveTip': '💾 Icebo: thumela *save meter {meter} Home* ukuze ugcine le mitha ngesikhathi esizayo.',
+    'zesa.unavailable':
+        `⚠️ *Inkonzo yeZESA Ayitholakali*\n\n` +
+        `Asikwazi ukuthenga iZESA khathesi.\n` +
+        `Ake uzame futhi ngemva kwesikhathi.`,
+    'zesa.failed': `❌ *Ukuthenga iZESA Kwehlulekile*\n\nIsizatho: {reason}\n\nAke uzame futhi kumbe uxhumane labasekeli.`,
+
+    // Airtime
+    'airtime.recipientPrompt':
+        `📱 *Ukuthenga i-Airtime*\n\n` +
+        `I-airtime ngekabani?\n\n` +
+        `Thinta *Inombolo yami* ukuze ufake ku-{phone}, kumbe uthumele inombolo ofuna ukuyifakela.\n\n` +
+        `*Isibonelo:* 0771234567`,
+    'airtime.recipientPrompt.fallback':
+        `📱 *Ukuthenga i-Airtime*\n\n` +
+        `I-airtime ngekabani?\n\n` +
+        `Phendula *ME* ukuze ufake ku-{phone}, kumbe uthumele inombolo ofuna ukuyifakela.\n\n` +
+        `*Isibonelo:* 0771234567`,
+    'airtime.myNumber': 'Inombolo yami',
+    'airtime.invalidNumber':
+        `❌ Inombolo yefoni ayilunganga.\n\n` +
+        `Ake uthumele inombolo yeEconet, NetOne kumbe Telecel yaseZimbabwe.\n\n` +
+        `*Isibonelo:* 0771234567 kumbe +263771234567`,
+    'airtime.recipient': '✅ Owamukelayo: {recipient} ({network})',
+    'airtime.productPrompt': 'Ufuna i-airtime kumbe ibhandile yedata?',
+    'airtime.productPrompt.fallback': `1. I-Airtime\n2. Ibhandile yedata\n\nPhendula ngo-1 kumbe 2`,
+    'airtime.productPrompt.retry': 'Ake uphendule *1* nxa ufuna i-airtime kumbe *2* nxa ufuna ibhandile yedata.',
+    'airtime.airtime': 'I-Airtime',
+    'airtime.bundle': 'Ibhandile yedata',
+    'airtime.bundlePrompt': 'Khetha ibhandile yedata:',
+    'airtime.bundlePrompt.button': 'Bona amabhandile',
+    'airtime.bundlePrompt.fallback': 'Phendula ngenombolo yebhandile',
+    'airtime.invalidBundle': '❌ Ake ukhethe ibhandile esohlwini.',
+    'airtime.processing':
+        `📱 *Siyathenga i-Airtime...*\n\n` +
+        `Ifoni: {recipient} ({network})\n` +
+        `{product}` +
+        `Imali: {amount}\n\n` +
+        `Ake ulinde...`,
+    'airtime.bundleLine': 'Ibhandile: {bundle}\n',
+    'airtime.success':
+        `✅ *Ukuthenga i-Airtime Kuphumelele!*\n\n` +
+        `Ifoni: {recipient}\n` +
+        `{product}` +
+        `Imali: {amount}\n` +
+        `Ireferensi: {reference}\n\n` +
+        `{arrival}`,
+    'airtime.arrival.airtime': 'I-airtime yakho izafika masinyane.',
+    'airtime.arrival.bundle': 'Ibhandile yakho izafika masinyane.',
+    'airtime.unavailable':
+        `⚠️ *Inkonzo ye-Airtime Ayitholakali*\n\n` +
+        `Asikwazi ukuthenga i-airtime khathesi.\n` +
+        `Ake uzame futhi ngemva kwesikhathi.`,
+    'airtime.failed': `❌ *Ukuthenga i-Airtime Kwehlulekile*\n\nIsizatho: {reason}\n\nAke uzame futhi.`,
+
+    // Saved meters & billers
+    'saved.empty':
+        `📒 Awukabi lamamitha kumbe amabhili agciniweyo.\n\n` +
+        `Thumela *save meter 12345678901 Home* ukuze ugcine imitha.`,
+    'saved.title': '📒 *Okugcinileyo*',
+    'saved.meters': '*Amamitha:*',
+    'saved.billers': '*Abakade ubhadala:*',
+    'saved.commands':
+        `*rename meter 1 Home* - guqula ibizo\n` +
+        `*delete meter 1* / *delete biller 1* - susa`,
+    'saved.invalidMeter': '❌ Inombolo yemitha ayilunganga. Amanombolo emitha yeZESA alamanani angu-10 kuya ku-12.',
+    'saved.nicknameTooLong': '❌ Ibizo lingaba lezinhlamvu ezingu-{max} kuphela.',
+    'saved.meterSaved': '💾 Imitha igciniwe: {meter}',
+    'saved.full': '❌ Ungagcina amamitha angu-{max} kuphela. Qala ususe enye nge-*delete meter 1*.',
+    'saved.renamed': '✏️ Ibizo seliguqulwe laba ngu-*{nickname}*.',
+    'saved.deleted': '🗑️ Kususiwe: {entry}.',
+    'saved.notFound.meter': '❌ Akula mitha egciniweyo efanana lo-"{ref}". Thumela *saved* ukuze ubone uhlu lwakho.',
+    'saved.notFound.biller': '❌ Akula bhili eligciniweyo elifanana lo-"{ref}". Thumela *saved* ukuze ubone uhlu lwakho.',
+
+    // History & receipts
+    'history.empty': `📭 Awukabi lokwenzileyo.`,
+    'history.title': '📜 *Okwenzileyo Kwakho Kwamuva*',
+    'history.footer':
+        `Thumela *receipt 1* ukuze uthole irisiti egcweleyo.\n` +
+        `Thumela *remind me monthly* kumbe *repeat every week* ukuhlela inkokhelo yakho yokucina, lo *schedules* ukuzilawula.`,
+    'receipt.title': '🧾 *Irisiti* {icon}',
+    'receipt.notFound': `❌ Akukho okwenziweyo okutholakeleyo kwe-"{ref}".\n\nThumela *history* ukuze ubone okwenzileyo kwamuva.`,
+    'tokens.empty': `📭 Awukabi lamathokheni eZESA.`,
+    'tokens.title': '⚡ *Amathokheni eZESA Akamuva*',
+
+    // Reminders & recurring payments
+    'schedule.created':
+        `⏰ *Isikhumbuzo silungisiwe*\n\n` +
+        `{description}\n` +
+        `Njalo nge-{interval}, okulandelayo ngo-{date}.\n\n` +
+        `Thumela *schedules* ukuze ubone kumbe uguqule izikhumbuzo zakho.`,
+    'schedule.repeatCreated':
+        `🔁 *Inkokhelo ephindwayo ilungisiwe*\n\n` +
+        `{description}\n` +
+        `Njalo nge-{interval}, okulandelayo ngo-{date}.\n\n` +
+        `Sizakuthumelela umlayezo olenkinobho yokubhadala - akukho okubhadalwayo ungakavumi.\n` +
+        `Thumela *schedules* ukuze uzibone kumbe uziguqule.`,
+    'schedule.nothingToRepeat':
+        `❌ Angitholanga inkokhelo eqediweyo engahlelwa.\n\n` +
+        `Bhadala kuqala, ubusuthumela isibonelo *remind me monthly*.`,
+    'schedule.notPaid': `❌ I-transaction {number} ayiphumelelanga, ngakho akukho okungaphindwa.\n\nThumela *history* ukuze ubone ama-transaction akho.`,
+    'schedule.full': `❌ Usulezikhumbuzo ezingu-{max}. Thumela *schedules* ususe esinye kuqala.`,
+    'schedule.list.empty':
+        `📭 Awulazo izikhumbuzo kumbe izinkokhelo eziphindwayo.\n\n` +
+        `Ngemva kokubhadala, thumela *remind me monthly* kumbe *repeat every week*.`,
+    'schedule.list.title': '⏰ *Izikhumbuzo Zakho & Izinkokhelo Eziphindwayo*',
+    'schedule.list.item': `{number}. {icon} {description}\n    {kind}, njalo nge-{interval} · {status}`,
+    'schedule.list.footer': 'Thumela *pause schedule 1*, *resume schedule 1* kumbe *cancel schedule 1*.',
+    'schedule.kind.reminder': 'Isikhumbuzo',
+    'schedule.kind.payment': 'Inkokhelo ephindwayo',
+    'schedule.interval.weekly': 'viki',
+    'schedule.interval.monthly': 'nyanga',
+    'schedule.interval.termly': 'thermu yesikolo',
+    'schedule.status.active': 'okulandelayo {date}',
+    'schedule.status.paused': 'kumisiwe',
+    'schedule.notFound': `❌ Akulasikhumbuzo se-"{ref}".\n\nThumela *schedules* ukuze ubone izikhumbuzo zakho.`,
+    'schedule.gone': `❌ Leso sikhumbuzo sesisusiwe.\n\nThumela *schedules* ukuze ubone izikhumbuzo zakho.`,
+    'schedule.paused': `⏸️ *Kumisiwe:* {description}\n\nThumela *resume schedule {number}* ukuze kuqale futhi.`,
+    'schedule.resumed': `▶️ *Kuqalise futhi:* {description}\n\nOkulandelayo ngo-{date}.`,
+    'schedule.cancelled': `🗑️ *Kususiwe:* {description}`,
+    'schedule.reminderDue':
+        `⏰ *Isikhumbuzo Senkokhelo*\n\n` +
+        `Sekuyisikhathi sokubhadala i-{description} futhi.\n` +
+        `Okokucina ubhadale {amount}.\n\n` +
+        `Thinta *Bhadala khathesi* ukuze ubhadale, kumbe uthumele *schedules* ukuze uguqule izikhumbuzo.`,
+    'schedule.repeatDue':
+        `🔁 *Inkokhelo Ephindwayo Isifikile*\n\n` +
+        `{description}\n` +
+        `Imali: {amount}\n\n` +
+        `Thinta *Bhadala khathesi* ukuze uhlole ubusubhadala - akukho okubhadalwayo ungakavumi.`
+};
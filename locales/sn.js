@@ -0,0 +1,445 @@
+// Shona (chiShona) messages. Keys missing here fall back to locales/en.js;
+// see there for placeholders and WhatsApp length limits.
+
+module.exports = {
+    // Main menu & help
+    'menu.welcome': `👋 *Mauya kuCCHub*\n\nMungada kuitei?`,
+    'menu.button': 'Sarudza sevhisi',
+    'menu.section': 'Masevhisi',
+    'menu.paybill': 'Bhadhara Bhiri',
+    'menu.paybill.description': 'Bhadhara uchishandisa PayCode yewebhusaiti yedu',
+    'menu.zesa': 'Tenga ZESA',
+    'menu.zesa.description': 'Tenga matokeni emagetsi',
+    'menu.airtime': 'Tenga Airtime',
+    'menu.airtime.description': 'Isa airtime parunhare rwako',
+    'menu.help': 'Rubatsiro',
+    'menu.help.description': 'Mashandisiro eCCHub',
+    'menu.language': 'Mutauro',
+    'menu.fallback':
+        `👋 *Mauya kuCCHub*\n\n` +
+        `Mungada kuitei?\n\n` +
+        `1. Bhadhara Bhiri (nePayCode)\n` +
+        `2. Tenga ZESA\n` +
+        `3. Tenga Airtime\n` +
+        `4. Rubatsiro\n\n` +
+        `Pindurai ne1, 2, 3 kana 4\n` +
+        `🌐 Tumirai *language* kuti muchinje mutauro`,
+    'help.text':
+        `❓ *Rubatsiro rweCCHub*\n\n` +
+        `*Masevhisi Aripo:*\n` +
+        `1️⃣ *Bhadhara Bhiri* - Bhadharai muchishandisa PayCode yewebhusaiti yedu\n` +
+        `2️⃣ *Tenga ZESA* - Tengai matokeni emagetsi\n` +
+        `3️⃣ *Tenga Airtime* - Isai airtime parunhare rwenyu\n\n` +
+        `*Mashandisiro:*\n` +
+        `• Tumirai "Hi" kuti mutange\n` +
+        `• Pindurai ne1, 2, 3 kana 4\n` +
+        `• Teverai mirayiridzo\n` +
+        `• Tumirai *back* kuti mudzokere nhanho yapfuura, kana *cancel* kuti mumise\n\n` +
+        `*Chimiro chePayCode:* CCH yoteverwa nenhamba 6\n` +
+        `*Muenzaniso:* CCH123456\n\n` +
+        `*Mamita nemabhiri akachengetwa:*\n` +
+        `• *saved* - onai mamita nemabhiri amakachengeta\n` +
+        `• *save meter 12345678901 Home*\n` +
+        `• *rename meter 1 Office*\n` +
+        `• *delete meter 1* / *delete biller 1*\n\n` +
+        `*Zvamakabhadhara:*\n` +
+        `• *history* - zvamakaita {historyLimit} zvekupedzisira\n` +
+        `• *receipt 1* kana *receipt <reference>* - tumirwai risiti zvakare\n` +
+        `• *tokens* - tumirwai matokeni eZESA achangobva\n\n` +
+        `*Mutauro:*\n` +
+        `• *language* - English, chiShona kana isiNdebele\n\n` +
+        `*Rubatsiro:*\n` +
+        `Kuti mubatsirwe, fonerai +263 XXX XXX XXX\n` +
+        `kana tumirai email ku support@cchub.co.zw`,
+
+    // Language
+    'language.prompt': `🌐 *Mutauro*\n\nMungada kuti ndishandise mutauro upi?`,
+    'language.button': 'Sarudza mutauro',
+    'language.saved': `✅ Kubva zvino ndichakupindurai nechiShona.`,
+    'language.unknown': `❌ Handisati ndaziva mutauro iwoyo. Sarudzai English, Shona kana Ndebele.`,
+
+    // Sessions, rate limits & flow commands
+    'session.expired':
+        `⏰ *Nguva Yapera*\n\n` +
+        `{flow}: hapana chamakatumira kwemaminitsi {minutes}, saka zvamiswa.\n` +
+        `Hapana mari yabviswa.\n\n` +
+        `Tangai zvakare.`,
+    'flow.paycode_payment': 'Kubhadhara nePayCode',
+    'flow.zesa_purchase': 'Kutenga ZESA',
+    'flow.airtime_purchase': 'Kutenga airtime',
+    'flow.session': 'Zvamaiita',
+    'flow.cancelled': `🚫 *Zvakanzurwa*\n\nHapana mari yabviswa. Tumirai "Hi" kuti mutange zvakare.`,
+    'flow.firstStep': `↩️ Muri panhanho yekutanga.\n\nTumirai *cancel* kuti mumise, kana "Hi" kuti mudzokere kumenu.`,
+    'flow.processing': `⏳ Kubhadhara kwenyu kuri kuitwa.\n\nMirai meseji yekusimbisa.`,
+    'rate.slowDown':
+        `🚦 *Dzikamai zvishoma*\n\n` +
+        `Muri kutumira meseji nekukurumidza zvakanyanya. Mirai {wait} mozoedza zvakare.`,
+    'time.minute': 'miniti imwe',
+    'time.minutes': 'maminitsi {count}',
+
+    // Shared labels for summaries and receipts
+    'label.service': 'Sevhisi',
+    'label.provider': 'Mupi',
+    'label.billerCode': 'Kodhi yeBhiri',
+    'label.meter': 'Mita',
+    'label.customer': 'Mutengi',
+    'label.tokens': 'Matokeni',
+    'label.bundle': 'Bundle',
+    'label.recipient': 'Anotambira',
+    'label.phone': 'Runhare',
+    'label.amount': 'Mari',
+    'label.fee': 'Muripo',
+    'label.total': 'Pamwe chete',
+    'label.status': 'Mamiriro',
+    'label.reason': 'Chikonzero',
+    'label.reference': 'Referensi',
+    'label.ref': 'Ref',
+    'label.transactionId': 'ID yeTransaction',
+    'label.date': 'Zuva',
+    'label.notAvailable': 'Hapana',
+    'label.studentNumber': 'Nhamba yeMudzidzi',
+    'label.studentName': 'Zita reMudzidzi',
+    'label.accountNumber': 'Nhamba yeAkaundi/Stand',
+    'label.policyNumber': 'Nhamba yePolicy',
+
+    // Services
+    'service.schools': 'Mari yeChikoro',
+    'service.city_council': 'Kanzuru yeGuta',
+    'service.insurance': 'Inishuwarenzi',
+    'service.retail': 'Zvitoro',
+    'service.zesa': 'Matokeni eZESA',
+    'service.airtime': 'Airtime',
+    'service.bundle': 'Data Bundle',
+
+    // Transaction states
+    'state.succeeded': 'Zvabudirira',
+    'state.failed': 'Zvakundikana',
+    'state.pending': 'Zvichiri kuitwa',
+    'state.unknown': 'Hazvizivikanwe',
+
+    // PayCodes
+    'paycode.prompt':
+        `💳 *Bhadhara nePayCode*\n\n` +
+        `Tumirai PayCode yenyu (CCH yoteverwa nenhamba 6).\n\n` +
+        `*Muenzaniso:* CCH123456\n\n` +
+        `Munogona kuwana PayCode pawebhusaiti yedu, kana kutumira mufananidzo weQR code yayo.`,
+    'paycode.recentBillers': 'Kana kuti bhadharai zvakare mumwe wevamakambobhadhara:',
+    'paycode.recentBillers.title': 'Vamakabhadhara',
+    'paycode.none':
+        `❌ Hapana PayCode chaiyo yawanikwa.\n\n` +
+        `Tumirai PayCode inotanga neCCH yoteverwa nenhamba 6.\n\n` +
+        `Muenzaniso: *CCH123456*`,
+    'paycode.imageUnreadable':
+        `📷 Handina kuwana PayCode mumufananidzo iwoyo.\n\n` +
+        `Ndapota tumirai mufananidzo wakajeka une QR code yakazadza mufananidzo wose, ` +
+        `kana kuti nyorai PayCode (CCH yoteverwa nenhamba 6).\n\n` +
+        `*Muenzaniso:* CCH123456`,
+    'paycode.imageFailed': `📷 Handina kukwanisa kuvhura mufananidzo iwoyo parizvino.\n\nNdapota edzai zvakare, kana kuti nyorai PayCode (semuenzaniso *CCH123456*).`,
+    'paycode.multiple':
+        `⚠️ Ndawana *PayCode inodarika imwe* mumeseji yenyu:\n` +
+        `{payCodes}\n\n` +
+        `Tumirai *PayCode imwe chete* kuti tienderere mberi.\n\n` +
+        `Muenzaniso:\nCCH123456`,
+    'paycode.locked':
+        `🔒 *PayCode dzakawandisa dzisiri dzechokwadi*\n\n` +
+        `Nekuda kwekuchengetedza kwenyu, kutarisa PayCode kwamiswa panhamba iyi.\n` +
+        `Mirai {wait} mozoedza zvakare.`,
+    'paycode.lockedNow':
+        `🔒 *PayCode dzakawandisa dzisiri dzechokwadi*\n\n` +
+        `Nekuda kwekuchengetedza kwenyu, kutarisa PayCode kwamiswa panhamba iyi. Nguva: {wait}.`,
+    'paycode.emptyResponse': `⚠️ Sevha yadzosa mhinduro isina chinhu.\n\nEdzai zvakare kana kuti taurai nevatsigiri.`,
+    'paycode.invalid':
+        `❌ PayCode iyi haisi yechokwadi.\n\n` +
+        `Mamiriro: {status}\n` +
+        `Meseji: {message}\n\n` +
+        `Gadzirai PayCode itsva pawebhusaiti.`,
+    'paycode.invalid.defaultMessage': 'Kodhi ingangodaro yapera nguva kana kuti yakatoshandiswa',
+    'paycode.incomplete': `⚠️ Ruzivo rwePayCode harwuna kukwana.\n\nZvisipo: {fields}\n\nTaurai nevatsigiri.`,
+    'paycode.unsupportedCurrency':
+        `⚠️ PayCode iyi iri mumari yatisati tatsigira ({currency}).\n\n` +
+        `Taurai nevatsigiri.`,
+    'paycode.unavailable': `⚠️ Kutarisa PayCode hakusi kushanda parizvino.\n\nEdzai zvakare mumaminitsi mashoma.`,
+    'paycode.verifyError': `⚠️ Hatikwanise kutarisa PayCode parizvino.\n\n{reason}`,
+    'paycode.verifyError.refused': 'Hatikwanise kubatana nesevha. Tarisai kana webhusaiti yeWordPress iri kushanda.',
+    'paycode.verifyError.timeout': 'Nguva yapera. Sevha iri kunonoka kupindura.',
+    'paycode.verifyError.auth': 'Kusimbisa kwakundikana. Tokeni haisi yechokwadi.',
+    'paycode.verifyError.notFound': 'Endpoint yePayCode haina kuwanikwa. Tarisai URL yeAPI.',
+    'paycode.verifyError.server': 'Sevha yatadza. Edzai zvakare gare gare.',
+    'paycode.verifyError.status': 'Sevha yadzosa status: {status}',
+    'paycode.verifyError.other': 'Edzai zvakare munguva pfupi.',
+    'paycode.detected':
+        `{emoji} *Kubhadhara kwawanikwa ✅*\n\n` +
+        `Sevhisi: {service}\n` +
+        `Mupi: {provider}\n` +
+        `Kodhi yeBhiri: {billerCode}\n\n` +
+        `Nyorai mari yamunoda kubhadhara ({currency}).\n\n` +
+        `*Muenzaniso:* {example}`,
+
+    // Account references
+    'reference.studentNumber.prompt': `🎓 Ndapota nyora *nhamba yemudzidzi* ye{provider}.`,
+    'reference.studentNumber.invalid':
+        `❌ Iyi haiite senhamba yemudzidzi.\n\n` +
+        `Ndapota nyora mavara kana manhamba 3 kusvika 20, semuenzaniso *STU12345*.`,
+    'reference.studentName.prompt': `👤 Ndapota nyora *zita rizere remudzidzi*.`,
+    'reference.studentName.invalid': `❌ Ndapota nyora zita remudzidzi sezvariri kuchikoro, semuenzaniso *Tendai Moyo*.`,
+    'reference.accountNumber.prompt': `🏠 Ndapota nyora *nhamba yeakaundi* kana *nhamba yestand* yekanzuru.`,
+    'reference.accountNumber.invalid':
+        `❌ Iyi haiite senhamba yeakaundi kana yestand.\n\n` +
+        `Ndapota nyora mavara kana manhamba 3 kusvika 20, semuenzaniso *AC123456*.`,
+    'reference.policyNumber.prompt': `🛡️ Ndapota nyora *nhamba yepolicy* ye{provider}.`,
+    'reference.policyNumber.invalid':
+        `❌ Iyi haiite senhamba yepolicy.\n\n` +
+        `Ndapota nyora mavara kana manhamba 4 kusvika 20, semuenzaniso *POL123456*.`,
+
+    // Currency, amount & confirmation
+    'currency.prompt': 'Munoda kubhadhara nemari ipi?',
+    'currency.prompt.fallback': 'Pindurai nenhamba kana zita remari',
+    'currency.invalid': '❌ Sarudzai imwe yeidzi: {currencies}',
+    'currency.chosen': '✅ Mari: {currency}',
+    'amount.prompt': `Zvino nyorai mari yamunoda kushandisa ({currency}).\n\n*Muenzaniso:* {example}`,
+    'amount.invalid':
+        `❌ Mari haina kunaka.\n\n` +
+        `Nyorai mari iri pakati pe{min} ne{max}.\n\n` +
+        `*Muenzaniso:* {example}`,
+    'amount.notANumber': `❌ Handina kuwana mari mumashoko enyu.\n\nNdapota nyorai nhamba chete, semuenzaniso *{example}*.`,
+    'amount.multiple': `❌ Ndapota nyorai mari imwe chete, semuenzaniso *{example}*.`,
+    'amount.negative': `❌ Mari haigoni kuva pasi pe zero.\n\nNdapota inyorei se *{example}*.`,
+    'amount.ambiguousSeparator':
+        `❌ Handisi kuziva kana iri masendi kana zviuru.\n\n` +
+        `Ndapota shandisai dot pamasendi uye koma pakati pezviuru chete, semuenzaniso *1,500.50*.`,
+    'amount.tooManyDecimals': `❌ Mari inogona kuva nenhamba mbiri chete mushure me dot (masendi).\n\nSemuenzaniso *{example}*.`,
+    'amount.currencyMismatch': `❌ Kubhadhara uku kuri mu{currency}, kwete {entered}.\n\nNdapota nyorai mari mu{currency}.`,
+    'amount.format': `❌ Handina kunzwisisa mari iyoyo.\n\nNdapota inyorei se *{example}*, *1,500.50* kana *15k*.`,
+    'confirm.title': '🧾 *Simbisai*',
+    'confirm.reply': 'Pindurai *YES* kuti mubhadhare, *NO* kuti mumise kana *EDIT* kuti muchinje.',
+    'confirm.timedOut': `⏰ *Nguva yekusimbisa yapera*\n\nHapana mari yabviswa.`,
+    'button.pay': '✅ Hongu, bhadhara',
+    'button.cancel': '❌ Kwete, mira',
+    'button.editAmount': '✏️ Chinja mari',
+    'button.changeBundle': '✏️ Chinja bundle',
+    'button.yes': '✅ Hongu',
+    'button.change': '❌ Kwete, chinja',
+    'button.payNow': '💳 Bhadhara izvozvi',
+    'button.pauseSchedule': '⏸️ Mbira',
+
+    // Payment results
+    'payment.success':
+        `✅ *Kubhadhara Kwabudirira!*\n\n` +
+        `Mari: {amount}\n` +
+        `Sevhisi: {service}\n` +
+        `{references}` +
+        `Referensi: {reference}\n` +
+        `ID yeTransaction: {id}\n` +
+        `Zuva: {date}\n\n` +
+        `Maita basa nekushandisa CCHub!`,
+    'payment.error':
+        `⚠️ *Dambudziko Pakubhadhara*\n\n` +
+        `Tasangana nedambudziko pakubhadhara kwenyu.\n` +
+        `Edzai zvakare mumaminitsi mashoma.`,
+    'payment.failed': `❌ *Kubhadhara Kwakundikana*\n\nChikonzero: {reason}\n\nEdzai zvakare kana kuti taurai nevatsigiri.`,
+    'payment.failed.defaultReason': 'Kubhadhara hakuna kubudirira',
+    'payment.pending':
+        `⏳ *Kubhadhara Kuchiri Kuitwa*\n\n` +
+        `Mupi achiri kugadzirisa kubhadhara kwenyu.\n` +
+        `ID yeTransaction: {id}\n\n` +
+        `Musabhadhare zvakare. Tichakutumirai meseji mupi paanongosimbisa.`,
+    'payment.unknown':
+        `⚠️ *Hazvizivikanwe Kana Kubhadhara Kwaitika*\n\n` +
+        `Hatina kukwanisa kusimbisa kana kubhadhara kwenyu kwafamba.\n` +
+        `ID yeTransaction: {id}\n\n` +
+        `Ndapota *musaedza* zvakare. Taurai nevatsigiri muine ID iyi tigokutarisirai.`,
+    'payment.confirmed':
+        `✅ *Kubhadhara Kwasimbiswa*\n\n` +
+        `Kubhadhara kwenyu kwe{description} kwafamba.\n\n` +
+        `{receipt}\n\n` +
+        `Maita basa nekushandisa CCHub!`,
+    'payment.callbackFailed':
+        `❌ *Kubhadhara Kwakundikana*\n\n` +
+        `{description}\n` +
+        `Mari: {amount}\n` +
+        `Chikonzero: {reason}\n` +
+        `ID yeTransaction: {id}\n\n` +
+        `Edzai zvakare kana kuti taurai nevatsigiri.`,
+    'payment.callbackFailed.defaultReason': 'Kubhadhara hakuna kupera',
+    'payment.timedOut':
+        `⌛ *Kubhadhara Hakuna Kusimbiswa*\n\n` +
+        `Hatisati tanzwa kubva kumupi nezve kubhadhara kwenyu kwe{amount} kwe{description} ` +
+        `mushure memaminitsi {minutes}.\n\n` +
+        `Musabhadhare zvakare parizvino. Kana mari yabuda muakaundi yenyu, taurai nevatsigiri. ` +
+        `ID yeTransaction: {id}`,
+
+    // ZESA
+    'zesa.enterMeter': `⚡ *Kutenga ZESA*\n\nNyorai nhamba yemita yenyu:\n\n*Muenzaniso:* 12345678901`,
+    'zesa.enterMeter.again': `Nyorai nhamba yemita yenyu:\n\n*Muenzaniso:* 12345678901`,
+    'zesa.chooseMeter': `⚡ *Kutenga ZESA*\n\nSarudzai mita yamakachengeta kana nyorai nhamba yemita itsva.`,
+    'zesa.chooseMeter.button': 'Sarudza mita',
+    'zesa.chooseMeter.fallback': 'Pindurai nenhamba, kana tumirai nhamba yemita itsva.',
+    'zesa.savedMeters': 'Mamita akachengetwa',
+    'zesa.newMeter': 'Mita itsva',
+    'zesa.newMeter.description': 'Nyora imwe nhamba yemita',
+    'zesa.invalidMeter':
+        `❌ Nhamba yemita haina kunaka.\n\n` +
+        `Nyorai nhamba yemita yeZESA chaiyo (nhamba 10-12).\n\n` +
+        `*Muenzaniso:* 12345678901`,
+    'zesa.meterNotFound':
+        `❌ *Mita haina kuwanikwa*\n\n` +
+        `ZESA haina mita yakanyoreswa se{meter}.\n` +
+        `Tarisai nhamba iri pamita yenyu moedza zvakare.`,
+    'zesa.meterBlocked':
+        `🚫 *Mita yakavharwa*\n\n` +
+        `Mita {meter} yakavharwa uye haigone kugamuchira matokeni.\n` +
+        `{reason}\n` +
+        `Taurai neZESA kuti zvigadziriswe, kana kuti nyorai imwe nhamba yemita.`,
+    'zesa.lookupUnavailable':
+        `⚠️ *Kutarisa mita hakusi kushanda*\n\n` +
+        `Hatikwanise kutarisa mamita neZESA parizvino, saka hatina kutora mari.\n` +
+        `Edzai zvakare mumaminitsi mashoma.`,
+    'zesa.meterDetails':
+        `⚡ *Ruzivo rweMita*\n\n` +
+        `Mita: {meter}\n` +
+        `Zita: {name}\n` +
+        `Kero: {address}\n\n` +
+        `Iyi ndiyo mita chaiyo here?`,
+    'zesa.meterDetails.fallback': 'Pindurai *YES* kuti tienderere mberi kana *NO* kuti munyore imwe mita.',
+    'zesa.meterDetails.retry': 'Pindurai *YES* kana ruzivo urwu ruri rwemita yenyu, kana *NO* kuti munyore imwe mita.',
+    'zesa.notProvided': 'Hazvina kupihwa',
+    'zesa.meterConfirmed': '✅ Mita yasimbiswa: {meter}',
+    'zesa.processing': `⚡ *Tiri Kutenga ZESA...*\n\nMita: {meter}\nMari: {amount}\n\nMirai zvishoma...`,
+    'zesa.success':
+        `✅ *Kutenga ZESA Kwabudirira!*\n\n` +
+        `Mita: {meter}\n` +
+        `Mari: {amount}\n` +
+        `Matokeni: {tokens}\n` +
+        `Referensi: {reference}\n\n` +
+        `Maita basa nekushandisa CCHub!`,
+    'zesa.saveTip': '💾 Zano: tumirai *save meter {meter} Home* kuti muchengete mita iyi yenguva inotevera.',
+    'zesa.unavailable':
+        `⚠️ *ZESA Haisi Kushanda*\n\n` +
+        `Hatikwanise kutenga ZESA parizvino.\n` +
+        `Edzai zvakare gare gare.`,
+    'zesa.failed': `❌ *Kutenga ZESA Kwakundikana*\n\nChikonzero: {reason}\n\nEdzai zvakare kana kuti taurai nevatsigiri.`,
+
+    // Airtime
+    'airtime.recipientPrompt':
+        `📱 *Kutenga Airtime*\n\n` +
+        `Airtime ndeyani?\n\n` +
+        `Dzvanyai *Nhamba yangu* kuti muise pa{phone}, kana tumirai nhamba yamunoda kuisira.\n\n` +
+        `*Muenzaniso:* 0771234567`,
+    'airtime.recipientPrompt.fallback':
+        `📱 *Kutenga Airtime*\n\n` +
+        `Airtime ndeyani?\n\n` +
+        `Pindurai *ME* kuti muise pa{phone}, kana tumirai nhamba yamunoda kuisira.\n\n` +
+        `*Muenzaniso:* 0771234567`,
+    'airtime.myNumber': 'Nhamba yangu',
+    'airtime.invalidNumber':
+        `❌ Nhamba yerunhare haina kunaka.\n\n` +
+        `Tumirai nhamba yeEconet, NetOne kana Telecel yekuZimbabwe.\n\n` +
+        `*Muenzaniso:* 0771234567 kana +263771234567`,
+    'airtime.recipient': '✅ Anotambira: {recipient} ({network})',
+    'airtime.productPrompt': 'Munoda airtime kana data bundle?',
+    'airtime.productPrompt.fallback': `1. Airtime\n2. Data bundle\n\nPindurai ne1 kana 2`,
+    'airtime.productPrompt.retry': 'Pindurai *1* kuti mutore airtime kana *2* kuti mutore data bundle.',
+    'airtime.airtime': 'Airtime',
+    'airtime.bundle': 'Data bundle',
+    'airtime.bundlePrompt': 'Sarudzai data bundle:',
+    'airtime.bundlePrompt.button': 'Ona mabundle',
+    'airtime.bundlePrompt.fallback': 'Pindurai nenhamba yebundle',
+    'airtime.invalidBundle': '❌ Sarudzai bundle iri parondedzero.',
+    'airtime.processing':
+        `📱 *Tiri Kutenga Airtime...*\n\n` +
+        `Runhare: {recipient} ({network})\n` +
+        `{product}` +
+        `Mari: {amount}\n\n` +
+        `Mirai zvishoma...`,
+    'airtime.bundleLine': 'Bundle: {bundle}\n',
+    'airtime.success':
+        `✅ *Kutenga Airtime Kwabudirira!*\n\n` +
+        `Runhare: {recipient}\n` +
+        `{product}` +
+        `Mari: {amount}\n` +
+        `Referensi: {reference}\n\n` +
+        `{arrival}`,
+    'airtime.arrival.airtime': 'Airtime yenyu ichasvika munguva pfupi.',
+    'airtime.arrival.bundle': 'Bundle yenyu ichasvika munguva pfupi.',
+    'airtime.unavailable':
+        `⚠️ *Airtime Haisi Kushanda*\n\n` +
+        `Hatikwanise kutenga airtime parizvino.\n` +
+        `Edzai zvakare gare gare.`,
+    'airtime.failed': `❌ *Kutenga Airtime Kwakundikana*\n\nChikonzero: {reason}\n\nEdzai zvakare.`,
+
+    // Saved meters & billers
+    'saved.empty':
+        `📒 Hamuna mamita kana mabhiri akachengetwa.\n\n` +
+        `Tumirai *save meter 12345678901 Home* kuti muchengete mita.`,
+    'saved.title': '📒 *Zvamakachengeta*',
+    'saved.meters': '*Mamita:*',
+    'saved.billers': '*Vamakabhadhara:*',
+    'saved.commands':
+        `*rename meter 1 Home* - chinja zita\n` +
+        `*delete meter 1* / *delete biller 1* - bvisa`,
+    'saved.invalidMeter': '❌ Nhamba yemita haina kunaka. Nhamba dzemita dzeZESA dzine nhamba 10-12.',
+    'saved.nicknameTooLong': '❌ Zita rinogona kuva nemavara {max} chete.',
+    'saved.meterSaved': '💾 Mita yachengetwa: {meter}',
+    'saved.full': '❌ Munogona kuchengeta mamita {max} chete. Bvisai imwe kutanga ne *delete meter 1*.',
+    'saved.renamed': '✏️ Zita rachinjwa kuva *{nickname}*.',
+    'saved.deleted': '🗑️ Yabviswa: {entry}.',
+    'saved.notFound.meter': '❌ Hapana mita yakachengetwa inoenderana na "{ref}". Tumirai *saved* kuti muone rondedzero yenyu.',
+    'saved.notFound.biller': '❌ Hapana bhiri rakachengetwa rinoenderana na "{ref}". Tumirai *saved* kuti muone rondedzero yenyu.',
+
+    // History & receipts
+    'history.empty': `📭 Hamusati maita transaction.`,
+    'history.title': '📜 *Zvamakaita Munguva Pfupi*',
+    'history.footer':
+        `Tumirai *receipt 1* kuti muwane risiti yakazara.\n` +
+        `Tumirai *remind me monthly* kana *repeat every week* kuronga kubhadhara kwenyu kwekupedzisira, uye *schedules* kuzvitarisira.`,
+    'receipt.title': '🧾 *Risiti* {icon}',
+    'receipt.notFound': `❌ Hapana transaction yawanikwa ye "{ref}".\n\nTumirai *history* kuti muone zvamakaita munguva pfupi.`,
+    'tokens.empty': `📭 Hamusati mava nematokeni eZESA.`,
+    'tokens.title': '⚡ *Matokeni eZESA Achangobva*',
+
+    // Reminders & recurring payments
+    'schedule.created':
+        `⏰ *Chiyeuchidzo chaiswa*\n\n` +
+        `{description}\n` +
+        `Ose {interval}, chinotevera pa {date}.\n\n` +
+        `Tumirai *schedules* kuti muone kana kuchinja zviyeuchidzo zvenyu.`,
+    'schedule.repeatCreated':
+        `🔁 *Kubhadhara kunodzokororwa kwaiswa*\n\n` +
+        `{description}\n` +
+        `Ose {interval}, kunotevera pa {date}.\n\n` +
+        `Tichakutumirai meseji ine bhatani rekubhadhara - hapana chinobhadharwa musati mabvuma.\n` +
+        `Tumirai *schedules* kuti muone kana kuzvichinja.`,
+    'schedule.nothingToRepeat':
+        `❌ Handina kuwana kubhadhara kwakapera kwekuronga.\n\n` +
+        `Bhadharai kutanga, wozotumira semuenzaniso *remind me monthly*.`,
+    'schedule.notPaid': `❌ Transaction {number} haina kubudirira, saka hapana chekudzokorora.\n\nTumirai *history* kuti muone ma transaction enyu.`,
+    'schedule.full': `❌ Mune zviyeuchidzo {max} kare. Tumirai *schedules* mobvisa chimwe kutanga.`,
+    'schedule.list.empty':
+        `📭 Hamuna zviyeuchidzo kana kubhadhara kunodzokororwa.\n\n` +
+        `Mushure mekubhadhara, tumirai *remind me monthly* kana *repeat every week*.`,
+    'schedule.list.title': '⏰ *Zviyeuchidzo Zvenyu & Kubhadhara Kunodzokororwa*',
+    'schedule.list.item': `{number}. {icon} {description}\n    {kind}, ose {interval} · {status}`,
+    'schedule.list.footer': 'Tumirai *pause schedule 1*, *resume schedule 1* kana *cancel schedule 1*.',
+    'schedule.kind.reminder': 'Chiyeuchidzo',
+    'schedule.kind.payment': 'Kubhadhara kunodzokororwa',
+    'schedule.interval.weekly': 'vhiki',
+    'schedule.interval.monthly': 'mwedzi',
+    'schedule.interval.termly': 'temu yechikoro',
+    'schedule.status.active': 'chinotevera {date}',
+    'schedule.status.paused': 'chakambomiswa',
+    'schedule.notFound': `❌ Hapana chiyeuchidzo che "{ref}".\n\nTumirai *schedules* kuti muone zviyeuchidzo zvenyu.`,
+    'schedule.gone': `❌ Chiyeuchidzo ichocho chakabviswa.\n\nTumirai *schedules* kuti muone zviyeuchidzo zvenyu.`,
+    'schedule.paused': `⏸️ *Chamiswa:* {description}\n\nTumirai *resume schedule {number}* kuti chitangezve.`,
+    'schedule.resumed': `▶️ *Chatangazve:* {description}\n\nChinotevera pa {date}.`,
+    'schedule.cancelled': `🗑️ *Chabviswa:* {description}`,
+    'schedule.reminderDue':
+        `⏰ *Chiyeuchidzo Chekubhadhara*\n\n` +
+        `Yasvika nguva yekubhadhara {description} zvakare.\n` +
+        `Pakupedzisira makabhadhara {amount}.\n\n` +
+        `Baya *Bhadhara izvozvi* kuti mubhadhare, kana tumirai *schedules* kuti muchinje zviyeuchidzo.`,
+    'schedule.repeatDue':
+        `🔁 *Kubhadhara Kunodzokororwa Kwasvika*\n\n` +
+        `{description}\n` +
+        `Mari: {amount}\n\n` +
+        `Baya *Bhadhara izvozvi* kuti muongorore mobhadhara - hapana chinobhadharwa musati mabvuma.`
+};
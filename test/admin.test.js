@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createHarness } = require('./support/harness');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+// A finished transaction on a given day, so stats can be read for that day alone
+function pastTransaction(phone, day, details) {
+    const createdAt = new Date(`${day}T10:00:00Z`).toISOString();
+    const transaction = {
+        id: crypto.randomUUID(),
+        phone,
+        currency: 'USD',
+        gatewayReference: null,
+        createdAt,
+        updatedAt: createdAt,
+        ...details
+    };
+    bot.writeStore('transactions', transaction.id, transaction);
+    return transaction;
+}
+
+describe('admin API', () => {
+    it('needs the admin token', async () => {
+        const missing = await fetch(`${bot.url}/admin/sessions`);
+        const wrong = await fetch(`${bot.url}/admin/sessions`, { headers: { Authorization: 'Bearer nope' } });
+
+        assert.equal(missing.status, 401);
+        assert.equal(wrong.status, 401);
+    });
+
+    it('is disabled without ADMIN_TOKEN', async () => {
+        const adminToken = process.env.ADMIN_TOKEN;
+        delete process.env.ADMIN_TOKEN;
+        try {
+            const { status, body } = await bot.admin('GET', '/sessions');
+            assert.equal(status, 503);
+            assert.match(body.error, /ADMIN_TOKEN not set/);
+        } finally {
+            process.env.ADMIN_TOKEN = adminToken;
+        }
+    });
+
+    it('lists live sessions and resets one', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'CCH123456');
+
+        const { body } = await bot.admin('GET', '/sessions');
+        const session = body.sessions.find(candidate => candidate.phone === user);
+        assert.equal(session.transactionType, 'paycode_payment');
+        assert.equal(session.stage, 'amount_entry');
+
+        const reset = await bot.admin('DELETE', `/sessions/+${user}`);
+        assert.deepEqual(reset.body, { reset: true, phone: user });
+        assert.equal(bot.readStore('sessions')[user], undefined);
+
+        assert.equal((await bot.admin('DELETE', `/sessions/${user}`)).status, 404);
+    });
+
+    it('searches transactions by phone, reference and PayCode', async () => {
+        const user = bot.newUser();
+        const fees = pastTransaction(user, '2020-03-02', {
+            transactionType: 'paycode_payment',
+            state: 'succeeded',
+            amount: 50,
+            payCode: 'CCH123456',
+            serviceType: 'schools',
+            gatewayReference: 'GW-ADMIN-1'
+        });
+        const airtime = pastTransaction(bot.newUser(), '2020-03-03', {
+            transactionType: 'airtime_purchase',
+            state: 'failed',
+            amount: 2,
+            recipient: user
+        });
+
+        const byPhone = await bot.admin('GET', `/transactions?phone=%2B${user}`);
+        assert.deepEqual(byPhone.body.transactions.map(transaction => transaction.id), [airtime.id, fees.id]);
+
+        const byReference = await bot.admin('GET', '/transactions?reference=gw-admin-1');
+        assert.deepEqual(byReference.body.transactions.map(transaction => transaction.id), [fees.id]);
+
+        const byPayCode = await bot.admin('GET', `/transactions?payCode=cch123456&phone=${user}`);
+        assert.deepEqual(byPayCode.body.transactions.map(transaction => transaction.id), [fees.id]);
+
+        const one = await bot.admin('GET', `/transactions/${airtime.id}`);
+        assert.equal(one.body.recipient, user);
+        assert.equal((await bot.admin('GET', `/transactions/${crypto.randomUUID()}`)).status, 404);
+    });
+
+    it('reports success rate and volume per service', async () => {
+        const user = bot.newUser();
+        const day = '2020-06-15';
+        pastTransaction(user, day, { transactionType: 'paycode_payment', serviceType: 'schools', state: 'succeeded', amount: 50 });
+        pastTransaction(user, day, { transactionType: 'paycode_payment', serviceType: 'schools', state: 'succeeded', amount: 25.5 });
+        pastTransaction(user, day, { transactionType: 'paycode_payment', serviceType: 'schools', state: 'failed', amount: 10 });
+        pastTransaction(user, day, { transactionType: 'zesa_purchase', state: 'succeeded', amount: 300, currency: 'ZWG' });
+        pastTransaction(user, day, { transactionType: 'zesa_purchase', state: 'pending', amount: 20 });
+
+        const { body } = await bot.admin('GET', `/stats?from=${day}T00:00:00Z&to=${day}T23:59:59Z`);
+
+        assert.deepEqual(body.services, {
+            schools: { count: 3, succeeded: 2, failed: 1, pending: 0, unknown: 0, successRate: 0.667, volume: { USD: 75.5 } },
+            zesa: { count: 2, succeeded: 1, failed: 0, pending: 1, unknown: 0, successRate: 1, volume: { ZWG: 300 } }
+        });
+
+        assert.equal((await bot.admin('GET', '/stats?from=yesterday')).status, 400);
+    });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAmount } = require('../lib/amount');
+
+function amountOf(text, options) {
+    const result = parseAmount(text, options);
+    assert.equal(result.error, undefined, `"${text}" was rejected: ${result.error}`);
+    return result.amount;
+}
+
+function errorFor(text, options) {
+    return parseAmount(text, options).error;
+}
+
+describe('parseAmount', () => {
+    it('reads plain whole and decimal amounts', () => {
+        assert.equal(amountOf('50'), 50);
+        assert.equal(amountOf('  50  '), 50);
+        assert.equal(amountOf('0'), 0);
+        assert.equal(amountOf('20.5'), 20.5);
+        assert.equal(amountOf('20.50'), 20.5);
+        assert.equal(amountOf('19.99'), 19.99);
+        assert.equal(amountOf('.5'), 0.5);
+        assert.equal(amountOf('20.'), 20);
+    });
+
+    it('understands thousands separators', () => {
+        assert.equal(amountOf('1,500'), 1500);
+        assert.equal(amountOf('15,000.50'), 15000.5);
+        assert.equal(amountOf('1,234,567.89'), 1234567.89);
+        assert.equal(amountOf('15 000'), 15000);
+        assert.equal(amountOf('1 234 567.89'), 1234567.89);
+    });
+
+    it('ignores currency symbols and codes', () => {
+        assert.equal(amountOf('$20'), 20);
+        assert.equal(amountOf('$ 20'), 20);
+        assert.equal(amountOf('US$1,000'), 1000);
+        assert.equal(amountOf('USD 20'), 20);
+        assert.equal(amountOf('20 usd'), 20);
+        assert.equal(amountOf('20USD'), 20);
+        assert.equal(amountOf('ZiG 500', { currency: 'ZWG' }), 500);
+        assert.equal(amountOf('500 zwg', { currency: 'ZWG' }), 500);
+    });
+
+    it('accepts k and m suffixes', () => {
+        assert.equal(amountOf('15k'), 15000);
+        assert.equal(amountOf('15K'), 15000);
+        assert.equal(amountOf('15 k'), 15000);
+        assert.equal(amountOf('1.5k'), 1500);
+        assert.equal(amountOf('1.25k'), 1250);
+        assert.equal(amountOf('1.23456k'), 1234.56);
+        assert.equal(amountOf('2m'), 2000000);
+        assert.equal(amountOf('$1.5m'), 1500000);
+        assert.equal(amountOf('zig 2k', { currency: 'ZWG' }), 2000);
+    });
+
+    it('rounds to whole cents without floating point noise', () => {
+        assert.equal(amountOf('0.1'), 0.1);
+        assert.equal(amountOf('1.005k'), 1005);
+        assert.equal(amountOf('0.29'), 0.29);
+    });
+
+    it('rejects input without a number', () => {
+        assert.equal(errorFor(''), 'notANumber');
+        assert.equal(errorFor('   '), 'notANumber');
+        assert.equal(errorFor('fifty'), 'notANumber');
+        assert.equal(errorFor('$'), 'notANumber');
+        assert.equal(errorFor(undefined), 'notANumber');
+    });
+
+    it('rejects more than one number', () => {
+        assert.equal(errorFor('50 or 60'), 'multiple');
+        assert.equal(errorFor('50 60'), 'multiple');
+        assert.equal(errorFor('20/30'), 'multiple');
+        assert.equal(errorFor('12 34'), 'multiple');
+    });
+
+    it('rejects negative amounts', () => {
+        assert.equal(errorFor('-5'), 'negative');
+        assert.equal(errorFor('- 5'), 'negative');
+        assert.equal(errorFor('$-20'), 'negative');
+    });
+
+    it('rejects separators that could mean cents or thousands', () => {
+        assert.equal(errorFor('15,50'), 'ambiguousSeparator');
+        assert.equal(errorFor('15,5'), 'ambiguousSeparator');
+        assert.equal(errorFor('1.500,50'), 'ambiguousSeparator');
+        assert.equal(errorFor('1.500'), 'ambiguousSeparator');
+        assert.equal(errorFor('1.500.000'), 'ambiguousSeparator');
+        assert.equal(errorFor('1,5000'), 'ambiguousSeparator');
+    });
+
+    it('rejects more than two decimal places', () => {
+        assert.equal(errorFor('20.5055'), 'tooManyDecimals');
+        assert.equal(errorFor('1,500.505'), 'tooManyDecimals');
+        assert.equal(errorFor('1.234567k'), 'tooManyDecimals');
+    });
+
+    it('rejects amounts in a different currency', () => {
+        assert.deepEqual(parseAmount('ZiG 500', { currency: 'USD' }), { error: 'currencyMismatch', entered: 'ZWG' });
+        assert.deepEqual(parseAmount('$20', { currency: 'ZWG' }), { error: 'currencyMismatch', entered: 'USD' });
+        assert.equal(errorFor('USD 20 ZiG'), 'format');
+    });
+
+    it('accepts any supported currency when none is expected', () => {
+        assert.equal(amountOf('ZiG 500'), 500);
+        assert.equal(amountOf('$20'), 20);
+    });
+
+    it('rejects anything else it cannot read', () => {
+        assert.equal(errorFor('20 bob'), 'format');
+        assert.equal(errorFor('GBP 20'), 'format');
+        assert.equal(errorFor('2 km'), 'format');
+        assert.equal(errorFor('1..5'), 'format');
+        assert.equal(errorFor('about 20'), 'format');
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => {
+    bot.reset();
+    process.env.DEBUG_MODE = 'true';
+});
+afterEach(() => delete process.env.DEBUG_MODE);
+
+function debug(path, token = process.env.ADMIN_TOKEN) {
+    return fetch(`${bot.url}${path}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+}
+
+describe('debug endpoints', () => {
+    it('do not exist without DEBUG_MODE', async () => {
+        delete process.env.DEBUG_MODE;
+
+        assert.equal((await debug('/debug/test')).status, 404);
+        assert.equal((await debug('/debug/env-check')).status, 404);
+        assert.equal((await debug('/test-paycode/CCH123456')).status, 404);
+    });
+
+    it('need the admin token', async () => {
+        assert.equal((await debug('/debug/env-check', null)).status, 401);
+        assert.equal((await debug('/test-paycode/CCH123456', 'nope')).status, 401);
+    });
+
+    it('only say whether settings are present', async () => {
+        const response = await debug('/debug/env-check');
+        assert.equal(response.status, 200);
+
+        const body = await response.json();
+        assert.ok(Object.keys(body).length > 0);
+        for (const [name, value] of Object.entries(body)) {
+            assert.equal(typeof value, 'boolean', `${name} should be a boolean`);
+        }
+        assert.equal(body.hasBotToken, true);
+    });
+
+    it('allow ten requests a minute per IP', async () => {
+        const statuses = [];
+        let limited;
+        for (let i = 0; i < 10; i++) {
+            limited = await debug('/debug/test');
+            statuses.push(limited.status);
+        }
+
+        // The env-check above was the first of the ten
+        assert.deepEqual(statuses, [...Array(9).fill(200), 429]);
+        assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+    });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness');
+const { readQrCode } = require('../lib/qrCode');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+describe('handleImageMessage', () => {
+    it('reads the PayCode from a QR code photo', async () => {
+        const user = bot.newUser();
+
+        const [reply] = await bot.sendImage(user, { fixture: 'paycode-qr.jpg' });
+        assert.match(reply.text, /Payment detected/);
+        assert.match(reply.text, /Test School/);
+
+        const [lookup, download] = bot.whatsapp.requests.filter(request => request.method === 'GET');
+        assert.equal(lookup.path, '/media-1');
+        assert.equal(lookup.headers.authorization, 'Bearer test-whatsapp-token');
+        assert.equal(download.headers.authorization, 'Bearer test-whatsapp-token');
+
+        assert.equal(bot.wordpress.received('/wp-json/cchub/v1/get-biller-code/CCH123456').length, 1);
+        assert.equal(bot.readStore('sessions')[user].stage, 'amount_entry');
+    });
+
+    it('reads PNG images too', async () => {
+        const [reply] = await bot.sendImage(bot.newUser(), { fixture: 'paycode-qr.png' });
+        assert.match(reply.text, /Payment detected/);
+    });
+
+    it('takes the PayCode from the caption without downloading the photo', async () => {
+        const [reply] = await bot.sendImage(bot.newUser(), { caption: 'Please pay CCH123456' });
+
+        assert.match(reply.text, /Payment detected/);
+        assert.equal(bot.whatsapp.requests.filter(request => request.method === 'GET').length, 0);
+    });
+
+    it('falls back to the QR code when the caption has no PayCode', async () => {
+        const [reply] = await bot.sendImage(bot.newUser(), { fixture: 'paycode-qr.jpg', caption: 'school fees' });
+        assert.match(reply.text, /Payment detected/);
+    });
+
+    it('explains when the picture has no PayCode', async () => {
+        const user = bot.newUser();
+
+        const [reply] = await bot.sendImage(user, { fixture: 'website-qr.png' });
+        assert.match(reply.text, /couldn't find a PayCode in that picture/);
+        assert.equal(bot.wordpress.requests.length, 0);
+        assert.equal(bot.readStore('sessions')[user], undefined);
+    });
+
+    it('asks for the PayCode to be typed when the photo cannot be downloaded', async () => {
+        const [reply] = await bot.sendImage(bot.newUser());
+        assert.match(reply.text, /couldn't open that picture/);
+    });
+
+    it('counts photos against the message limit', async () => {
+        const user = bot.newUser();
+        for (let i = 0; i < 30; i++) {
+            await bot.sendImage(user);
+        }
+        const downloads = bot.whatsapp.requests.filter(request => request.method === 'GET').length;
+
+        const [warning] = await bot.sendImage(user);
+        assert.match(warning.text, /Slow down please/);
+        assert.deepEqual(await bot.sendImage(user, { caption: 'CCH123456' }), []);
+
+        assert.equal(bot.whatsapp.requests.filter(request => request.method === 'GET').length, downloads);
+        assert.equal(bot.wordpress.requests.length, 0);
+    });
+
+    it('refuses to decode a PNG that claims to be enormous', () => {
+        // Signature and an IHDR chunk for a 20000x20000 RGBA image
+        const header = Buffer.alloc(33);
+        header.writeUInt32BE(0x89504e47, 0);
+        header.writeUInt32BE(0x0d0a1a0a, 4);
+        header.writeUInt32BE(13, 8);
+        header.write('IHDR', 12, 'ascii');
+        header.writeUInt32BE(20000, 16);
+        header.writeUInt32BE(20000, 20);
+        header.writeUInt8(8, 24);
+        header.writeUInt8(6, 25);
+
+        assert.equal(readQrCode(header), null);
+    });
+
+    it('leaves a flow in progress alone when the photo is unreadable', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'CCH123456');
+
+        await bot.sendImage(user, { fixture: 'website-qr.png' });
+        const [prompt] = await bot.send(user, '50');
+        assert.match(prompt.text, /student number/);
+    });
+});
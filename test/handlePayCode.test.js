@@ -0,0 +1,197 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+const PAYCODE_PATH = '/wp-json/cchub/v1/get-biller-code/:payCode';
+
+// Script the WordPress answer for every PayCode lookup
+function wordpressAnswers(response) {
+    bot.wordpress.on('GET', PAYCODE_PATH, response);
+}
+
+async function lookUp(payCode = 'CCH654321') {
+    const user = bot.newUser();
+    const [reply] = await bot.send(user, payCode);
+    return { user, reply };
+}
+
+describe('handlePayCode', () => {
+    it('verifies the PayCode with WordPress and asks for the amount', async () => {
+        const { user, reply } = await lookUp('pay cch123456 please');
+
+        assert.match(reply.text, /🏫 \*Payment detected ✅\*/);
+        assert.match(reply.text, /Service: School Fees/);
+        assert.match(reply.text, /Biller Code: SCH001/);
+
+        const [request] = bot.wordpress.received('/wp-json/cchub/v1/get-biller-code/CCH123456');
+        assert.equal(request.headers['x-cchub-token'], 'test-bot-token');
+
+        const session = bot.readStore('sessions')[user];
+        assert.equal(session.stage, 'amount_entry');
+        assert.equal(session.billerCode, 'SCH001');
+        assert.equal(session.currency, 'USD');
+    });
+
+    it('uses the biller\'s currency and falls back to the default', async () => {
+        wordpressAnswers(bot.reply.ok({
+            status: 'success',
+            service_type: 'city_council',
+            provider_name: 'Harare City',
+            biller_code: 'HCC01',
+            currency: 'ZiG'
+        }));
+        const zig = await lookUp();
+        assert.match(zig.reply.text, /\(ZiG\)/);
+        assert.equal(bot.readStore('sessions')[zig.user].currency, 'ZWG');
+
+        wordpressAnswers(bot.reply.ok({
+            status: 'success',
+            service_type: 'city_council',
+            provider_name: 'Harare City',
+            biller_code: 'HCC01'
+        }));
+        const legacy = await lookUp();
+        assert.equal(bot.readStore('sessions')[legacy.user].currency, 'USD');
+    });
+
+    it('asks for one PayCode when given several', async () => {
+        const { reply } = await lookUp('CCH123456 and CCH654321');
+
+        assert.match(reply.text, /more than one PayCode/);
+        assert.match(reply.text, /CCH123456, CCH654321/);
+        assert.equal(bot.wordpress.requests.length, 0);
+    });
+
+    it('explains an empty WordPress response', async () => {
+        wordpressAnswers(bot.reply.ok(''));
+        const { reply } = await lookUp();
+
+        assert.match(reply.text, /empty response/);
+    });
+
+    it('rejects a PayCode WordPress does not accept', async () => {
+        wordpressAnswers(bot.reply.ok({ status: 'expired', message: 'This PayCode has expired' }));
+        const { reply } = await lookUp();
+
+        assert.match(reply.text, /PayCode is not valid/);
+        assert.match(reply.text, /Status: expired/);
+        assert.match(reply.text, /This PayCode has expired/);
+    });
+
+    it('uses a default explanation when WordPress gives none', async () => {
+        wordpressAnswers(bot.reply.ok({ status: 'error' }));
+        const { reply } = await lookUp();
+
+        assert.match(reply.text, /expired or already used/);
+    });
+
+    it('locks the user out after too many invalid PayCodes', async () => {
+        const user = bot.newUser();
+
+        for (let i = 0; i < 5; i++) {
+            await bot.send(user, 'CCH000001');
+        }
+        const [invalid, locked] = await bot.send(user, 'CCH000001');
+        assert.match(invalid.text, /PayCode is not valid/);
+        assert.match(locked.text, /Too many invalid PayCodes/);
+
+        const lookups = bot.wordpress.requests.length;
+        const [reply] = await bot.send(user, 'CCH123456');
+        assert.match(reply.text, /Too many invalid PayCodes/);
+        assert.equal(bot.wordpress.requests.length, lookups);
+    });
+
+    it('reports missing PayCode fields', async () => {
+        wordpressAnswers(bot.reply.ok({ status: 'success', service_type: 'retail' }));
+        const { reply } = await lookUp();
+
+        assert.match(reply.text, /provider_name, biller_code/);
+    });
+
+    it('refuses currencies it cannot take', async () => {
+        wordpressAnswers(bot.reply.ok({
+            status: 'success',
+            service_type: 'retail',
+            provider_name: 'Test Shop',
+            biller_code: 'SHOP1',
+            currency: 'GBP'
+        }));
+        const { reply } = await lookUp();
+
+        assert.match(reply.text, /currency we don't support yet \(GBP\)/);
+    });
+});
+
+describe('handlePayCode upstream failures', () => {
+    // Each failure counts towards the WordPress circuit breaker, so every
+    // test ends with a successful lookup to close it again
+    async function expectVerifyError(pattern) {
+        const { reply } = await lookUp();
+        assert.match(reply.text, /Unable to verify PayCode/);
+        assert.match(reply.text, pattern);
+
+        bot.reset();
+        assert.match((await lookUp('CCH123456')).reply.text, /Payment detected/);
+    }
+
+    it('explains a 401', async () => {
+        wordpressAnswers(bot.reply.status(401, { message: 'Bad token' }));
+        await expectVerifyError(/Authentication failed/);
+    });
+
+    it('explains a 404', async () => {
+        wordpressAnswers(bot.reply.status(404));
+        await expectVerifyError(/endpoint not found/);
+    });
+
+    it('explains a 500', async () => {
+        wordpressAnswers(bot.reply.status(500));
+        await expectVerifyError(/Server error\. Please try again later/);
+    });
+
+    it('reports any other status', async () => {
+        wordpressAnswers(bot.reply.status(418));
+        await expectVerifyError(/returned status: 418/);
+    });
+
+    it('explains a timeout', async () => {
+        wordpressAnswers(bot.reply.timeout());
+        await expectVerifyError(/Connection timeout/);
+    });
+
+    it('explains a dropped connection', async () => {
+        wordpressAnswers(bot.reply.hangUp());
+        await expectVerifyError(/Please try again in a moment/);
+    });
+
+    it('explains a refused connection', async () => {
+        const wordpressUrl = process.env.WORDPRESS_API_URL;
+        process.env.WORDPRESS_API_URL = 'http://127.0.0.1:1';
+        try {
+            const { reply } = await lookUp();
+            assert.match(reply.text, /Cannot connect to the server/);
+        } finally {
+            process.env.WORDPRESS_API_URL = wordpressUrl;
+        }
+
+        assert.match((await lookUp('CCH123456')).reply.text, /Payment detected/);
+    });
+
+    it('stops calling WordPress while it keeps failing', async () => {
+        wordpressAnswers(bot.reply.status(500));
+        for (let i = 0; i < 5; i++) {
+            await lookUp();
+        }
+        const calls = bot.wordpress.requests.length;
+
+        const { reply } = await lookUp();
+        assert.match(reply.text, /temporarily unavailable/);
+        assert.equal(bot.wordpress.requests.length, calls);
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'info';
+const { logger } = require('../lib/logger');
+
+// Log lines written while fn runs, parsed
+function capture(fn) {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = chunk => {
+        lines.push(JSON.parse(chunk));
+        return true;
+    };
+    try {
+        fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return lines;
+}
+
+describe('logger redaction', () => {
+    it('masks phone and meter numbers but keeps transaction IDs searchable', () => {
+        const [entry] = capture(() => logger.info('Paid 0771234567', {
+            phone: '263771234567',
+            meterNumber: '37123456789',
+            transactionId: 'c56a4180-65aa-42ec-a945-149123456789',
+            text: 'meter 12345678901 for +263771234567 please',
+            error: new Error('Request for 263771234567 failed with Bearer abc.def')
+        }));
+
+        assert.equal(entry.msg, 'Paid 077****567');
+        assert.equal(entry.phone, '263******567');
+        assert.equal(entry.meterNumber, '371*****789');
+        assert.equal(entry.transactionId, 'c56a4180-65aa-42ec-a945-149123456789');
+        assert.equal(entry.text, 'meter 123*****901 for +263******567 please');
+        assert.equal(entry.error.message, 'Request for 263******567 failed with Bearer [REDACTED]');
+    });
+
+    it('redacts secrets by field name', () => {
+        const [entry] = capture(() => logger.warn('Gateway call', { headers: { Authorization: 'Bearer abc', 'X-Api-Key': 'k' } }));
+        assert.deepEqual(entry.headers, { Authorization: '[REDACTED]', 'X-Api-Key': '[REDACTED]' });
+    });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness');
+const { createMetricsRegistry } = require('../lib/metrics');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+// Value of one series in a scrape, 0 if it isn't there yet
+function sample(text, series) {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : 0;
+}
+
+describe('/metrics', () => {
+    it('needs the admin token', async () => {
+        const response = await fetch(`${bot.url}/metrics`);
+        assert.equal(response.status, 401);
+    });
+
+    it('follows a PayCode payment through the funnel', async () => {
+        const before = await bot.metrics();
+        const user = bot.newUser();
+
+        await bot.conversation(user, ['hi', 'CCH123456', '50', 'STU12345', 'Tendai Moyo']);
+        await bot.tapButton(user, 'yes');
+
+        const after = await bot.metrics();
+        const delta = series => sample(after, series) - sample(before, series);
+
+        assert.equal(delta('cchub_messages_received_total{type="text"}'), 5);
+        assert.equal(delta('cchub_messages_received_total{type="interactive"}'), 1);
+
+        assert.equal(delta('cchub_flow_transitions_total{flow="paycode_payment",from="start",to="amount_entry"}'), 1);
+        assert.equal(delta('cchub_flow_transitions_total{flow="paycode_payment",from="amount_entry",to="reference_studentNumber"}'), 1);
+        assert.equal(delta('cchub_flow_transitions_total{flow="paycode_payment",from="reference_studentName",to="confirm"}'), 1);
+        assert.equal(delta('cchub_flow_transitions_total{flow="paycode_payment",from="confirm",to="completed"}'), 1);
+
+        assert.equal(delta('cchub_payments_total{service_type="schools",state="pending"}'), 1);
+        assert.equal(delta('cchub_payments_total{service_type="schools",state="succeeded"}'), 1);
+
+        assert.equal(delta('cchub_upstream_request_duration_seconds_count{upstream="wordpress",status="200"}'), 1);
+        assert.equal(delta('cchub_upstream_request_duration_seconds_count{upstream="payment",status="200"}'), 1);
+        assert.ok(delta('cchub_upstream_request_duration_seconds_count{upstream="graph",status="200"}') >= 6);
+    });
+
+    it('counts cancelled flows, failed payments and upstream errors', async () => {
+        const before = await bot.metrics();
+
+        const quitter = bot.newUser();
+        await bot.conversation(quitter, ['2', 'cancel']);
+
+        bot.payments.on('POST', '/process-payment', bot.reply.ok({ success: false, message: 'Insufficient funds' }));
+        const declined = bot.newUser();
+        await bot.conversation(declined, ['CCH123456', '50', 'STU12345', 'Tendai Moyo']);
+        await bot.tapButton(declined, 'yes');
+
+        bot.wordpress.on('GET', '/wp-json/cchub/v1/get-biller-code/:payCode', bot.reply.status(500));
+        await bot.send(bot.newUser(), 'CCH654321');
+
+        const after = await bot.metrics();
+        const delta = series => sample(after, series) - sample(before, series);
+
+        assert.equal(delta('cchub_flow_transitions_total{flow="zesa_purchase",from="zesa_meter_entry",to="cancelled"}'), 1);
+        assert.equal(delta('cchub_payments_total{service_type="schools",state="failed"}'), 1);
+        assert.equal(delta('cchub_upstream_request_duration_seconds_count{upstream="wordpress",status="500"}'), 1);
+    });
+
+    it('reports the active session count', async () => {
+        const before = sample(await bot.metrics(), 'cchub_active_sessions');
+
+        await bot.send(bot.newUser(), 'CCH123456');
+        assert.equal(sample(await bot.metrics(), 'cchub_active_sessions'), before + 1);
+    });
+});
+
+describe('createMetricsRegistry', () => {
+    it('renders the Prometheus text format', () => {
+        const metrics = createMetricsRegistry();
+        const requests = metrics.counter({ name: 'requests_total', help: 'Requests.', labels: ['path'] });
+        const latency = metrics.histogram({ name: 'latency_seconds', help: 'Latency.', buckets: [0.1, 1] });
+        metrics.gauge({ name: 'queue_size', help: 'Queue size.', collect: () => 3 });
+
+        requests.inc({ path: '/a "quoted"\\path' });
+        requests.inc({ path: '/a "quoted"\\path' }, 2);
+        latency.observe({}, 0.05);
+        latency.observe({}, 0.5);
+        latency.observe({}, 5);
+
+        assert.equal(metrics.render(), [
+            '# HELP requests_total Requests.',
+            '# TYPE requests_total counter',
+            'requests_total{path="/a \\"quoted\\"\\\\path"} 3',
+            '# HELP latency_seconds Latency.',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{le="0.1"} 1',
+            'latency_seconds_bucket{le="1"} 2',
+            'latency_seconds_bucket{le="+Inf"} 3',
+            'latency_seconds_sum 5.55',
+            'latency_seconds_count 3',
+            '# HELP queue_size Queue size.',
+            '# TYPE queue_size gauge',
+            'queue_size 3',
+            ''
+        ].join('\n'));
+    });
+
+    it('refuses to register a metric twice', () => {
+        const metrics = createMetricsRegistry();
+        metrics.counter({ name: 'requests_total', help: 'Requests.' });
+        assert.throws(() => metrics.counter({ name: 'requests_total', help: 'Requests.' }), /already registered/);
+    });
+});
@@ -0,0 +1,216 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createHarness } = require('./support/harness');
+
+const bot = createHarness();
+
+before(() => {
+    // Failure notices for Shona speakers use a Shona translation of the template
+    process.env.WHATSAPP_TEMPLATES = JSON.stringify({
+        'payment.callbackFailed': {
+            name: 'payment_failed_v2',
+            languages: { sn: 'sn' },
+            parameters: ['description', 'reason']
+        }
+    });
+    return bot.start();
+});
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A school fees payment still waiting for its gateway callback
+function pendingPayment(phone, ageMs = 0) {
+    const now = new Date(Date.now() - ageMs).toISOString();
+    const transaction = {
+        id: crypto.randomUUID(),
+        transactionType: 'paycode_payment',
+        state: 'pending',
+        phone,
+        amount: 50,
+        currency: 'USD',
+        payCode: 'CCH123456',
+        billerCode: 'SCH001',
+        serviceType: 'schools',
+        providerName: 'Test School',
+        gatewayReference: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    bot.writeStore('transactions', transaction.id, transaction);
+    return transaction;
+}
+
+async function confirm(transaction, status = 'success', extra = {}) {
+    const response = await bot.paymentCallback({ transactionId: transaction.id, reference: 'GW-REF-9', status, ...extra });
+    assert.equal(response.status, 200);
+    return bot.delivered(transaction.phone);
+}
+
+function lastMessagedAgo(phone, ms) {
+    bot.writeStore('preferences', phone, {
+        ...bot.readStore('preferences')[phone],
+        lastInboundAt: new Date(Date.now() - ms).toISOString()
+    });
+}
+
+describe('customer service window', () => {
+    it('records when the user last messaged us', async () => {
+        const user = bot.newUser();
+        const before = Date.now() - 1000;
+
+        await bot.send(user, 'hi');
+
+        const { lastInboundAt } = bot.readStore('preferences')[user];
+        assert.ok(Date.parse(lastInboundAt) >= before);
+    });
+
+    it('sends a text notification while the window is open', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'hi');
+        bot.reset();
+
+        const [notice] = await confirm(pendingPayment(user));
+
+        assert.equal(notice.type, 'text');
+        assert.match(notice.text, /Payment Confirmed/);
+        assert.match(notice.text, /GW-REF-9/);
+    });
+
+    it('sends the template once the window has closed', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'hi');
+        lastMessagedAgo(user, DAY_MS + 60 * 1000);
+        bot.reset();
+
+        const [notice] = await confirm(pendingPayment(user));
+
+        assert.equal(notice.type, 'template');
+        assert.deepEqual(notice.message.template, {
+            name: 'payment_confirmed',
+            language: { code: 'en' },
+            components: [{
+                type: 'body',
+                parameters: [
+                    { type: 'text', text: 'School Fees - Test School' },
+                    { type: 'text', text: 'USD 50.00' },
+                    { type: 'text', text: 'GW-REF-9' }
+                ]
+            }]
+        });
+    });
+
+    it('sends the template to users who never messaged us', async () => {
+        const [notice] = await confirm(pendingPayment(bot.newUser()));
+
+        assert.equal(notice.type, 'template');
+        assert.equal(notice.message.template.name, 'payment_confirmed');
+    });
+
+    it('falls back to the template when WhatsApp says the window has closed', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'hi');
+        bot.reset();
+        bot.whatsapp.once('POST', '/:phoneNumberId/messages', bot.reply.status(400, {
+            error: { code: 131047, message: 'Re-engagement message' }
+        }));
+
+        const [notice] = await confirm(pendingPayment(user));
+
+        assert.equal(notice.type, 'template');
+        assert.equal(notice.message.template.name, 'payment_confirmed');
+    });
+
+    it('uses the configured template and language per notification type', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'language sn');
+        lastMessagedAgo(user, 2 * DAY_MS);
+        bot.reset();
+
+        const [notice] = await confirm(pendingPayment(user), 'failed', { message: 'Insufficient funds' });
+
+        assert.deepEqual(notice.message.template, {
+            name: 'payment_failed_v2',
+            language: { code: 'sn' },
+            components: [{
+                type: 'body',
+                parameters: [
+                    { type: 'text', text: 'Mari yeChikoro - Test School' },
+                    { type: 'text', text: 'Insufficient funds' }
+                ]
+            }]
+        });
+    });
+});
+
+describe('payment callbacks', () => {
+    it('confirms once when the callback arrives before the gateway answers', async () => {
+        const user = bot.newUser();
+        bot.payments.on('POST', '/process-payment', { ...bot.reply.ok({ success: true, reference: 'PAY-REF-1' }), delayMs: 150 });
+        await bot.conversation(user, ['CCH123456', '50', 'STU12345', 'Tendai Moyo']);
+
+        const paying = bot.tapButton(user, 'yes');
+        const [request] = await bot.waitFor(() => bot.payments.received('/process-payment')[0] && bot.payments.received('/process-payment'));
+        await bot.paymentCallback({ transactionId: request.body.transactionId, reference: 'GW-REF-9', status: 'success' });
+        await paying;
+
+        const outcomes = bot.delivered(user).filter(reply => /Payment (Successful|Confirmed)/.test(reply.text));
+        assert.equal(outcomes.length, 1);
+        assert.match(outcomes[0].text, /Payment Confirmed/);
+        assert.equal(bot.readStore('sessions')[user], undefined);
+    });
+
+    it('rejects a callback without our signature', async () => {
+        const transaction = pendingPayment(bot.newUser());
+        const body = JSON.stringify({ transactionId: transaction.id, status: 'success' });
+
+        const unsigned = await fetch(`${bot.url}/callbacks/payment`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body
+        });
+        const forged = await fetch(`${bot.url}/callbacks/payment`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-CCHub-Signature': 'sha256=' + 'ab'.repeat(32) },
+            body
+        });
+
+        assert.equal(unsigned.status, 401);
+        assert.equal(forged.status, 401);
+        assert.equal(bot.readStore('transactions')[transaction.id].state, 'pending');
+    });
+
+    it('answers 404 for a transaction we never made', async () => {
+        const response = await bot.paymentCallback({ transactionId: crypto.randomUUID(), status: 'success' });
+        assert.equal(response.status, 404);
+    });
+
+    it('ignores a repeated callback for a finished transaction', async () => {
+        const user = bot.newUser();
+        const transaction = pendingPayment(user);
+        await confirm(transaction);
+
+        const repeat = await bot.paymentCallback({ transactionId: transaction.id, status: 'failed', message: 'Too late' });
+
+        assert.deepEqual(repeat.body, { received: true, state: 'succeeded' });
+        assert.equal(bot.readStore('transactions')[transaction.id].state, 'succeeded');
+        assert.equal(bot.delivered(user).length, 1);
+    });
+
+    it('reports a payment that never got a callback', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'hi');
+        bot.reset();
+        const transaction = pendingPayment(user, 31 * 60 * 1000);
+
+        const notice = await bot.waitFor(() => bot.delivered(user)[0]);
+
+        assert.match(notice.text, /Payment Not Confirmed/);
+        assert.match(notice.text, new RegExp(transaction.id));
+        const stored = bot.readStore('transactions')[transaction.id];
+        assert.equal(stored.state, 'unknown');
+        assert.ok(stored.timedOutAt);
+    });
+});
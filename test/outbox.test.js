@@ -0,0 +1,128 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./support/harness');
+const { createOutbox } = require('../lib/outbox');
+const { createMemoryDriver } = require('../lib/storage');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+const MESSAGES_PATH = '/:phoneNumberId/messages';
+
+function graphError(status, code, message = 'Graph API error') {
+    return bot.reply.status(status, { error: { code, message } });
+}
+
+describe('outbound message queue', () => {
+    it('retries a message WhatsApp could not take and keeps later ones in order', async () => {
+        const user = bot.newUser();
+        bot.whatsapp.once('POST', MESSAGES_PATH, bot.reply.status(503));
+
+        // The help text fails first time; the menu must not overtake it
+        assert.deepEqual(await bot.send(user, 'help'), []);
+        await bot.send(user, 'hi');
+
+        const delivered = await bot.waitFor(() => {
+            const messages = bot.delivered(user);
+            return messages.length === 2 && messages;
+        });
+        assert.match(delivered[0].text, /CCHub Help Center/);
+        assert.match(delivered[1].text, /Welcome to CCHub/);
+    });
+
+    it('backs off on Graph API rate limits', async () => {
+        const user = bot.newUser();
+        bot.whatsapp.once('POST', MESSAGES_PATH, graphError(400, 131056, 'Pair rate limit hit'));
+
+        await bot.send(user, 'help');
+        const [reply] = await bot.waitFor(() => bot.delivered(user).length > 0 && bot.delivered(user));
+        assert.match(reply.text, /CCHub Help Center/);
+    });
+
+    it('falls back to text when an interactive message is rejected', async () => {
+        const user = bot.newUser();
+        bot.whatsapp.once('POST', MESSAGES_PATH, graphError(400, 131009, 'Parameter value is not valid'));
+
+        const [reply] = await bot.send(user, 'hi');
+        assert.equal(reply.type, 'text');
+        assert.match(reply.text, /Reply with 1, 2, 3 or 4/);
+    });
+
+    it('dead-letters messages that keep failing and replays them', async () => {
+        const user = bot.newUser();
+        bot.whatsapp.on('POST', MESSAGES_PATH, bot.reply.status(500));
+
+        await bot.send(user, 'help');
+        const deadLetter = await bot.waitFor(() =>
+            bot.readStore('outbox-dead-letters') &&
+            Object.values(bot.readStore('outbox-dead-letters')).find(job => job.to === user)
+        );
+        assert.equal(deadLetter.attempts, 3);
+        assert.equal(deadLetter.lastError.status, 500);
+
+        const { body: outbox } = await bot.admin('GET', '/outbox');
+        assert.ok(outbox.deadLetters.some(job => job.id === deadLetter.id));
+
+        bot.reset();
+        const replay = await bot.admin('POST', `/outbox/dead-letters/${deadLetter.id}/replay`);
+        assert.equal(replay.body.outcome, 'sent');
+
+        const [reply] = bot.delivered(user);
+        assert.match(reply.text, /CCHub Help Center/);
+        assert.equal(bot.readStore('outbox-dead-letters')[deadLetter.id], undefined);
+    });
+
+    it('dead-letters messages WhatsApp will never accept', async () => {
+        const user = bot.newUser();
+        bot.whatsapp.on('POST', MESSAGES_PATH, graphError(400, 131026, 'Message undeliverable'));
+
+        await bot.send(user, 'help');
+
+        // The buttons and their plain-text fallback were each tried once
+        const deadLetter = Object.values(bot.readStore('outbox-dead-letters')).find(job => job.to === user);
+        assert.equal(deadLetter.attempts, 2);
+        assert.equal(deadLetter.message.type, 'text');
+        assert.equal(deadLetter.lastError.code, 131026);
+
+        const discard = await bot.admin('DELETE', `/outbox/dead-letters/${deadLetter.id}`);
+        assert.equal(discard.status, 200);
+        assert.equal((await bot.admin('DELETE', `/outbox/dead-letters/${deadLetter.id}`)).status, 404);
+    });
+});
+
+describe('createOutbox', () => {
+    it('does not spin while a send is in flight', async () => {
+        const queue = createMemoryDriver();
+        let scans = 0;
+        const entries = queue.entries;
+        queue.entries = () => {
+            scans++;
+            return entries();
+        };
+
+        let finishSend;
+        const outbox = createOutbox({
+            queue,
+            deadLetters: createMemoryDriver(),
+            deliver: () => new Promise(resolve => { finishSend = resolve; })
+        });
+
+        const first = outbox.send('263770000000', { type: 'text' });
+        assert.equal(await outbox.send('263770000000', { type: 'text' }), 'queued');
+        await outbox.start();
+
+        scans = 0;
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.ok(scans < 5, `queue scanned ${scans} times while waiting`);
+
+        // The finished flush carries on with the message queued behind it
+        finishSend();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        finishSend();
+        assert.equal(await first, 'sent');
+        assert.deepEqual(outbox.pending(), []);
+    });
+});
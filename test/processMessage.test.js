@@ -0,0 +1,554 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, BUNDLES } = require('./support/harness');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+// A session as the flow engine would have stored it
+function seedSession(phone, session) {
+    const now = Date.now();
+    bot.writeStore('sessions', phone, { history: [], createdAt: now, timestamp: now, enteredAt: now, ...session });
+}
+
+const PAYCODE_SESSION = {
+    transactionType: 'paycode_payment',
+    payCode: 'CCH123456',
+    serviceType: 'schools',
+    providerName: 'Test School',
+    billerCode: 'SCH001',
+    currency: 'USD'
+};
+
+describe('greetings and menu', () => {
+    it('answers a greeting with the main menu', async () => {
+        const user = bot.newUser();
+        const [reply] = await bot.send(user, 'Hi');
+
+        assert.equal(reply.type, 'list');
+        assert.match(reply.text, /Welcome to CCHub/);
+        assert.deepEqual(reply.rows, ['1', '2', '3', '4', 'language']);
+    });
+
+    it('shows the main menu for anything it does not understand', async () => {
+        const user = bot.newUser();
+        const [reply] = await bot.send(user, 'what is this?');
+
+        assert.match(reply.text, /Welcome to CCHub/);
+    });
+
+    it('shows help for "help" and for menu option 4', async () => {
+        const user = bot.newUser();
+
+        const [help] = await bot.send(user, 'help');
+        assert.match(help.text, /CCHub Help Center/);
+
+        const [four] = await bot.send(user, '4');
+        assert.match(four.text, /CCHub Help Center/);
+    });
+
+    it('starts the PayCode flow from menu option 1', async () => {
+        const user = bot.newUser();
+        const [reply] = await bot.send(user, '1');
+
+        assert.match(reply.text, /Pay with PayCode/);
+        assert.equal(bot.readStore('sessions')[user].stage, 'paycode_entry');
+    });
+
+    it('asks for a PayCode again when the PayCode step gets something else', async () => {
+        const user = bot.newUser();
+        await bot.send(user, '1');
+        const [reply] = await bot.send(user, 'my school fees');
+
+        assert.match(reply.text, /No valid PayCode found/);
+    });
+});
+
+describe('language', () => {
+    it('picks the language from a Shona greeting', async () => {
+        const user = bot.newUser();
+        const [reply] = await bot.send(user, 'mhoro');
+
+        assert.match(reply.text, /Mauya kuCCHub/);
+        assert.equal(bot.readStore('preferences')[user].language, 'sn');
+    });
+
+    it('keeps a chosen language when the user greets in another one', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'language ndebele');
+        const [reply] = await bot.send(user, 'mhoro');
+
+        assert.match(reply.text, /Siyalemukela kuCCHub/);
+    });
+
+    it('offers the languages and switches on a tap', async () => {
+        const user = bot.newUser();
+
+        const [choice] = await bot.send(user, 'language');
+        assert.deepEqual(choice.rows, ['language en', 'language sn', 'language nd']);
+
+        const [saved] = await bot.tapListRow(user, 'language sn');
+        assert.match(saved.text, /nechiShona/);
+
+        const [help] = await bot.send(user, 'help');
+        assert.match(help.text, /Rubatsiro rweCCHub/);
+    });
+
+    it('rejects a language it does not have', async () => {
+        const user = bot.newUser();
+        const [reply] = await bot.send(user, 'language klingon');
+
+        assert.match(reply.text, /don't know that language/);
+    });
+
+    it('treats object property names as ordinary words', async () => {
+        const user = bot.newUser();
+
+        const [greeting] = await bot.send(user, 'constructor');
+        assert.ok(greeting);
+
+        const [language] = await bot.send(user, 'language constructor');
+        assert.match(language.text, /don't know that language/);
+        assert.equal(bot.readStore('preferences')[user]?.language, undefined);
+    });
+});
+
+describe('rate limiting', () => {
+    it('warns once when a user sends too many messages, then goes quiet', async () => {
+        const user = bot.newUser();
+        for (let i = 0; i < 30; i++) {
+            await bot.send(user, 'help');
+        }
+
+        const [warning] = await bot.send(user, 'help');
+        assert.match(warning.text, /Slow down please/);
+
+        assert.deepEqual(await bot.send(user, 'help'), []);
+    });
+});
+
+describe('saved meters and history commands', () => {
+    it('saves and lists meters', async () => {
+        const user = bot.newUser();
+
+        const [empty] = await bot.send(user, 'saved');
+        assert.match(empty.text, /no saved meters/);
+
+        const [saved] = await bot.send(user, 'save meter 12345678901 Home');
+        assert.match(saved.text, /Meter saved: Home/);
+
+        const [list] = await bot.send(user, 'saved');
+        assert.match(list.text, /Home/);
+        assert.match(list.text, /12345678901/);
+    });
+
+    it('answers history, receipt and tokens with nothing to show', async () => {
+        const user = bot.newUser();
+
+        assert.match((await bot.send(user, 'history'))[0].text, /don't have any transactions/);
+        assert.match((await bot.send(user, 'receipt 1'))[0].text, /No transaction found/);
+        assert.match((await bot.send(user, 'tokens'))[0].text, /don't have any ZESA tokens/);
+    });
+});
+
+describe('sessions', () => {
+    it('tells the user their session expired, once', async () => {
+        const user = bot.newUser();
+        seedSession(user, {
+            transactionType: 'zesa_purchase',
+            stage: 'zesa_amount_entry',
+            timestamp: Date.now() - 16 * 60 * 1000
+        });
+
+        const [expired] = await bot.send(user, '20');
+        assert.match(expired.text, /Session Expired/);
+        assert.match(expired.text, /ZESA purchase/);
+
+        const [menu] = await bot.send(user, '20');
+        assert.match(menu.text, /Welcome to CCHub/);
+    });
+
+    it('starts over when the session is in a state that no longer exists', async () => {
+        const user = bot.newUser();
+        seedSession(user, { transactionType: 'zesa_purchase', stage: 'retired_state' });
+
+        const [reply] = await bot.send(user, '20');
+        assert.match(reply.text, /Welcome to CCHub/);
+        assert.equal(bot.readStore('sessions')[user], undefined);
+    });
+
+    it('holds off while a payment is being processed', async () => {
+        const user = bot.newUser();
+        seedSession(user, { ...PAYCODE_SESSION, stage: 'processing', amount: 50 });
+
+        const [reply] = await bot.send(user, 'yes');
+        assert.match(reply.text, /already being processed/);
+        assert.equal(bot.payments.received('/process-payment').length, 0);
+    });
+
+    it('lets a PayCode interrupt another flow', async () => {
+        const user = bot.newUser();
+        await bot.send(user, '2');
+
+        const [reply] = await bot.send(user, 'CCH123456');
+        assert.match(reply.text, /Payment detected/);
+        assert.equal(bot.readStore('sessions')[user].transactionType, 'paycode_payment');
+    });
+});
+
+describe('PayCode payment flow', () => {
+    it('pays after the user confirms', async () => {
+        const user = bot.newUser();
+        bot.payments.on('POST', '/quote', bot.reply.ok({ fee: 1.5 }));
+
+        const [amountPrompt] = await bot.send(user, 'CCH123456');
+        assert.match(amountPrompt.text, /Payment detected/);
+        assert.match(amountPrompt.text, /Test School/);
+
+        const [studentNumber] = await bot.send(user, '50');
+        assert.match(studentNumber.text, /student number\* for Test School/);
+
+        const [studentName] = await bot.send(user, 'stu 12345');
+        assert.match(studentName.text, /student's full name/);
+
+        const [confirm] = await bot.send(user, '  Tendai   Moyo ');
+        assert.equal(confirm.type, 'button');
+        assert.deepEqual(confirm.buttons, ['yes', 'no', 'edit']);
+        assert.match(confirm.text, /Amount: USD 50\.00/);
+        assert.match(confirm.text, /Student Number: STU12345/);
+        assert.match(confirm.text, /Student Name: Tendai Moyo/);
+        assert.match(confirm.text, /Fee: USD 1\.50/);
+        assert.match(confirm.text, /Total: USD 51\.50/);
+
+        const [receipt] = await bot.tapButton(user, 'yes');
+        assert.match(receipt.text, /Payment Successful/);
+        assert.match(receipt.text, /PAY-REF-1/);
+        assert.match(receipt.text, /Student Number: STU12345/);
+
+        const [request] = bot.payments.received('/process-payment');
+        assert.equal(request.headers.authorization, 'Bearer test-payment-key');
+        assert.equal(request.body.payCode, 'CCH123456');
+        assert.equal(request.body.amount, 50);
+        assert.equal(request.body.currency, 'USD');
+        assert.deepEqual(request.body.references, { studentNumber: 'STU12345', studentName: 'Tendai Moyo' });
+        assert.equal(request.headers['idempotency-key'], request.body.transactionId);
+
+        assert.equal(bot.readStore('sessions')[user], undefined);
+
+        const [history] = await bot.send(user, 'history');
+        assert.match(history.text, /School Fees - Test School/);
+
+        const [saved] = await bot.send(user, 'receipt 1');
+        assert.match(saved.text, /Student Name: Tendai Moyo/);
+    });
+
+    it('re-asks for an amount outside the limits', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'CCH123456');
+
+        const [reply] = await bot.send(user, '0.50');
+        assert.match(reply.text, /Invalid amount/);
+        assert.match(reply.text, /USD 1\.00 and USD 10,000\.00/);
+    });
+
+    it('reads formatted amounts and explains the ones it cannot', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'CCH123456');
+
+        const [ambiguous] = await bot.send(user, '15,50');
+        assert.match(ambiguous.text, /cents or thousands/);
+
+        const [otherCurrency] = await bot.send(user, 'ZiG 500');
+        assert.match(otherCurrency.text, /in USD, not ZiG/);
+
+        const [confirm] = await bot.conversation(user, ['$1,500.50', 'STU12345', 'Tendai Moyo']);
+        assert.match(confirm.text, /Amount: USD 1,500\.50/);
+    });
+
+    it('goes back, edits and cancels', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'CCH123456');
+
+        const [firstStep] = await bot.send(user, 'back');
+        assert.match(firstStep.text, /first step/);
+
+        await bot.send(user, '50');
+        const [back] = await bot.send(user, 'back');
+        assert.match(back.text, /Payment detected/);
+
+        await bot.conversation(user, ['60', 'STU12345', 'Tendai Moyo']);
+        const [edit] = await bot.tapButton(user, 'edit');
+        assert.match(edit.text, /Payment detected/);
+
+        // The student details are kept, so the summary comes straight back
+        const [confirm] = await bot.send(user, '70');
+        assert.match(confirm.text, /USD 70\.00/);
+        assert.match(confirm.text, /Student Number: STU12345/);
+
+        const [cancelled] = await bot.tapButton(user, 'no');
+        assert.match(cancelled.text, /Cancelled/);
+        assert.equal(bot.payments.received('/process-payment').length, 0);
+    });
+
+    it('asks for the amount again when the confirmation has gone stale', async () => {
+        const user = bot.newUser();
+        seedSession(user, {
+            ...PAYCODE_SESSION,
+            stage: 'confirm',
+            history: ['amount_entry'],
+            amount: 50,
+            enteredAt: Date.now() - 6 * 60 * 1000
+        });
+
+        const [reply] = await bot.send(user, 'yes');
+        assert.match(reply.text, /Confirmation timed out/);
+        assert.match(reply.text, /Payment detected/);
+        assert.equal(bot.payments.received('/process-payment').length, 0);
+    });
+
+    it('passes on the reason when the gateway declines', async () => {
+        const user = bot.newUser();
+        bot.payments.on('POST', '/process-payment', bot.reply.ok({ success: false, message: 'Insufficient funds' }));
+
+        const [reply] = await bot.conversation(user, ['CCH123456', '50', 'STU12345', 'Tendai Moyo', 'yes']);
+        assert.match(reply.text, /Payment Failed/);
+        assert.match(reply.text, /Insufficient funds/);
+    });
+
+    it('asks for the status when the gateway drops the connection', async () => {
+        const user = bot.newUser();
+        bot.payments.on('POST', '/process-payment', bot.reply.hangUp());
+        bot.payments.on('GET', '/status/:id', bot.reply.status(404));
+
+        const [reply] = await bot.conversation(user, ['CCH123456', '50', 'STU12345', 'Tendai Moyo', 'yes']);
+        assert.match(reply.text, /Payment Status Unknown/);
+    });
+
+    it('checks the status after a gateway timeout', async () => {
+        const user = bot.newUser();
+        bot.payments.on('POST', '/process-payment', bot.reply.timeout());
+        bot.payments.on('GET', '/status/:id', bot.reply.ok({ status: 'pending' }));
+
+        const [reply] = await bot.conversation(user, ['CCH123456', '50', 'STU12345', 'Tendai Moyo', 'yes']);
+        assert.match(reply.text, /Payment Pending/);
+        assert.equal(bot.payments.requests.filter(request => request.path.startsWith('/status/')).length, 1);
+    });
+
+    it('sends the same transaction again when the user retries after a timeout', async () => {
+        const user = bot.newUser();
+        bot.payments.on('POST', '/process-payment', bot.reply.timeout());
+        bot.payments.on('GET', '/status/:id', bot.reply.status(404));
+
+        const details = ['CCH123456', '50', 'STU12345', 'Tendai Moyo', 'yes'];
+        const [unconfirmed] = await bot.conversation(user, details);
+        assert.doesNotMatch(unconfirmed.text, /Payment Successful/);
+
+        bot.payments.on('POST', '/process-payment', bot.reply.ok({ success: true, reference: 'PAY-REF-1' }));
+        const [receipt] = await bot.conversation(user, details);
+        assert.match(receipt.text, /Payment Successful/);
+
+        const [first, retry] = bot.payments.received('/process-payment');
+        assert.equal(retry.body.transactionId, first.body.transactionId);
+        assert.equal(retry.headers['idempotency-key'], first.headers['idempotency-key']);
+
+        const transactions = Object.values(bot.readStore('transactions')).filter(transaction => transaction.phone === user);
+        assert.equal(transactions.length, 1);
+        assert.equal(transactions[0].state, 'succeeded');
+
+        // A new payment for a different amount is its own transaction
+        await bot.conversation(user, ['CCH123456', '60', 'STU12345', 'Tendai Moyo', 'yes']);
+        const [, , other] = bot.payments.received('/process-payment');
+        assert.notEqual(other.body.transactionId, first.body.transactionId);
+    });
+});
+
+describe('PayCode account references', () => {
+    function billerAnswers(serviceType) {
+        bot.wordpress.on('GET', '/wp-json/cchub/v1/get-biller-code/:payCode', bot.reply.ok({
+            status: 'success',
+            service_type: serviceType,
+            provider_name: 'Test Biller',
+            biller_code: 'BILL01',
+            currency: 'USD'
+        }));
+    }
+
+    it('re-asks for a reference that does not look valid', async () => {
+        const user = bot.newUser();
+        await bot.conversation(user, ['CCH123456', '50']);
+
+        const [invalid] = await bot.send(user, '#1');
+        assert.match(invalid.text, /doesn't look like a student number/);
+
+        const [name] = await bot.send(user, 'STU12345');
+        assert.match(name.text, /student's full name/);
+        assert.match((await bot.send(user, '12345'))[0].text, /student's name as the school has it/);
+    });
+
+    it('asks city council payers for their account or stand number', async () => {
+        const user = bot.newUser();
+        billerAnswers('city_council');
+
+        const [prompt] = await bot.conversation(user, ['CCH654321', '50']);
+        assert.match(prompt.text, /account number\* or \*stand number/);
+
+        const [confirm] = await bot.send(user, 'stand 4411/b');
+        assert.match(confirm.text, /Account\/Stand No\.: STAND4411\/B/);
+    });
+
+    it('asks insurance payers for their policy number', async () => {
+        const user = bot.newUser();
+        billerAnswers('insurance');
+
+        const [prompt] = await bot.conversation(user, ['CCH654321', '50']);
+        assert.match(prompt.text, /policy number\* for Test Biller/);
+
+        await bot.conversation(user, ['POL-778899', 'yes']);
+        const [request] = bot.payments.received('/process-payment');
+        assert.deepEqual(request.body.references, { policyNumber: 'POL-778899' });
+    });
+
+    it('goes straight to the summary for billers without references', async () => {
+        const user = bot.newUser();
+        billerAnswers('retail');
+
+        const [confirm] = await bot.conversation(user, ['CCH654321', '50']);
+        assert.match(confirm.text, /Please Confirm/);
+    });
+});
+
+describe('ZESA flow', () => {
+    it('buys tokens for a verified meter', async () => {
+        const user = bot.newUser();
+
+        const [meterPrompt] = await bot.send(user, '2');
+        assert.match(meterPrompt.text, /ZESA Purchase/);
+
+        const [details] = await bot.send(user, '12345678901');
+        assert.deepEqual(details.buttons, ['yes', 'no']);
+        assert.match(details.text, /Test Customer/);
+
+        const [currency] = await bot.tapButton(user, 'yes');
+        assert.match(currency.text, /Meter confirmed: 12345678901/);
+        assert.deepEqual(currency.buttons, ['USD', 'ZWG']);
+
+        const [amount] = await bot.tapButton(user, 'USD');
+        assert.match(amount.text, /enter the amount to purchase \(USD\)/);
+
+        const [confirm] = await bot.send(user, '20');
+        assert.match(confirm.text, /Meter: 12345678901/);
+
+        const [processing, success] = await bot.tapButton(user, 'yes');
+        assert.match(processing.text, /Processing ZESA Purchase/);
+        assert.match(success.text, /ZESA Purchase Successful/);
+        assert.match(success.text, /1111 2222 3333 4444 5555/);
+        assert.match(success.text, /save meter 12345678901 Home/);
+
+        const [request] = bot.zesa.received('/purchase');
+        assert.equal(request.body.meter, '12345678901');
+        assert.equal(request.body.amount, 20);
+
+        const [tokens] = await bot.send(user, 'tokens');
+        assert.match(tokens.text, /1111 2222 3333 4444 5555/);
+    });
+
+    it('offers saved meters', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'save meter 12345678901 Home');
+
+        const [reply] = await bot.send(user, '2');
+        assert.equal(reply.type, 'list');
+        assert.deepEqual(reply.rows, ['12345678901', 'new']);
+
+        const [details] = await bot.tapListRow(user, '12345678901');
+        assert.match(details.text, /Meter Details/);
+    });
+
+    it('rejects bad, unknown and blocked meters', async () => {
+        const user = bot.newUser();
+        await bot.send(user, '2');
+
+        assert.match((await bot.send(user, '123'))[0].text, /Invalid meter number/);
+        assert.match((await bot.send(user, '00001234567'))[0].text, /Meter not found/);
+
+        const [blocked] = await bot.send(user, '99991234567');
+        assert.match(blocked.text, /Meter blocked/);
+        assert.match(blocked.text, /Meter tampering/);
+    });
+
+    it('does not go on when ZESA cannot check the meter', async () => {
+        const user = bot.newUser();
+        bot.zesa.on('GET', '/validate', bot.reply.status(500));
+
+        await bot.send(user, '2');
+        const [reply] = await bot.send(user, '12345678901');
+        assert.match(reply.text, /Meter check unavailable/);
+        assert.equal(bot.readStore('sessions')[user].stage, 'zesa_meter_entry');
+    });
+
+    it('asks for another meter when the details are wrong', async () => {
+        const user = bot.newUser();
+        await bot.conversation(user, ['2', '12345678901']);
+
+        const [reply] = await bot.tapButton(user, 'no');
+        assert.match(reply.text, /enter your meter number/);
+    });
+});
+
+describe('airtime flow', () => {
+    it('tops up the user\'s own number', async () => {
+        const user = bot.newUser();
+
+        const [recipient] = await bot.send(user, '3');
+        assert.deepEqual(recipient.buttons, ['me']);
+
+        // No bundles on this network, so straight to the currency
+        const [currency] = await bot.tapButton(user, 'me');
+        assert.match(currency.text, /Econet/);
+        assert.deepEqual(currency.buttons, ['USD', 'ZWG']);
+
+        await bot.tapButton(user, 'USD');
+        const [confirm] = await bot.send(user, '5');
+        assert.match(confirm.text, new RegExp(`Recipient: .*Econet`));
+
+        const [processing, success] = await bot.tapButton(user, 'yes');
+        assert.match(processing.text, /Processing Airtime Purchase/);
+        assert.match(success.text, /Airtime Purchase Successful/);
+        assert.match(success.text, /AIR-REF-1/);
+
+        const [request] = bot.airtime.received('/purchase');
+        assert.equal(request.body.network, 'econet');
+        assert.equal(request.body.amount, 5);
+    });
+
+    it('sells a data bundle when the network has them', async () => {
+        const user = bot.newUser();
+        bot.airtime.on('GET', '/bundles', bot.reply.ok({ bundles: BUNDLES }));
+
+        await bot.send(user, '3');
+        const [product] = await bot.send(user, '0771234567');
+        assert.deepEqual(product.buttons, ['airtime', 'bundle']);
+
+        const [bundles] = await bot.tapButton(user, 'bundle');
+        assert.deepEqual(bundles.rows, ['B1', 'B2']);
+
+        const [confirm] = await bot.tapListRow(user, 'B2');
+        assert.match(confirm.text, /Weekly 1GB/);
+        assert.match(confirm.text, /USD 5\.00/);
+
+        const [, success] = await bot.tapButton(user, 'yes');
+        assert.match(success.text, /Your bundle should arrive shortly/);
+        assert.equal(bot.airtime.received('/purchase')[0].body.bundleId, 'B2');
+    });
+
+    it('rejects numbers it cannot top up', async () => {
+        const user = bot.newUser();
+        await bot.send(user, '3');
+
+        const [reply] = await bot.send(user, '12345');
+        assert.match(reply.text, /Invalid phone number/);
+    });
+});
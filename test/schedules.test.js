@@ -0,0 +1,209 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createHarness } = require('./support/harness');
+const { createScheduler } = require('../lib/scheduler');
+const { createMemoryDriver } = require('../lib/storage');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+const SCHOOL_FEES = {
+    transactionType: 'paycode_payment',
+    amount: 50,
+    currency: 'USD',
+    payCode: 'CCH123456',
+    billerCode: 'SCH001',
+    serviceType: 'schools',
+    providerName: 'Test School',
+    references: { studentNumber: 'STU12345', studentName: 'Tendai Moyo' }
+};
+
+async function payFees(user) {
+    await bot.conversation(user, ['CCH123456', '50', 'STU12345', 'Tendai Moyo']);
+    const [receipt] = await bot.tapButton(user, 'yes');
+    assert.match(receipt.text, /Payment Successful/);
+}
+
+// A schedule that fell due a minute ago
+function seedDueSchedule(phone, kind) {
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    bot.writeStore('schedules', id, {
+        id,
+        phone,
+        kind,
+        interval: 'monthly',
+        payment: { ...SCHOOL_FEES, phone, transactionId: crypto.randomUUID() },
+        state: 'active',
+        anchorAt: new Date(now - 60 * 1000).toISOString(),
+        occurrence: 0,
+        nextRunAt: new Date(now - 60 * 1000).toISOString(),
+        lastRunAt: null,
+        createdAt: new Date(now).toISOString()
+    });
+    return id;
+}
+
+function waitForNotice(user, pattern) {
+    return bot.waitFor(() => bot.delivered(user).find(reply =>
+        reply.type === 'template' || pattern.test(reply.text)
+    ));
+}
+
+describe('schedules', () => {
+    it('sets a reminder for the last payment and manages it', async () => {
+        const user = bot.newUser();
+        await payFees(user);
+
+        const [created] = await bot.send(user, 'remind me monthly');
+        assert.match(created.text, /Reminder set/);
+        assert.match(created.text, /School Fees - Test School · USD 50\.00/);
+        assert.match(created.text, /Every month/);
+
+        const [list] = await bot.send(user, 'schedules');
+        assert.match(list.text, /1\. ⏰ School Fees - Test School/);
+        assert.match(list.text, /Reminder, every month · next/);
+
+        const [paused] = await bot.send(user, 'pause schedule 1');
+        assert.match(paused.text, /Paused/);
+        const [pausedList] = await bot.send(user, 'reminders');
+        assert.match(pausedList.text, /⏸️ .* paused/s);
+
+        const [resumed] = await bot.send(user, 'resume schedule 1');
+        assert.match(resumed.text, /Resumed/);
+
+        const [cancelled] = await bot.send(user, 'cancel schedule 1');
+        assert.match(cancelled.text, /Cancelled/);
+        const [empty] = await bot.send(user, 'schedules');
+        assert.match(empty.text, /don't have any reminders/);
+    });
+
+    it('repeats a payment from the history list', async () => {
+        const user = bot.newUser();
+        await payFees(user);
+
+        const [repeat] = await bot.send(user, 'repeat every week 1');
+        assert.match(repeat.text, /Repeat payment set/);
+        assert.match(repeat.text, /Every week/);
+
+        const [stored] = Object.values(bot.readStore('schedules')).filter(schedule => schedule.phone === user);
+        assert.equal(stored.kind, 'payment');
+        assert.equal(stored.payment.payCode, 'CCH123456');
+        assert.deepEqual(stored.payment.references, SCHOOL_FEES.references);
+    });
+
+    it('needs a completed payment to schedule', async () => {
+        const [reply] = await bot.send(bot.newUser(), 'remind me monthly');
+        assert.match(reply.text, /couldn't find a completed payment/);
+    });
+
+    it('sends a due reminder with a Pay now button that starts the payment', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'hi');
+        const id = seedDueSchedule(user, 'reminder');
+
+        const notice = await waitForNotice(user, /Payment Reminder/);
+        assert.equal(notice.type, 'button');
+        assert.deepEqual(notice.buttons, [`schedule:${id}:pay`, `schedule:${id}:pause`]);
+        assert.match(notice.text, /Last time you paid USD 50\.00/);
+
+        // Moved on to next month, so it only fires once
+        const schedule = bot.readStore('schedules')[id];
+        assert.ok(Date.parse(schedule.nextRunAt) > Date.now());
+        assert.ok(schedule.lastRunAt);
+
+        const [start] = await bot.tapButton(user, `schedule:${id}:pay`);
+        assert.match(start.text, /Payment detected/);
+        assert.equal(bot.readStore('sessions')[user].stage, 'amount_entry');
+    });
+
+    it('takes a repeat payment straight to the summary', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'hi');
+        const id = seedDueSchedule(user, 'payment');
+
+        await waitForNotice(user, /Repeat Payment Due/);
+
+        const [confirm] = await bot.tapButton(user, `schedule:${id}:pay`);
+        assert.deepEqual(confirm.buttons, ['yes', 'no', 'edit']);
+        assert.match(confirm.text, /Amount: USD 50\.00/);
+        assert.match(confirm.text, /Student Number: STU12345/);
+        assert.equal(bot.payments.received('/process-payment').length, 0);
+    });
+
+    it('pauses from the reminder and ignores other users\' buttons', async () => {
+        const user = bot.newUser();
+        await bot.send(user, 'hi');
+        const id = seedDueSchedule(user, 'reminder');
+        await waitForNotice(user, /Payment Reminder/);
+
+        const [other] = await bot.tapButton(bot.newUser(), `schedule:${id}:pay`);
+        assert.match(other.text, /has been cancelled/);
+
+        const [paused] = await bot.tapButton(user, `schedule:${id}:pause`);
+        assert.match(paused.text, /Paused/);
+        assert.equal(bot.readStore('schedules')[id].state, 'paused');
+    });
+
+    it('sends the reminder as a template outside the service window', async () => {
+        const user = bot.newUser();
+        const id = seedDueSchedule(user, 'reminder');
+
+        const notice = await waitForNotice(user, /Payment Reminder/);
+        assert.equal(notice.type, 'template');
+        assert.equal(notice.message.template.name, 'payment_reminder');
+        assert.deepEqual(notice.message.template.components[1], {
+            type: 'button',
+            sub_type: 'quick_reply',
+            index: '0',
+            parameters: [{ type: 'payload', payload: `schedule:${id}:pay` }]
+        });
+    });
+});
+
+describe('createScheduler', () => {
+    it('keeps the day of the month and skips dates missed while down', async () => {
+        const driver = createMemoryDriver();
+        const due = [];
+        const scheduler = createScheduler({ driver, onDue: schedule => due.push(schedule) });
+
+        // Set up on 31 January; the bot was down from February to May
+        driver.set('s1', {
+            id: 's1',
+            phone: '263770000000',
+            kind: 'reminder',
+            interval: 'monthly',
+            payment: {},
+            state: 'active',
+            anchorAt: new Date(2026, 0, 31, 9).toISOString(),
+            occurrence: 1,
+            nextRunAt: new Date(2026, 1, 28, 9).toISOString(),
+            lastRunAt: null,
+            createdAt: new Date(2026, 0, 31, 9).toISOString()
+        });
+
+        const now = new Date(2026, 4, 2).getTime();
+        await scheduler.runDue(now);
+        await scheduler.runDue(now);
+
+        assert.equal(due.length, 1);
+        assert.equal(due[0].occurrence, 4);
+        assert.equal(due[0].nextRunAt, new Date(2026, 4, 31, 9).toISOString());
+    });
+
+    it('leaves paused schedules alone', async () => {
+        const due = [];
+        const scheduler = createScheduler({ driver: createMemoryDriver(), onDue: schedule => due.push(schedule) });
+
+        const schedule = scheduler.create({ phone: '263770000000', kind: 'payment', interval: 'weekly', payment: {} });
+        scheduler.pause(schedule.id);
+        await scheduler.runDue(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+        assert.equal(due.length, 0);
+        assert.equal(scheduler.list('263770000000')[0].state, 'paused');
+    });
+});
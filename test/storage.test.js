@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cchub-storage-test-'));
+});
+afterEach(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function open(name = 'things') {
+    return createStorage(name, { driver: 'file', dataDir });
+}
+
+function logLines(name = 'things') {
+    return fs.readFileSync(path.join(dataDir, `${name}.jsonl`), 'utf8').trim().split('\n');
+}
+
+describe('file storage', () => {
+    it('appends each write and reads it back after a restart', () => {
+        const store = open();
+        store.set('a', { n: 1 });
+        store.set('b', { n: 2 });
+        store.set('a', { n: 3 });
+        store.delete('b');
+
+        assert.equal(logLines().length, 4);
+
+        const reopened = open();
+        assert.deepEqual(reopened.get('a'), { n: 3 });
+        assert.equal(reopened.get('b'), undefined);
+        assert.deepEqual(reopened.find(value => value.n > 1), [{ n: 3 }]);
+    });
+
+    it('compacts the log once it is mostly superseded lines', () => {
+        const store = open();
+        for (let i = 0; i < 1100; i++) {
+            store.set('counter', { i });
+        }
+
+        assert.ok(logLines().length < 200);
+        assert.deepEqual(open().get('counter'), { i: 1099 });
+    });
+
+    it('ignores a last line cut short by a crash', () => {
+        open().set('a', { n: 1 });
+        fs.appendFileSync(path.join(dataDir, 'things.jsonl'), '{"k":"b","v":{"n"');
+
+        assert.deepEqual(open().entries(), [['a', { n: 1 }]]);
+    });
+
+    it('keeps writes made after a crash cut the last line short', () => {
+        fs.writeFileSync(path.join(dataDir, 'things.jsonl'), '{"k":"a","v":{"n":1}}\n{"k":"b","v":{"n"');
+
+        open().set('c', { n: 3 });
+
+        assert.deepEqual(open().entries(), [['a', { n: 1 }], ['c', { n: 3 }]]);
+    });
+
+    it('picks up lines appended by another writer', () => {
+        const store = open();
+        store.set('a', { n: 1 });
+        fs.appendFileSync(path.join(dataDir, 'things.jsonl'), JSON.stringify({ k: 'b', v: { n: 2 } }) + '\n');
+
+        assert.deepEqual(store.get('b'), { n: 2 });
+    });
+
+    it('shares a log with another process that compacts it', () => {
+        const first = open();
+        const second = open();
+        second.set('other', { n: 0 });
+        assert.deepEqual(first.get('other'), { n: 0 });
+
+        for (let i = 0; i < 1100; i++) {
+            second.set('counter', { i });
+        }
+        first.set('mine', { n: 1 });
+
+        assert.deepEqual(first.get('counter'), { i: 1099 });
+        assert.deepEqual(second.get('mine'), { n: 1 });
+        assert.deepEqual(open().entries().sort(), [['counter', { i: 1099 }], ['mine', { n: 1 }], ['other', { n: 0 }]]);
+    });
+
+    it('updates against the latest value another process wrote', () => {
+        const first = open();
+        const second = open();
+        first.set('stock', { n: 5 });
+        first.get('stock');
+        second.update('stock', stock => ({ n: stock.n - 1 }));
+
+        assert.deepEqual(first.update('stock', stock => ({ n: stock.n - 1 })), { n: 3 });
+        assert.equal(first.update('stock', () => undefined), undefined);
+        assert.deepEqual(second.get('stock'), { n: 3 });
+    });
+
+    it('converts a store written by older versions', () => {
+        fs.writeFileSync(path.join(dataDir, 'things.json'), JSON.stringify({ a: { n: 1 }, constructor: { n: 2 } }));
+
+        const store = open();
+        assert.deepEqual(store.get('a'), { n: 1 });
+        assert.deepEqual(store.get('constructor'), { n: 2 });
+        assert.ok(fs.existsSync(path.join(dataDir, 'things.json.migrated')));
+        assert.ok(!fs.existsSync(path.join(dataDir, 'things.json')));
+    });
+});
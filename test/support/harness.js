@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockUpstream, reply } = require('./mockUpstream');
+
+// Runs the bot against stand-in WhatsApp, WordPress, payment, ZESA and
+// airtime servers. Messages are delivered through a signed POST /webhook
+// and the reply is whatever the WhatsApp mock accepted meanwhile.
+//
+// index.js reads its configuration when it is loaded, so there is one
+// harness per test file (node --test runs each file in its own process).
+
+const APP_SECRET = 'test-app-secret';
+const ADMIN_TOKEN = 'test-admin-token';
+const CALLBACK_SECRET = 'test-callback-secret';
+const PHONE_NUMBER_ID = 'test-phone-number-id';
+
+// PayCodes the WordPress mock knows about by default
+const PAYCODES = {
+    CCH123456: {
+        status: 'success',
+        service_type: 'schools',
+        provider_name: 'Test School',
+        biller_code: 'SCH001',
+        currency: 'USD'
+    }
+};
+
+const BUNDLES = [
+    { id: 'B1', name: 'Daily 100MB', price: 1, currency: 'USD' },
+    { id: 'B2', name: 'Weekly 1GB', price: 5, currency: 'USD' }
+];
+
+// Default answers: every upstream up and every request succeeding
+function scriptDefaults(upstreams) {
+    const { whatsapp, wordpress, payments, zesa, airtime } = upstreams;
+
+    whatsapp.on('POST', '/:phoneNumberId/messages', reply.ok({
+        messaging_product: 'whatsapp',
+        messages: [{ id: 'wamid.outbound' }]
+    }));
+
+    wordpress.on('GET', '/wp-json/cchub/v1/get-biller-code/:payCode', ({ params }) =>
+        reply.ok(PAYCODES[params.payCode] || { status: 'error', message: 'PayCode not found' })
+    );
+
+    payments.on('POST', '/process-payment', reply.ok({ success: true, reference: 'PAY-REF-1' }));
+
+    // Meters starting 0000 don't exist and meters starting 9999 are blocked
+    zesa.on('GET', '/validate', ({ query }) => {
+        if (query.meter.startsWith('0000')) return reply.ok({ valid: false });
+        if (query.meter.startsWith('9999')) {
+            return reply.ok({ valid: false, blocked: true, message: 'Meter tampering' });
+        }
+        return reply.ok({ valid: true, customerName: 'Test Customer', address: '1 Test Street, Harare' });
+    });
+    zesa.on('POST', '/purchase', reply.ok({ success: true, reference: 'ZESA-REF-1', tokens: '1111 2222 3333 4444 5555' }));
+
+    airtime.on('GET', '/bundles', reply.ok({ bundles: [] }));
+    airtime.on('POST', '/purchase', reply.ok({ success: true, reference: 'AIR-REF-1' }));
+}
+
+// What the bot sent, flattened for assertions: text is the message body,
+// buttons/rows are the IDs the user could tap
+function toReply(request) {
+    const message = request.body;
+
+    if (message.type === 'interactive') {
+        const { interactive } = message;
+        return {
+            to: message.to,
+            type: interactive.type,
+            text: interactive.body.text,
+            buttons: interactive.type === 'button'
+                ? interactive.action.buttons.map(button => button.reply.id)
+                : undefined,
+            rows: interactive.type === 'list'
+                ? interactive.action.sections.flatMap(section => section.rows.map(row => row.id))
+                : undefined,
+            message
+        };
+    }
+
+    return { to: message.to, type: message.type, text: message.text?.body, message };
+}
+
+// Messages the WhatsApp mock accepted (not media downloads)
+function wasDelivered(request) {
+    return request.method === 'POST' && request.status === 200;
+}
+
+function sign(body, secret = APP_SECRET) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function createHarness() {
+    const upstreams = {
+        whatsapp: createMockUpstream('whatsapp'),
+        wordpress: createMockUpstream('wordpress'),
+        payments: createMockUpstream('payments'),
+        zesa: createMockUpstream('zesa'),
+        airtime: createMockUpstream('airtime')
+    };
+
+    let server = null;
+    let baseUrl = null;
+    let dataDir = null;
+    let messageCount = 0;
+    let mediaCount = 0;
+    let userCount = 0;
+
+    // POST one WhatsApp message to the webhook, signed unless signature is
+    // given (null leaves the header out). Fields in message override the
+    // generated id and timestamp.
+    async function postMessage(from, message, signature) {
+        const { whatsapp } = upstreams;
+        const before = whatsapp.requests.length;
+
+        messageCount++;
+        const body = JSON.stringify({
+            object: 'whatsapp_business_account',
+            entry: [{
+                changes: [{
+                    value: {
+                        messages: [{
+                            id: `wamid.test.${messageCount}`,
+                            from,
+                            timestamp: String(Math.floor(Date.now() / 1000)),
+                            ...message
+                        }]
+                    }
+                }]
+            }]
+        });
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (signature !== null) {
+            headers['X-Hub-Signature-256'] = signature || sign(body);
+        }
+
+        const response = await fetch(`${baseUrl}/webhook`, { method: 'POST', headers, body });
+        return {
+            status: response.status,
+            replies: whatsapp.requests.slice(before).filter(wasDelivered).map(toReply)
+        };
+    }
+
+    // Deliver one WhatsApp message and return the bot's replies to it
+    async function deliver(from, message) {
+        const { status, replies } = await postMessage(from, message);
+        if (status !== 200) {
+            throw new Error(`Webhook answered ${status}`);
+        }
+        return replies;
+    }
+
+    return {
+        ...upstreams,
+        reply,
+
+        get url() {
+            return baseUrl;
+        },
+
+        async start() {
+            await Promise.all(Object.values(upstreams).map(upstream => upstream.start()));
+            scriptDefaults(upstreams);
+
+            dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cchub-bot-test-'));
+
+            Object.assign(process.env, {
+                APP_SECRET,
+                PHONE_NUMBER_ID,
+                WHATSAPP_ACCESS_TOKEN: 'test-whatsapp-token',
+                WHATSAPP_API_URL: upstreams.whatsapp.url,
+                WORDPRESS_API_URL: upstreams.wordpress.url,
+                CCHUB_BOT_TOKEN: 'test-bot-token',
+                PAYMENT_GATEWAY_URL: upstreams.payments.url,
+                PAYMENT_API_KEY: 'test-payment-key',
+                ZESA_API_URL: upstreams.zesa.url,
+                AIRTIME_API_URL: upstreams.airtime.url,
+                ZESA_LOOKUP_MODE: 'api',
+                STORAGE_DRIVER: 'file',
+                DATA_DIR: dataDir,
+                ADMIN_TOKEN,
+                CALLBACK_SECRET,
+                WORDPRESS_TIMEOUT_MS: '300',
+                GATEWAY_TIMEOUT_MS: '300',
+                OUTBOX_RETRY_BASE_MS: '20',
+                OUTBOX_MAX_ATTEMPTS: '3',
+                SCHEDULE_CHECK_MS: '50',
+                PENDING_CHECK_MS: '50',
+                LOG_LEVEL: process.env.LOG_LEVEL || 'silent'
+            });
+
+            const app = require('../../index');
+            await new Promise(resolve => {
+                server = app.listen(0, '127.0.0.1', resolve);
+            });
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        },
+
+        async stop() {
+            if (server) {
+                server.closeAllConnections();
+                await new Promise(resolve => server.close(resolve));
+            }
+            await Promise.all(Object.values(upstreams).map(upstream => upstream.stop()));
+            if (dataDir) {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+            }
+        },
+
+        // Back to the default scripts. Stored state (sessions, ledger...)
+        // is kept, so each test should talk as its own user.
+        reset() {
+            for (const upstream of Object.values(upstreams)) {
+                upstream.reset();
+            }
+            scriptDefaults(upstreams);
+        },
+
+        // A phone number no other test has used
+        newUser() {
+            userCount++;
+            return `26377${String(userCount).padStart(7, '0')}`;
+        },
+
+        send(from, text) {
+            return deliver(from, { type: 'text', text: { body: text } });
+        },
+
+        tapButton(from, id) {
+            return deliver(from, { type: 'interactive', interactive: { type: 'button_reply', button_reply: { id, title: id } } });
+        },
+
+        tapListRow(from, id) {
+            return deliver(from, { type: 'interactive', interactive: { type: 'list_reply', list_reply: { id, title: id } } });
+        },
+
+        // Send a photo. fixture is an image in test/fixtures served through
+        // the Graph media API; without one the download fails.
+        sendImage(from, { fixture, caption } = {}) {
+            const { whatsapp } = upstreams;
+            mediaCount++;
+            const mediaId = `media-${mediaCount}`;
+
+            if (fixture) {
+                whatsapp.on('GET', `/${mediaId}`, reply.ok({
+                    id: mediaId,
+                    url: `${whatsapp.url}/download/${mediaId}`,
+                    mime_type: 'image/jpeg'
+                }));
+                whatsapp.on('GET', `/download/${mediaId}`, reply.file(
+                    fs.readFileSync(path.join(__dirname, '..', 'fixtures', fixture)),
+                    'image/jpeg'
+                ));
+            }
+
+            return deliver(from, { type: 'image', image: { id: mediaId, mime_type: 'image/jpeg', caption } });
+        },
+
+        // Post a text message without checking the answer; resolves to
+        // { status, replies }. See postMessage for the options.
+        webhook(from, text, { id, timestamp, signature } = {}) {
+            return postMessage(from, {
+                type: 'text',
+                text: { body: text },
+                ...(id && { id }),
+                ...(timestamp && { timestamp })
+            }, signature);
+        },
+
+        // Send several messages in a row and return the replies to the last
+        async conversation(from, messages) {
+            let replies = [];
+            for (const text of messages) {
+                replies = await this.send(from, text);
+            }
+            return replies;
+        },
+
+        // Messages the WhatsApp mock accepted for a user, oldest first
+        delivered(to) {
+            return upstreams.whatsapp.requests
+                .filter(request => wasDelivered(request) && request.body.to === to)
+                .map(toReply);
+        },
+
+        // Poll until check() returns something truthy (for retries that
+        // happen after the webhook has answered)
+        async waitFor(check, timeoutMs = 2000) {
+            const deadline = Date.now() + timeoutMs;
+            for (;;) {
+                const result = check();
+                if (result) return result;
+                if (Date.now() > deadline) throw new Error('Timed out waiting for the bot');
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        },
+
+        // Call the admin API; resolves to { status, body }
+        async admin(method, path) {
+            const response = await fetch(`${baseUrl}/admin${path}`, {
+                method,
+                headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+            });
+            return { status: response.status, body: await response.json() };
+        },
+
+        // Scrape the Prometheus metrics; resolves to the text exposition
+        async metrics() {
+            const response = await fetch(`${baseUrl}/metrics`, {
+                headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+            });
+            if (response.status !== 200) {
+                throw new Error(`Metrics answered ${response.status}`);
+            }
+            return response.text();
+        },
+
+        // Post a signed payment gateway callback; resolves to { status, body }
+        async paymentCallback(payload) {
+            const body = JSON.stringify(payload);
+            const response = await fetch(`${baseUrl}/callbacks/payment`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-CCHub-Signature': sign(body, CALLBACK_SECRET) },
+                body
+            });
+            return { status: response.status, body: await response.json() };
+        },
+
+        // Read or seed what the bot keeps on disk (sessions, preferences, ...).
+        // Stores are append-only logs of {"k":key,"v":value} / {"k":key,"d":1} lines.
+        readStore(name) {
+            const file = path.join(dataDir, `${name}.jsonl`);
+            if (!fs.existsSync(file)) return {};
+
+            const data = {};
+            for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+                if (!line) continue;
+                const record = JSON.parse(line);
+                if (record.d) {
+                    delete data[record.k];
+                } else {
+                    data[record.k] = record.v;
+                }
+            }
+            return data;
+        },
+
+        writeStore(name, key, value) {
+            fs.appendFileSync(path.join(dataDir, `${name}.jsonl`), JSON.stringify({ k: key, v: value }) + '\n');
+        }
+    };
+}
+
+module.exports = {
+    createHarness,
+    PAYCODES,
+    BUNDLES
+};
@@ -0,0 +1,179 @@
+const http = require('http');
+
+// A stand-in HTTP server for one upstream (WhatsApp, WordPress, a gateway).
+// Routes answer with scripted responses and every request is recorded so
+// tests can check what the bot sent.
+//
+// A response is { status = 200, body, contentType, delayMs } or one of the shortcuts in
+// `reply` below, or fn(request) returning one. Unscripted routes get a 404.
+// Recorded requests carry the status they were answered with (none if the
+// request timed out or was hung up on).
+
+const reply = {
+    ok: body => ({ status: 200, body }),
+    status: (status, body = {}) => ({ status, body }),
+    // Raw bytes, e.g. a media download
+    file: (buffer, contentType = 'application/octet-stream') => ({ status: 200, body: buffer, contentType }),
+    // Never answer, so the caller's own timeout fires
+    timeout: () => ({ timeout: true }),
+    // Drop the connection without a response
+    hangUp: () => ({ hangUp: true })
+};
+
+// "/status/:id" -> /^\/status\/([^/]+)$/ with params ['id']
+function compilePath(path) {
+    const params = [];
+    const pattern = path.replace(/:(\w+)/g, (match, name) => {
+        params.push(name);
+        return '([^/]+)';
+    });
+    return { regex: new RegExp(`^${pattern}$`), params };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(raw ? JSON.parse(raw) : null);
+            } catch (error) {
+                resolve(raw);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function createMockUpstream(name) {
+    let server = null;
+    let routes = [];
+    const requests = [];
+
+    function findRoute(method, path) {
+        for (const route of routes) {
+            if (route.method !== method) continue;
+            const match = route.regex.exec(path);
+            if (match) {
+                const params = {};
+                route.params.forEach((param, index) => {
+                    params[param] = decodeURIComponent(match[index + 1]);
+                });
+                return { route, params };
+            }
+        }
+        return null;
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const found = findRoute(req.method, url.pathname);
+
+        const request = {
+            method: req.method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            params: found ? found.params : {},
+            body: await readBody(req)
+        };
+        requests.push(request);
+
+        let response = { status: 404, body: { message: `${name}: no route for ${req.method} ${url.pathname}` } };
+        if (found) {
+            const { route } = found;
+            const scripted = route.queue.length > 0 ? route.queue.shift() : route.response;
+            response = typeof scripted === 'function' ? await scripted(request) : scripted;
+        }
+
+        if (response.timeout) return;
+        if (response.hangUp) {
+            req.socket.destroy();
+            return;
+        }
+        if (response.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, response.delayMs));
+        }
+
+        const status = response.status || 200;
+        request.status = status;
+        if (response.body === undefined) {
+            res.writeHead(status);
+            res.end();
+            return;
+        }
+        if (Buffer.isBuffer(response.body)) {
+            res.writeHead(status, { 'Content-Type': response.contentType });
+            res.end(response.body);
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response.body));
+    }
+
+    function addRoute(method, path, response, once) {
+        let route = routes.find(r => r.method === method && r.path === path);
+        if (!route) {
+            route = { method, path, ...compilePath(path), response: null, queue: [] };
+            routes.push(route);
+        }
+        if (once) {
+            route.queue.push(response);
+        } else {
+            route.response = response;
+        }
+    }
+
+    return {
+        name,
+        requests,
+
+        get url() {
+            return `http://127.0.0.1:${server.address().port}`;
+        },
+
+        start() {
+            server = http.createServer((req, res) => {
+                handle(req, res).catch(error => {
+                    res.writeHead(500);
+                    res.end(String(error));
+                });
+            });
+            return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        },
+
+        stop() {
+            if (!server) return Promise.resolve();
+            // Requests scripted to time out are still open
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        },
+
+        // Answer every METHOD path request with response
+        on(method, path, response) {
+            addRoute(method, path, response, false);
+        },
+
+        // Answer only the next METHOD path request with response
+        once(method, path, response) {
+            addRoute(method, path, response, true);
+        },
+
+        // Requests received for a path (all of them when no path is given)
+        received(path) {
+            return path ? requests.filter(request => request.path === path) : requests.slice();
+        },
+
+        // Forget scripted routes and recorded requests
+        reset() {
+            routes = [];
+            requests.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createMockUpstream,
+    reply
+};
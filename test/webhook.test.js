@@ -0,0 +1,91 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('./support/harness');
+
+const bot = createHarness();
+
+before(() => bot.start());
+after(() => bot.stop());
+beforeEach(() => bot.reset());
+
+describe('webhook verification', () => {
+    it('echoes the challenge for the right verify token', async () => {
+        process.env.VERIFY_TOKEN = 'test-verify-token';
+        const response = await fetch(`${bot.url}/webhook?hub.mode=subscribe&hub.verify_token=test-verify-token&hub.challenge=1234`);
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), '1234');
+
+        const wrong = await fetch(`${bot.url}/webhook?hub.mode=subscribe&hub.verify_token=nope&hub.challenge=1234`);
+        assert.equal(wrong.status, 403);
+    });
+
+    it('answers 400 without hub.mode', async () => {
+        const response = await fetch(`${bot.url}/webhook?hub.verify_token=test-verify-token`);
+        assert.equal(response.status, 400);
+    });
+});
+
+describe('webhook messages', () => {
+    it('rejects a missing or wrong signature', async () => {
+        const user = bot.newUser();
+
+        assert.equal((await bot.webhook(user, 'hi', { signature: null })).status, 401);
+        assert.equal((await bot.webhook(user, 'hi', { signature: 'sha256=' + 'ab'.repeat(32) })).status, 401);
+        assert.equal((await bot.webhook(user, 'hi', { signature: 'sha1=abc' })).status, 401);
+        assert.deepEqual(bot.delivered(user), []);
+    });
+
+    it('answers 500 when APP_SECRET is not set', async () => {
+        const appSecret = process.env.APP_SECRET;
+        delete process.env.APP_SECRET;
+        try {
+            assert.equal((await bot.webhook(bot.newUser(), 'hi')).status, 500);
+        } finally {
+            process.env.APP_SECRET = appSecret;
+        }
+    });
+
+    it('processes a repeated message ID once', async () => {
+        const user = bot.newUser();
+
+        const first = await bot.webhook(user, 'hi', { id: `wamid.repeat.${user}` });
+        assert.equal(first.status, 200);
+        assert.match(first.replies[0].text, /Welcome to CCHub/);
+
+        const retry = await bot.webhook(user, 'hi', { id: `wamid.repeat.${user}` });
+        assert.equal(retry.status, 200);
+        assert.deepEqual(retry.replies, []);
+    });
+
+    it('ignores messages older than the dedup window', async () => {
+        const user = bot.newUser();
+        const twoDaysAgo = String(Math.floor(Date.now() / 1000) - 2 * 24 * 60 * 60);
+
+        const stale = await bot.webhook(user, 'hi', { timestamp: twoDaysAgo });
+        assert.equal(stale.status, 200);
+        assert.deepEqual(stale.replies, []);
+    });
+
+    it('processes the retry of a message that failed', async () => {
+        const user = bot.newUser();
+        const id = `wamid.failed.${user}`;
+
+        // Storage failing part way through, e.g. a full disk
+        bot.writeStore('preferences', user, {});
+        const preferencesPath = path.join(process.env.DATA_DIR, 'preferences.jsonl');
+        fs.renameSync(preferencesPath, `${preferencesPath}.saved`);
+        fs.mkdirSync(preferencesPath);
+        try {
+            assert.equal((await bot.webhook(user, 'hi', { id })).status, 500);
+        } finally {
+            fs.rmdirSync(preferencesPath);
+            fs.renameSync(`${preferencesPath}.saved`, preferencesPath);
+        }
+
+        const retry = await bot.webhook(user, 'hi', { id });
+        assert.equal(retry.status, 200);
+        assert.match(retry.replies[0].text, /Welcome to CCHub/);
+    });
+});